@@ -2,6 +2,7 @@
 # hooks/on-prompt.sh — UserPromptSubmit hook
 # Fires on every user message. If no goal exists for this session, saves
 # the first message as the goal to ~/.session-monitor/{session_id}/goal.txt
+# (later messages revise it through the monitor's goal timeline, see goal.mjs)
 
 set -euo pipefail
 
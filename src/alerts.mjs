@@ -0,0 +1,154 @@
+// src/alerts.mjs — notify when a session gets worse (status drop, a watched signal firing, budget spent)
+// Sinks: terminal bell, OSC 9 / OSC 777 terminal notifications, notify-send, shell command.
+
+import { spawn } from 'node:child_process';
+import { DEFAULTS } from './config.mjs';
+import { firedSignals } from './signals.mjs';
+
+const SEVERITY = { 'ON TRACK': 0, 'HEADS UP': 1, 'DRIFTING': 2, 'STUCK': 3 };
+
+/**
+ * Create an alerter for one monitored session. Feed it every assessment;
+ * it decides whether something got worse and fans the alert out to the sinks.
+ *
+ * The first assessment counts as a change from ON TRACK, so a monitor started on a
+ * session that is already drifting or stuck alerts too.
+ * Debounce: a status drop must still hold `debounceMs` later to fire, so a
+ * score that dips for one assessment and recovers stays quiet.
+ * Cooldown: each alert kind ("status", "signal:loop", …) fires at most once
+ * per `cooldownMs`.
+ *
+ * @param {object} opts    — config.alerts
+ * @param {object} session — { sessionId, projectSlug }, included in every payload
+ * @param {Function[]} extraSinks — more payload consumers, e.g. a webhook sink's send()
+ * @returns {{ update: (assessment, signals, goal) => void, budget: (spentUsd, budgetUsd) => void, stop: () => void }}
+ */
+export function createAlerter(opts = DEFAULTS.alerts, session = {}, extraSinks = []) {
+  const lastFired = new Map(); // alert kind → ms timestamp
+  let prevStatus  = 'ON TRACK';
+  let prevSignals = new Set();
+  let latest      = null;      // { assessment, signals, goal } from the most recent update
+  let pending     = null;      // debounce timer for a status drop
+  let overBudget  = false;     // budget alert fires once per crossing
+
+  function update(assessment, signals, goal) {
+    latest = { assessment, signals, goal };
+    const status = assessment.status;
+
+    // Status got worse and reached the configured level
+    const worse = SEVERITY[status] > SEVERITY[prevStatus];
+    if (worse && SEVERITY[status] >= SEVERITY[opts.minStatus]) {
+      scheduleStatusAlert(prevStatus);
+    } else if (pending && SEVERITY[status] < SEVERITY[opts.minStatus]) {
+      clearTimeout(pending); // recovered before the debounce elapsed
+      pending = null;
+    }
+    prevStatus = status;
+
+    // Watched signals that just appeared
+    const now = new Set(firedSignals(signals));
+    for (const name of opts.signals) {
+      if (now.has(name) && !prevSignals.has(name)) {
+        fire(`signal:${name}`, { type: 'signal', signal: name, detail: signals[name] });
+      }
+    }
+    prevSignals = now;
+  }
+
+  /** Estimated spend so far; alerts like a STUCK status the first time it passes the budget */
+  function budget(spentUsd, budgetUsd) {
+    if (!budgetUsd || spentUsd <= budgetUsd) { overBudget = false; return; }
+    if (overBudget) return;
+    overBudget = true;
+    fire('budget', { type: 'budget', spentUsd, budgetUsd });
+  }
+
+  function scheduleStatusAlert(from) {
+    if (pending) return;
+    const go = () => {
+      pending = null;
+      const status = latest.assessment.status;
+      if (SEVERITY[status] >= SEVERITY[opts.minStatus]) fire('status', { type: 'status', from, to: status });
+    };
+    if (opts.debounceMs <= 0) return go();
+    pending = setTimeout(go, opts.debounceMs);
+    pending.unref?.();
+  }
+
+  function fire(kind, extra) {
+    const now = Date.now();
+    if (now - (lastFired.get(kind) ?? -Infinity) < opts.cooldownMs) return;
+    lastFired.set(kind, now);
+
+    const { assessment = null, signals = {}, goal = null } = latest ?? {}; // budget can fire before any assessment
+    const payload = {
+      ...extra,
+      sessionId:   session.sessionId,
+      projectSlug: session.projectSlug,
+      goal,
+      score:       assessment?.score ?? null,
+      status:      extra.type === 'budget' ? 'STUCK' : assessment.status,
+      reason:      assessment?.reason ?? null,
+      suggestion:  assessment?.suggestion ?? null,
+      signals:     firedSignals(signals),
+      firedAt:     new Date(now).toISOString(),
+    };
+    dispatch(payload, opts);
+    for (const sink of extraSinks) {
+      try { sink(payload); } catch { /* a sink must never crash the monitor */ }
+    }
+  }
+
+  return {
+    update,
+    budget,
+    stop: () => { if (pending) clearTimeout(pending); pending = null; },
+  };
+}
+
+/** Short title/body pair used by the visual sinks */
+export function alertText(payload) {
+  const title = payload.type === 'status' ? `session-monitor: ${payload.status} (${payload.score}/100)`
+    : payload.type === 'budget' ? `session-monitor: budget exceeded ($${payload.spentUsd.toFixed(2)} of $${payload.budgetUsd.toFixed(2)})`
+    : `session-monitor: ${payload.signal} detected`;
+  const body = payload.reason || payload.suggestion || payload.goal || '';
+  return { title, body: body.slice(0, 200) };
+}
+
+// ── sinks ────────────────────────────────────────────────────────────────────
+
+function dispatch(payload, opts) {
+  const { title, body } = alertText(payload);
+  const clean = s => s.replace(/[\x00-\x1f\x7f;]/g, ' '); // keep OSC payloads well-formed
+
+  for (const sink of opts.sinks) {
+    switch (sink) {
+      case 'bell':   process.stdout.write('\x07'); break;
+      case 'osc9':   process.stdout.write(`\x1b]9;${clean(title)}: ${clean(body)}\x07`); break;
+      case 'osc777': process.stdout.write(`\x1b]777;notify;${clean(title)};${clean(body)}\x07`); break;
+      case 'notify-send': {
+        const urgency = payload.status === 'STUCK' ? 'critical' : 'normal';
+        run('notify-send', ['-u', urgency, title, body]);
+        break;
+      }
+    }
+  }
+
+  if (opts.command) {
+    const child = run(opts.command, [], { shell: true, stdio: ['pipe', 'ignore', 'ignore'] });
+    child?.stdin?.on('error', () => {});
+    child?.stdin?.end(JSON.stringify(payload) + '\n');
+  }
+}
+
+/** Fire-and-forget spawn: a missing binary or failing command must never crash the monitor */
+function run(cmd, args, options = { stdio: 'ignore' }) {
+  try {
+    const child = spawn(cmd, args, { ...options, detached: false });
+    child.on('error', () => {});
+    child.unref();
+    return child;
+  } catch {
+    return null;
+  }
+}
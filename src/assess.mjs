@@ -1,19 +1,29 @@
-// src/assess.mjs — Claude haiku alignment check (runs every 10 tool calls)
+// src/assess.mjs — LLM alignment check (runs every 10 tool calls)
+// The model comes from the configured provider (providers.mjs), the prompt from the
+// context builder (context.mjs); heuristics are the last resort.
 
-import Anthropic from '@anthropic-ai/sdk';
 import { heuristicScore } from './signals.mjs';
+import { DEFAULTS } from './config.mjs';
+import { scoreToStatus } from './utils.mjs';
+import { createProvider } from './providers.mjs';
+import { createRedactor } from './redact.mjs';
+import { buildContext } from './context.mjs';
+import { toGoal, REVISION_KINDS } from './goal.mjs';
 
-const client = new Anthropic();
+const providers = new Map(); // JSON of config.assessor → provider, so each client is built once
 
 const SYSTEM_PROMPT = `You are a session monitor for Claude Code. Your job is to assess whether \
-the AI agent is on track toward the user's stated goal based on a summary of recent actions.
+the AI agent is on track toward the user's stated goal based on a summary of recent actions, \
+their results, what the agent said it is doing, and any follow-up messages from the user.
+Ground your judgement in outcomes (tests passing or failing, errors, user corrections), not tool names alone.
 
 Respond with ONLY valid JSON — no markdown, no explanation, no code fences:
 {
   "score": <integer 0-100>,
   "status": <"ON TRACK" | "HEADS UP" | "DRIFTING" | "STUCK">,
   "reason": <one sentence explanation>,
-  "suggestion": <actionable suggestion for the user, or null if on track>
+  "suggestion": <actionable suggestion for the user, or null if on track>,
+  "completed": <numbers of the goal's checklist items that look finished, [] if none or no checklist>
 }
 
 Score guide:
@@ -22,85 +32,120 @@ Score guide:
 - 40-59:  DRIFTING — significant deviation, user should redirect
 - 0-39:   STUCK    — agent is looping, failing repeatedly, or lost
 
+Judge a checklist item finished only when the results show it (a passing test, a successful build), \
+not because the agent said so. Weigh out-of-scope edits and unmet "done when" criteria in the score.
+
 Be concise. The reason and suggestion each must be under 120 characters.`;
 
 /**
- * Ask claude-haiku to assess alignment with the goal.
- * @param {string}   goal        — user's stated goal
+ * Ask the configured model to assess alignment with the goal.
+ * @param {string|object} goal   — user's stated goal, or a structured goal (goal.mjs)
  * @param {object[]} events      — recent tool_call events
  * @param {object}   signals     — output of detectSignals()
  * @param {string}   signalText  — output of signalSummary()
- * @returns {Promise<{score, status, reason, suggestion}>}
+ * @param {object}   config      — effective config (loadConfig())
+ * @param {object}   provider    — { name, complete() } from createProvider(); stubbed by `session-monitor eval`
+ * @returns {Promise<{score, status, reason, suggestion, completed, source, usage?}>}
+ *          completed: 1-based checklist items the model considers done; usage: the call's tokens, see providers.mjs
  */
-export async function assess(goal, events, signals, signalText) {
-  // Build action summary from last 20 tool calls
-  const recent = events.filter(e => e.type === 'tool_call').slice(-20);
-  const actionLines = recent.map(e => {
-    const name = e.tool?.name ?? '?';
-    const detail = getDetail(name, e.tool?.input ?? {});
-    const status = e.failed ? ' ❌' : '';
-    return `  ${name}(${detail})${status}`;
-  }).join('\n');
-
-  const userMessage = `Goal: ${goal}
-
-Recent actions (last ${recent.length}):
-${actionLines || '  (none yet)'}
-
-Signal analysis: ${signalText}
-
-Is the agent on track? Respond with JSON only.`;
+export async function assess(goal, events, signals, signalText, config = DEFAULTS, provider = providerFor(config.assessor)) {
+  const { system, prompt } = buildPrompt(goal, events, signalText, config);
 
   try {
-    const response = await client.messages.create({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 256,
-      system: SYSTEM_PROMPT,
-      messages: [{ role: 'user', content: userMessage }],
-    });
-
-    const raw = response.content[0]?.text?.trim() ?? '';
-    const parsed = JSON.parse(raw);
+    const reply  = await provider.complete({ system, prompt });
+    const parsed = parseReply(reply.text);
 
     return {
       score:      clamp(Number(parsed.score) || 70),
       status:     normalizeStatus(parsed.status),
       reason:     String(parsed.reason ?? '').slice(0, 140),
       suggestion: parsed.suggestion ? String(parsed.suggestion).slice(0, 140) : null,
+      completed:  checklistItems(parsed.completed, toGoal(goal)?.tasks.length ?? 0),
       source:     'api',
+      usage:      reply.usage ?? null,
     };
   } catch {
-    // Fallback to heuristic score — no API cost
-    const score = heuristicScore(signals);
+    // Fallback to heuristic score — no model call
+    const score = heuristicScore(signals, config.scoring);
     return {
       score,
       status:     scoreToStatus(score),
-      reason:     `API unavailable — using signal heuristics (${signalText})`,
+      reason:     `Assessor unavailable (${provider.name}) — using signal heuristics (${signalText})`,
       suggestion: score < 60 ? 'Check the signals and consider redirecting the agent.' : null,
+      completed:  [],
       source:     'heuristic',
     };
   }
 }
 
-// ── helpers ──────────────────────────────────────────────────────────────────
+const REVISION_PROMPT = `You track how a user's goal for an AI coding agent evolves during a session. \
+Classify the user's new message relative to the current goal.
+
+Respond with ONLY valid JSON — no markdown, no explanation, no code fences:
+{ "kind": <"refinement" | "redirect" | "chit-chat"> }
+
+- refinement: adds to, narrows or constrains the current goal ("also handle logout", "use fetch, not axios")
+- redirect:   replaces the goal with a different direction ("forget that, fix the build first")
+- chit-chat:  acknowledgements, questions and anything else that leaves the goal unchanged`;
 
-function getDetail(toolName, input) {
-  switch (toolName) {
-    case 'Bash':    return (input.command ?? '').slice(0, 50);
-    case 'Edit':
-    case 'Write':
-    case 'Read':    return shortPath(input.file_path ?? input.notebook_path ?? '');
-    case 'Glob':    return input.pattern ?? '';
-    case 'Grep':    return `"${(input.pattern ?? '').slice(0, 30)}"`;
-    case 'WebFetch':return (input.url ?? '').slice(0, 50);
-    case 'Task':    return (input.description ?? '').slice(0, 50);
-    default:        return '';
+/**
+ * Ask the configured model how a follow-up message changes the goal
+ * (config goals.followUps = "assessor", for messages the heuristics aren't sure about).
+ * @param {string} goalTitle — the goal as it currently stands
+ * @param {string} text      — the user's message
+ * @returns {Promise<{ kind: string, usage: object|null } | null>} null when the model is unavailable or unclear
+ */
+export async function classifyRevision(goalTitle, text, config = DEFAULTS, provider = providerFor(config.assessor)) {
+  const redactor = createRedactor(config.redaction);
+  try {
+    const reply = await provider.complete({
+      system: REVISION_PROMPT,
+      prompt: `Current goal: ${redactor.text(goalTitle)}\n\nNew message: ${redactor.text(text)}`,
+    });
+    const kind = parseReply(reply.text).kind;
+    return REVISION_KINDS.includes(kind) ? { kind, usage: reply.usage ?? null } : null;
+  } catch {
+    return null;
   }
 }
 
-function shortPath(p) {
-  const parts = p.split('/');
-  return parts.length > 3 ? '…/' + parts.slice(-2).join('/') : p;
+/**
+ * Build the exact prompt assess() sends, redacted with config.redaction and
+ * fitted to config.assessor.contextTokens by the context builder.
+ * @returns {{ system: string, prompt: string, omitted: number, redactions: Map<string, number> }}
+ */
+export function buildPrompt(goal, events, signalText, config = DEFAULTS) {
+  const redactor = createRedactor(config.redaction);
+  const { prompt, omitted } = buildContext({
+    goal,
+    events,
+    signalText,
+    budget: config.assessor.contextTokens,
+    redactor,
+  });
+  return { system: SYSTEM_PROMPT, prompt, omitted, redactions: redactor.hits };
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+function providerFor(opts = DEFAULTS.assessor) {
+  const key = JSON.stringify(opts);
+  if (!providers.has(key)) providers.set(key, createProvider(opts));
+  return providers.get(key);
+}
+
+/** JSON object from a model reply; local models like to wrap it in prose or code fences */
+function parseReply(raw) {
+  const start = raw.indexOf('{');
+  const end   = raw.lastIndexOf('}');
+  if (start === -1 || end < start) throw new Error('no JSON object in reply');
+  return JSON.parse(raw.slice(start, end + 1));
+}
+
+/** Valid, distinct 1-based item numbers from the model's "completed" list */
+function checklistItems(list, count) {
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.map(Number).filter(n => Number.isInteger(n) && n >= 1 && n <= count))].sort((a, b) => a - b);
 }
 
 function clamp(n) { return Math.max(0, Math.min(100, Math.round(n))); }
@@ -113,10 +158,3 @@ function normalizeStatus(s) {
   if (upper.includes('STUCK'))     return 'STUCK';
   return 'HEADS UP';
 }
-
-function scoreToStatus(score) {
-  if (score >= 80) return 'ON TRACK';
-  if (score >= 60) return 'HEADS UP';
-  if (score >= 40) return 'DRIFTING';
-  return 'STUCK';
-}
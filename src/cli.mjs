@@ -1,9 +1,10 @@
 #!/usr/bin/env node
 // src/cli.mjs — session-monitor CLI entry point
-// Usage: session-monitor [start|stop|status|goal] [options]
+// Usage: session-monitor [start|stop|status|goal|history|config|top|report|replay|eval] [options]
 
 import { parseArgs } from 'node:util';
 import { existsSync, writeFileSync } from 'node:fs';
+import { spawnSync } from 'node:child_process';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
@@ -13,14 +14,38 @@ import {
   goalPath,
   readGoal,
   writeGoal,
+  readStructuredGoal,
+  writeGoalFile,
+  goalFilePath,
+  goalSetAt,
+  readRevisions,
+  readAssessments,
+  readMonitorUsage,
   writePid,
   readPid,
   clearPid,
+  projectDir,
 } from './store.mjs';
 import { startMonitor } from './monitor.mjs';
 import { renderOnce } from './display.mjs';
 import { readAll } from './tail.mjs';
-import { detectSignals, signalSummary, heuristicScore } from './signals.mjs';
+import { normalizeAll, detectGoal } from './transcript.mjs';
+import { readSubagents } from './subagents.mjs';
+import { readGit } from './git.mjs';
+import { indexImports } from './scope.mjs';
+import { testRuns } from './testruns.mjs';
+import { detectSignals, signalSummary, heuristicScore, allDetectors } from './signals.mjs';
+import { sparkline, scoreToStatus, msToHuman, timeAgo } from './utils.mjs';
+import { loadConfig } from './config.mjs';
+import { loadDetectorPlugins } from './plugins.mjs';
+import { startTop, scanSessions } from './top.mjs';
+import { buildReport, renderReport } from './report.mjs';
+import { startReplay } from './replay.mjs';
+import { createRedactor } from './redact.mjs';
+import { buildPrompt } from './assess.mjs';
+import { createUsageTracker } from './usage.mjs';
+import { evaluate, STATUSES } from './eval.mjs';
+import { toGoal, validateGoal, goalProgress, isStructured, goalTimeline, effectiveGoal, goalSince, lastShift } from './goal.mjs';
 
 // ── Arg parsing ───────────────────────────────────────────────────────────
 
@@ -34,6 +59,16 @@ const { values, positionals } = parseArgs({
     session: { type: 'string',  short: 's' },
     cwd:     { type: 'string',  short: 'c', default: process.cwd() },
     json:    { type: 'boolean', short: 'j', default: false },
+    set:     { type: 'string',  multiple: true, default: [] },
+    since:   { type: 'string',  default: '60' },
+    serve:   { type: 'string' },
+    format:  { type: 'string',  short: 'f', default: 'md' },
+    out:     { type: 'string',  short: 'o' },
+    speed:   { type: 'string',  default: '1x' },
+    assess:  { type: 'boolean', default: false },
+    'min-accuracy': { type: 'string' },
+    'show-redacted-prompt': { type: 'boolean', default: false },
+    run:     { type: 'string' },
     help:    { type: 'boolean', short: 'h', default: false },
   },
   allowPositionals: true,
@@ -47,6 +82,12 @@ switch (command) {
   case 'stop':   await cmdStop();   break;
   case 'status': await cmdStatus(); break;
   case 'goal':   await cmdGoal();   break;
+  case 'history': await cmdHistory(); break;
+  case 'config': await cmdConfig(); break;
+  case 'top':    await cmdTop();    break;
+  case 'report': await cmdReport(); break;
+  case 'replay': await cmdReplay(); break;
+  case 'eval':   await cmdEval();   break;
   case '--help':
   case '-h':     printUsage(); process.exit(0); break;
   default:
@@ -79,6 +120,8 @@ async function cmdStart() {
   }
 
   const { sessionId, transcriptPath, projectSlug } = sessionInfo;
+  const { config } = effectiveConfig(cwd);
+  await loadPlugins(config, cwd);
 
   // Check if already running
   const existingPid = await readPid(sessionId);
@@ -92,18 +135,36 @@ async function cmdStart() {
     await clearPid(sessionId);
   }
 
+  let servePort = null;
+  if (values.serve !== undefined) {
+    servePort = Number(values.serve);
+    if (!Number.isInteger(servePort) || servePort < 0 || servePort > 65535) {
+      console.error(`session-monitor: --serve expects a port number, got "${values.serve}"`);
+      process.exit(1);
+    }
+  }
+
   // Save PID
   await writePid(sessionId, process.pid);
 
   console.log(`\x1b[2msession-monitor: watching ${projectSlug}/${sessionId.slice(0, 8)}…\x1b[0m`);
 
   // Start monitoring
-  const stopFn = await startMonitor(
-    transcriptPath,
-    sessionId,
-    projectSlug,
-    values.goal ?? null,
-  );
+  let stopFn;
+  try {
+    stopFn = await startMonitor(
+      transcriptPath,
+      sessionId,
+      projectSlug,
+      values.goal ?? null,
+      config,
+      servePort,
+    );
+  } catch (err) {
+    clearPid(sessionId);
+    console.error(`session-monitor: ${err.code === 'EADDRINUSE' ? `port ${servePort} is already in use` : err.message}`);
+    process.exit(1);
+  }
 
   // Clean up on exit
   const cleanup = async () => {
@@ -153,30 +214,69 @@ async function cmdStatus() {
   }
 
   const { sessionId, transcriptPath, projectSlug } = sessionInfo;
+  const { config } = effectiveConfig(cwd);
+  await loadPlugins(config, cwd);
 
   // Read transcript
-  const { readAll: ra } = await import('./tail.mjs');
-  const events = await ra(transcriptPath);
-
-  const goal = values.goal ?? (await readGoal(sessionId)) ?? detectGoalFromEvents(events) ?? '(no goal set)';
-
-  // Quick parse for signals
-  const toolCallEvents = extractToolCalls(events);
-  const signals = detectSignals(toolCallEvents, goal);
+  const rawEvents = await readAll(transcriptPath);
+
+  // Normalize (pairs tool calls with their results) and detect signals
+  const events    = normalizeAll(rawEvents);
+  const baseGoal  = toGoal(values.goal ?? null) ?? loadSessionGoal(sessionId) ?? toGoal(detectGoal(events)) ?? toGoal('(no goal set)');
+  const revisions = sessionTimeline(sessionId, baseGoal, events, config);
+  const goal      = effectiveGoal(baseGoal, revisions);
+  const checklist = isStructured(goal) ? goalProgress(goal, events, readAssessments(sessionId).at(-1)?.completed) : null;
+  const tracker   = createUsageTracker(config.usage.prices);
+  rawEvents.forEach(tracker.push);
+  readMonitorUsage(sessionId).forEach(tracker.addMonitor);
+  const subagents = await readSubagents(sessionId, transcriptPath, events, config.signals, (lane, raw) => tracker.push(raw));
+  const project   = projectDir(rawEvents, projectSlug, cwd);
+  const git       = await readGit(project, config.git);
+  await indexImports(project);
+  const since     = goalSince(baseGoal, events, revisions, values.goal ? null : goalSetAt(sessionId));
+  const signals   = detectSignals(events, goal, config.signals, { git, projectDir: project, since });
   const sigText  = signalSummary(signals);
-  const score    = heuristicScore(signals);
+  const score    = heuristicScore(signals, config.scoring);
   const status   = scoreToStatus(score);
+  const usage    = { ...tracker.summary(), budgetUsd: config.usage.budgetUsd };
+
+  // Audit mode: exactly what the next assessment would send, after redaction
+  if (values['show-redacted-prompt']) {
+    const { system, prompt, omitted, redactions } = buildPrompt(goal, events, sigText, config);
+    const counts = [...redactions].map(([rule, n]) => `${rule} ×${n}`).join(', ') || 'nothing matched';
+    const budget = `~${Math.ceil((system.length + prompt.length) / 4)} tokens, budget ${config.assessor.contextTokens}` +
+      (omitted ? `, ${omitted} items left out` : '');
+    console.log(`\x1b[2m── system (${config.assessor.provider}) ──\x1b[0m\n${system}\n`);
+    console.log(`\x1b[2m── prompt ──\x1b[0m\n${prompt}\n`);
+    console.log(`\x1b[2m── ${budget} · redacted: ${counts} ──\x1b[0m`);
+    process.exit(0);
+  }
 
   if (values.json) {
-    console.log(JSON.stringify({ sessionId, projectSlug, goal, score, status, signals }, null, 2));
+    const lanes = subagents.map(l => ({
+      agentId:     l.agentId,
+      parentId:    l.parentId,
+      description: l.description,
+      steps:       l.events.filter(e => e.type === 'tool_call').length,
+      signals:     l.signals,
+    }));
+    console.log(JSON.stringify({
+      sessionId, projectSlug, goal: goal.title, checklist, goalTimeline: revisions, score, status, signals, subagents: lanes, usage, git,
+      tests: testRuns(events),
+    }, null, 2));
     process.exit(0);
   }
 
   // One-shot terminal render
   renderOnce({
-    goal,
+    goal: goal.title,
+    checklist,
+    goalShift: lastShift(revisions),
     assessment: { score, status, reason: sigText, suggestion: null, assessedAt: new Date().toISOString() },
-    events: toolCallEvents,
+    events,
+    subagents,
+    usage,
+    git,
     startTime: Date.now() - 60_000, // approximate
     sessionId,
     projectSlug,
@@ -185,23 +285,434 @@ async function cmdStatus() {
 
 async function cmdGoal() {
   const cwd = path.resolve(values.cwd);
-  const newGoal = positionals[0] ?? values.goal;
+  const [first, ...args] = positionals;
+
+  const sessionInfo = values.session
+    ? await findSession(values.session, cwd)
+    : await latestSession(cwd);
+  if (!sessionInfo) { console.error('No session found'); process.exit(1); }
+  const { sessionId, transcriptPath } = sessionInfo;
 
+  if (first === 'edit') return editGoalFile(sessionId);
+
+  if (['add', 'check', 'uncheck', 'rm', 'scope', 'exclude', 'done-when'].includes(first)) {
+    const current = loadSessionGoal(sessionId);
+    if (!current) {
+      console.error('session-monitor: no goal set — set one first with: session-monitor goal "text"');
+      process.exit(1);
+    }
+    let updated;
+    try {
+      updated = validateGoal(applyGoalEdit(first, current, args), 'goal');
+    } catch (err) {
+      console.error(`session-monitor: ${err.message}`);
+      process.exit(1);
+    }
+    writeGoalFile(sessionId, updated);
+    console.log(`✔ Goal updated (${first})`);
+    printGoal(updated, goalProgress(updated, normalizeAll(await readAll(transcriptPath))));
+    return;
+  }
+
+  const newGoal = first ?? values.goal;
   if (!newGoal) {
-    const sessionInfo = await latestSession(cwd);
-    if (!sessionInfo) { console.error('No session found'); process.exit(1); }
-    const current = await readGoal(sessionInfo.sessionId);
-    console.log(current ? `Current goal: ${current}` : '(no goal set)');
+    const events  = normalizeAll(await readAll(transcriptPath));
+    const current = loadSessionGoal(sessionId) ?? toGoal(detectGoal(events)); // not captured yet: what the monitor would pick
+    if (!current) {
+      console.log(values.json ? 'null' : '(no goal set)');
+      process.exit(0);
+    }
+    const { config } = effectiveConfig(cwd);
+    const revisions = sessionTimeline(sessionId, current, events, config);
+    const effective = effectiveGoal(current, revisions);
+    const progress  = goalProgress(current, events, readAssessments(sessionId).at(-1)?.completed);
+    if (values.json) {
+      console.log(JSON.stringify({ ...current, progress, timeline: revisions, effective }, null, 2));
+    } else {
+      printGoal(current, progress);
+      printTimeline(revisions, effective, current);
+    }
     process.exit(0);
   }
 
-  const sessionInfo = await latestSession(cwd);
-  if (!sessionInfo) { console.error('No session found'); process.exit(1); }
-
-  await writeGoal(sessionInfo.sessionId, newGoal);
+  await writeGoal(sessionId, newGoal);
   console.log(`✔ Goal updated: ${newGoal}`);
 }
 
+/** `session-monitor goal <edit> ...` — returns the edited goal, validated before it's written */
+function applyGoalEdit(edit, g, args) {
+  switch (edit) {
+    case 'add':     return { ...g, tasks: [...g.tasks, ...required(args, 'task text').map(text => ({ text, done: false }))] };
+    case 'check':   return { ...g, tasks: setDone(g.tasks, args, true) };
+    case 'uncheck': return { ...g, tasks: setDone(g.tasks, args, false) };
+    case 'rm': {
+      const drop = taskNumbers(g.tasks, args);
+      return { ...g, tasks: g.tasks.filter((_, i) => !drop.includes(i + 1)) };
+    }
+    case 'scope':   return { ...g, inScope: [...g.inScope, ...required(args, 'glob')] };
+    case 'exclude': return { ...g, outOfScope: [...g.outOfScope, ...required(args, 'glob')] };
+    case 'done-when': {
+      const text = args.join(' ') || values.run;
+      if (!text) throw new Error('done-when needs a description and/or --run <command>');
+      return { ...g, doneWhen: [...g.doneWhen, { text, command: values.run ?? null }] };
+    }
+  }
+}
+
+function required(args, what) {
+  if (args.length === 0) throw new Error(`expected at least one ${what}`);
+  return args;
+}
+
+/** 1-based task numbers from the command line, checked against the list */
+function taskNumbers(tasks, args) {
+  return required(args, 'task number').map(a => {
+    const n = Number(a);
+    if (!Number.isInteger(n) || n < 1 || n > tasks.length) {
+      throw new Error(`no task #${a} (the checklist has ${tasks.length} item${tasks.length === 1 ? '' : 's'})`);
+    }
+    return n;
+  });
+}
+
+function setDone(tasks, args, done) {
+  const picked = taskNumbers(tasks, args);
+  return tasks.map((t, i) => picked.includes(i + 1) ? { ...t, done } : t);
+}
+
+/** The session's goal; an invalid goal.json is reported and exits */
+function loadSessionGoal(sessionId) {
+  try {
+    return readStructuredGoal(sessionId);
+  } catch (err) {
+    console.error(`session-monitor: ${err.message}`);
+    console.error('  Fix it with: session-monitor goal edit');
+    process.exit(1);
+  }
+}
+
+/** Open goal.json in $VISUAL / $EDITOR (created from the current goal), then validate it */
+function editGoalFile(sessionId) {
+  const file = goalFilePath(sessionId);
+  if (!existsSync(file)) {
+    let current = null;
+    try { current = readStructuredGoal(sessionId); } catch { /* no goal.json yet, so goal.txt only */ }
+    writeGoalFile(sessionId, { ...(current ?? { title: 'Describe the goal' }), tasks: current?.tasks ?? [] });
+  }
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const result = spawnSync(editor, [file], { stdio: 'inherit', shell: true });
+  if (result.status !== 0) {
+    console.error(`session-monitor: ${editor} exited with code ${result.status ?? result.signal}`);
+    process.exit(1);
+  }
+  const goal = loadSessionGoal(sessionId);
+  writeGoalFile(sessionId, goal); // normalized, and goal.txt picks up the title
+  console.log(`✔ Goal saved: ${goal.title}`);
+}
+
+/** Follow-ups since the goal was set, classified (recorded verdicts reused); none when goals.followUps is off */
+function sessionTimeline(sessionId, goal, events, config) {
+  if (config.goals.followUps === 'off') return [];
+  const setAt = values.goal ? Date.now() : goalSetAt(sessionId); // a --goal override is set "now"
+  return goalTimeline(goal, events, { setAt, known: readRevisions(sessionId), guesses: config.goals.followUps === 'assessor' });
+}
+
+function printTimeline(revisions, effective, base) {
+  if (revisions.length === 0) return;
+  const D = '\x1b[2m', R = '\x1b[0m';
+  const KIND = { redirect: '\x1b[33m↻ redirect  ', refinement: '\x1b[36m+ refinement', 'chit-chat': `${D}· chit-chat ` };
+  console.log(`\n${D}Follow-ups${R}`);
+  for (const r of revisions) {
+    const text = r.text.replace(/\s+/g, ' ');
+    console.log(`  ${KIND[r.kind]}${R} ${D}${timeAgo(r.at).padEnd(8)}${R} ${text.length > 70 ? text.slice(0, 69) + '…' : text}` +
+      (r.source === 'api' ? `${D}  (model)${R}` : ''));
+  }
+  if (effective.title !== base.title) console.log(`\n\x1b[1mGoal now:\x1b[0m ${effective.title}`);
+  const added = effective.tasks.length - (effective.title === base.title ? base.tasks.length : 0);
+  if (added > 0) console.log(`${D}${added} refinement${added === 1 ? '' : 's'} added to the checklist the monitor uses${R}`);
+}
+
+function printGoal(goal, progress) {
+  const D = '\x1b[2m', G = '\x1b[32m', RD = '\x1b[31m', R = '\x1b[0m';
+  console.log(`\x1b[1mGoal:\x1b[0m ${goal.title}`);
+  if (progress.total) {
+    console.log(`\n${D}Checklist (${progress.done}/${progress.total} done)${R}`);
+    progress.tasks.forEach((t, i) => {
+      const mark = t.done ? `${G}✓${R}` : `${D}○${R}`;
+      console.log(`  ${String(i + 1).padStart(2)}. ${mark} ${t.text}${t.inferred ? `${D}  (looks done to the assessor)${R}` : ''}`);
+    });
+  }
+  if (goal.inScope.length)    console.log(`\n${D}In scope:${R}     ${goal.inScope.join(', ')}`);
+  if (goal.outOfScope.length) console.log(`${goal.inScope.length ? '' : '\n'}${D}Out of scope:${R} ${goal.outOfScope.join(', ')}`);
+  if (progress.criteria.length) {
+    console.log(`\n${D}Done when${R}`);
+    for (const c of progress.criteria) {
+      const mark = c.met === true ? `${G}✓${R}` : c.met === false ? `${RD}✗${R}` : `${D}·${R}`;
+      console.log(`  ${mark} ${c.text}${c.command && c.command !== c.text ? `${D}  $ ${c.command}${R}` : ''}`);
+    }
+  }
+}
+
+async function cmdHistory() {
+  const cwd = path.resolve(values.cwd);
+
+  const sessionInfo = values.session
+    ? await findSession(values.session, cwd)
+    : await latestSession(cwd);
+
+  if (!sessionInfo) {
+    console.error('session-monitor: no session found for', cwd);
+    process.exit(1);
+  }
+
+  const { sessionId } = sessionInfo;
+  const history = readAssessments(sessionId);
+
+  if (values.json) {
+    console.log(JSON.stringify({ sessionId, assessments: history }, null, 2));
+    process.exit(0);
+  }
+
+  if (history.length === 0) {
+    console.log(`session-monitor: no assessments recorded for ${sessionId.slice(0, 8)} yet`);
+    process.exit(0);
+  }
+
+  console.log(`\x1b[1mAssessment history\x1b[0m · ${sessionId.slice(0, 8)} · ${history.length} checks`);
+  console.log(`  ${sparkline(history.map(h => h.score), 60)}`);
+  console.log('');
+  const header = ['  #', 'Time'.padEnd(8), 'Step'.padStart(5), 'Score'.padStart(6), ' ' + 'Status'.padEnd(9), 'Source'.padEnd(10), 'Signals'];
+  console.log(`\x1b[2m${header.join(' ')}\x1b[0m`);
+  history.forEach((h, i) => {
+    const time = new Date(h.assessedAt).toLocaleTimeString('en-US', { hour12: false });
+    const row = [
+      String(i + 1).padStart(3),
+      time.padEnd(8),
+      String(h.step ?? '-').padStart(5),
+      String(h.score ?? '-').padStart(6),
+      ' ' + String(h.status ?? '').padEnd(9),
+      String(h.source ?? '').padEnd(10),
+      (h.signals ?? []).join(', ') || '-',
+    ].join(' ');
+    console.log(row);
+    if (h.reason) console.log(`\x1b[2m      ${h.reason}\x1b[0m`);
+  });
+}
+
+async function cmdConfig() {
+  const cwd = path.resolve(values.cwd);
+  const { config, sources } = effectiveConfig(cwd);
+  await loadPlugins(config, cwd);
+  const detectors = allDetectors().map(d => ({ name: d.name, plugin: !!d.custom }));
+
+  if (values.json) {
+    console.log(JSON.stringify({ config, sources, detectors }, null, 2));
+    process.exit(0);
+  }
+
+  console.log('\x1b[1mEffective config\x1b[0m');
+  for (const [section, keys] of Object.entries(config)) {
+    console.log('');
+    console.log(`\x1b[1m${section}\x1b[0m`);
+    for (const [key, value] of Object.entries(keys)) {
+      const src = sources[`${section}.${key}`];
+      const col = src === 'default' ? '\x1b[2m' : '\x1b[36m';
+      if (value && typeof value === 'object' && !Array.isArray(value)) { // tables: one row per entry
+        console.log(`  ${key.padEnd(18)} ${col}${src}\x1b[0m`);
+        for (const [name, row] of Object.entries(value)) console.log(`    ${name.padEnd(20)} ${JSON.stringify(row)}`);
+        continue;
+      }
+      const shown = typeof value === 'number' ? String(value).padStart(6) : JSON.stringify(value);
+      console.log(`  ${key.padEnd(18)} ${shown}  ${col}${src}\x1b[0m`);
+    }
+  }
+
+  console.log('');
+  console.log('\x1b[1mactive detectors\x1b[0m');
+  for (const d of detectors) {
+    console.log(`  ${d.name}${d.plugin ? '  \x1b[36mplugin\x1b[0m' : ''}`);
+  }
+}
+
+async function cmdTop() {
+  const cwd = path.resolve(values.cwd);
+  const { config } = effectiveConfig(cwd);
+  await loadPlugins(config, cwd);
+
+  const minutes = Number(values.since);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    console.error(`session-monitor: --since expects minutes, got "${values.since}"`);
+    process.exit(1);
+  }
+  const maxAgeMs = minutes * 60_000;
+
+  // Scripts and pipes get a one-shot listing
+  if (values.json || !process.stdout.isTTY) {
+    const rows = await scanSessions(maxAgeMs, config);
+    const out = rows.map(({ last, ...r }) => ({ ...r, lastTool: last?.tool?.name ?? null }));
+    console.log(values.json ? JSON.stringify(out, null, 2) : out.map(r =>
+      [r.projectSlug, r.sessionId.slice(0, 8), r.status, r.score, r.steps, r.lastTool ?? '-', msToHuman(r.idleMs)].join('\t')
+    ).join('\n'));
+    process.exit(0);
+  }
+
+  const stop = startTop(maxAgeMs, config);
+  process.on('SIGINT',  () => { stop(); process.exit(0); });
+  process.on('SIGTERM', () => { stop(); process.exit(0); });
+}
+
+async function cmdReport() {
+  const cwd = path.resolve(values.cwd);
+
+  if (!['md', 'html', 'json'].includes(values.format)) {
+    console.error(`session-monitor: --format expects md, html or json, got "${values.format}"`);
+    process.exit(1);
+  }
+
+  const sessionInfo = values.session
+    ? await findSession(values.session, cwd)
+    : await latestSession(cwd);
+
+  if (!sessionInfo) {
+    console.error('session-monitor: no session found for', cwd);
+    process.exit(1);
+  }
+
+  const { sessionId, transcriptPath, projectSlug } = sessionInfo;
+  const { config } = effectiveConfig(cwd);
+  await loadPlugins(config, cwd);
+
+  const events = normalizeAll(await readAll(transcriptPath));
+  const goal   = values.goal ?? readGoal(sessionId) ?? detectGoal(events) ?? null;
+  const report = buildReport({ sessionId, projectSlug, goal, events, history: readAssessments(sessionId) }, config);
+  const output = renderReport(createRedactor(config.redaction).value(report), values.format);
+
+  if (values.out) {
+    writeFileSync(path.resolve(values.out), output.endsWith('\n') ? output : output + '\n');
+    console.error(`session-monitor: wrote ${values.format} report to ${values.out}`);
+  } else {
+    console.log(output);
+  }
+}
+
+async function cmdReplay() {
+  const cwd = path.resolve(values.cwd);
+
+  const speed = Number(String(values.speed).replace(/x$/i, ''));
+  if (!Number.isFinite(speed) || speed <= 0) {
+    console.error(`session-monitor: --speed expects a multiplier like 10x, got "${values.speed}"`);
+    process.exit(1);
+  }
+
+  // A transcript path, or a session of this project (-s / latest)
+  let sessionInfo;
+  if (positionals[0]) {
+    const transcriptPath = path.resolve(positionals[0]);
+    if (!existsSync(transcriptPath)) {
+      console.error(`session-monitor: transcript "${positionals[0]}" not found`);
+      process.exit(1);
+    }
+    sessionInfo = {
+      sessionId:   path.basename(transcriptPath, '.jsonl'),
+      transcriptPath,
+      projectSlug: path.basename(path.dirname(transcriptPath)),
+    };
+  } else {
+    sessionInfo = values.session
+      ? await findSession(values.session, cwd)
+      : await latestSession(cwd);
+    if (!sessionInfo) {
+      console.error('session-monitor: no session found for', cwd);
+      process.exit(1);
+    }
+  }
+
+  const { config } = effectiveConfig(cwd);
+  await loadPlugins(config, cwd);
+
+  const stop = await startReplay(sessionInfo.transcriptPath, {
+    sessionId:   sessionInfo.sessionId,
+    projectSlug: sessionInfo.projectSlug,
+    goal:        values.goal ?? null,
+    speed,
+    config,
+  });
+  process.on('SIGINT',  () => { stop(); process.exit(0); });
+  process.on('SIGTERM', () => { stop(); process.exit(0); });
+}
+
+async function cmdEval() {
+  const cwd = path.resolve(values.cwd);
+  const dir = positionals[0];
+  if (!dir || !existsSync(dir)) {
+    console.error(`session-monitor: eval expects a directory of labeled transcripts${dir ? `, "${dir}" not found` : ''}`);
+    process.exit(1);
+  }
+
+  const minAccuracy = values['min-accuracy'] !== undefined ? Number(values['min-accuracy']) : null;
+  if (minAccuracy !== null && !(minAccuracy >= 0 && minAccuracy <= 1)) {
+    console.error(`session-monitor: --min-accuracy expects a number between 0 and 1, got "${values['min-accuracy']}"`);
+    process.exit(1);
+  }
+
+  const { config } = effectiveConfig(cwd);
+  await loadPlugins(config, cwd);
+
+  let result;
+  try {
+    result = await evaluate(path.resolve(dir), { config, useAssess: values.assess });
+  } catch (err) {
+    console.error(`session-monitor: eval error — ${err.message}`);
+    process.exit(1);
+  }
+
+  const pct  = v => v === null ? '   -' : `${Math.round(v * 100)}%`.padStart(4);
+  const pass = minAccuracy === null || (result.accuracy ?? 0) >= minAccuracy;
+
+  if (values.json) {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(pass ? 0 : 1);
+  }
+
+  console.log(`\x1b[1mEvaluation\x1b[0m · ${result.mode} · ${result.files.length} transcripts · ${result.total} scored steps`);
+  if (result.skipped.length) console.log(`\x1b[2m  skipped (no labels): ${result.skipped.join(', ')}\x1b[0m`);
+  if (result.fallbacks) console.log(`\x1b[33m  ${result.fallbacks} assessments fell back to heuristics (assessor unavailable)\x1b[0m`);
+  console.log('');
+
+  for (const f of result.files) {
+    console.log(`  ${pct(f.accuracy)}  ${String(f.correct).padStart(4)}/${String(f.scored).padEnd(4)} ${f.file}`);
+  }
+  console.log('');
+
+  // Confusion matrix: rows = labeled status, columns = predicted status
+  console.log('\x1b[1mConfusion matrix\x1b[0m \x1b[2m(rows: expected · columns: predicted)\x1b[0m');
+  console.log('\x1b[2m' + ''.padEnd(12) + STATUSES.map(s => s.padStart(10)).join('') + '\x1b[0m');
+  for (const expected of STATUSES) {
+    const cells = STATUSES.map(predicted => {
+      const n = String(result.confusion[expected][predicted]).padStart(10);
+      return predicted === expected ? `\x1b[1m${n}\x1b[0m` : n;
+    });
+    console.log('  ' + expected.padEnd(10) + cells.join(''));
+  }
+  console.log('');
+
+  const names = Object.keys(result.signals);
+  if (names.length) {
+    console.log('\x1b[1mSignals\x1b[0m');
+    console.log('\x1b[2m' + '  ' + 'Signal'.padEnd(14) + 'Prec'.padStart(6) + 'Recall'.padStart(8) + 'TP'.padStart(6) + 'FP'.padStart(6) + 'FN'.padStart(6) + '\x1b[0m');
+    for (const name of names) {
+      const s = result.signals[name];
+      console.log('  ' + name.padEnd(14) + pct(s.precision).padStart(6) + pct(s.recall).padStart(8) +
+        String(s.tp).padStart(6) + String(s.fp).padStart(6) + String(s.fn).padStart(6));
+    }
+    console.log('');
+  }
+
+  console.log(`Accuracy: \x1b[1m${pct(result.accuracy).trim()}\x1b[0m (${result.correct}/${result.total})` +
+    (minAccuracy !== null ? `  ·  required ${Math.round(minAccuracy * 100)}% — ${pass ? 'pass' : 'FAIL'}` : ''));
+  process.exit(pass ? 0 : 1);
+}
+
 // ── Helpers ───────────────────────────────────────────────────────────────
 
 function printUsage() {
@@ -212,65 +723,63 @@ function printUsage() {
   session-monitor start            Watch latest session, auto-detect goal
   session-monitor start -g "text"  Override goal
   session-monitor start -s <id>    Watch a specific session by ID
+  session-monitor start --serve 7777  Also expose live state over HTTP/SSE
   session-monitor stop             Kill running monitor
   session-monitor status           One-shot check, no live mode
   session-monitor status --json    JSON output
-  session-monitor goal             Show current goal
+  session-monitor status --show-redacted-prompt   Print what the next assessment would send
+  session-monitor goal             Show current goal, checklist and "done when" criteria
   session-monitor goal "new text"  Update goal mid-session
+  session-monitor goal add "task"  Add a checklist item (also: check|uncheck|rm <n>)
+  session-monitor goal scope <glob>     In-scope paths (exclude <glob> for out-of-scope)
+  session-monitor goal done-when "text" --run "npm test"   Criterion, optionally a command that must pass
+  session-monitor goal edit        Edit the structured goal (goal.json) in $EDITOR
+  session-monitor history          Score history across assessments
+  session-monitor history --json   JSON output
+  session-monitor config           Show effective config and where each value came from
+  session-monitor top              Overview of every recently active session
+  session-monitor report           Markdown report of a session (--format md|html|json)
+  session-monitor replay <file>    Play a recorded transcript through the dashboard
+  session-monitor eval <dir>       Score labeled transcripts: confusion matrix, signal precision/recall
 
 \x1b[1mOptions:\x1b[0m
   -g, --goal <text>     Goal text
   -s, --session <id>    Session ID prefix
   -c, --cwd <dir>       Project directory (default: current)
-  -j, --json            JSON output (status command)
+  -j, --json            JSON output (status, goal, history, config, top, eval commands)
+  --set <key=value>     Override a config value, e.g. --set signals.paralysisMin=30
+  --since <minutes>     Activity window for top (default: 60)
+  --serve <port>        Serve the HTTP/SSE API on 127.0.0.1:<port> (start command)
+  -f, --format <fmt>    Report format: md, html or json (default: md)
+  -o, --out <file>      Write the report to a file instead of stdout
+  --speed <n>x          Replay speed multiplier (default: 1x)
+  --assess              Evaluate assess() instead of the heuristic score (eval command)
+  --min-accuracy <0-1>  Exit 1 when eval accuracy falls below this
+  --run <command>       Command that must pass for a "done when" criterion (goal done-when)
   -h, --help            Show this help
   `.trim());
 }
 
-function isPidAlive(pid) {
-  try { process.kill(pid, 0); return true; } catch { return false; }
-}
-
-function scoreToStatus(score) {
-  if (score >= 80) return 'ON TRACK';
-  if (score >= 60) return 'HEADS UP';
-  if (score >= 40) return 'DRIFTING';
-  return 'STUCK';
+/** loadConfig() for the CLI: print the validation error and exit instead of throwing */
+function effectiveConfig(cwd) {
+  try {
+    return loadConfig(cwd, values.set ?? []);
+  } catch (err) {
+    console.error(`session-monitor: config error — ${err.message}`);
+    process.exit(1);
+  }
 }
 
-function detectGoalFromEvents(rawEvents) {
-  for (const obj of rawEvents) {
-    if (obj.type !== 'user') continue;
-    const content = obj.message?.content;
-    const text = (typeof content === 'string' ? content :
-      (Array.isArray(content) ? content.find(b => b.type === 'text')?.text : null))?.trim();
-    if (!text) continue;
-    if (/^(TypeError|Error|ReferenceError|SyntaxError|RangeError)[\s:]/.test(text)) continue;
-    if (/file:\/\/.*:\d+\n/.test(text)) continue;
-    if (/\n\s+at\s+\S/.test(text)) continue;
-    if (/^\s*[`~]{3,}/.test(text)) continue;
-    if (text.length < 20 && text.trim().split(/\s+/).length <= 2) continue;
-    return text.slice(0, 500);
-  }
-  return null;
+/** Register configured detector plugins, exiting with the loader's message on failure */
+async function loadPlugins(config, cwd) {
+  try {
+    await loadDetectorPlugins(config.detectors, cwd);
+  } catch (err) {
+    console.error(`session-monitor: detector plugin error — ${err.message}`);
+    process.exit(1);
+  }
 }
 
-function extractToolCalls(rawEvents) {
-  const calls = [];
-  for (const obj of rawEvents) {
-    if (obj.type === 'assistant' && Array.isArray(obj.message?.content)) {
-      for (const block of obj.message.content) {
-        if (block.type === 'tool_use') {
-          calls.push({
-            type:      'tool_call',
-            id:        block.id,
-            tool:      { name: block.name, input: block.input ?? {} },
-            failed:    false,
-            timestamp: obj.timestamp ?? new Date().toISOString(),
-          });
-        }
-      }
-    }
-  }
-  return calls;
+function isPidAlive(pid) {
+  try { process.kill(pid, 0); return true; } catch { return false; }
 }
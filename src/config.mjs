@@ -0,0 +1,294 @@
+// src/config.mjs — layered configuration: defaults → user → project → CLI flags
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { MONITOR_DIR } from './store.mjs';
+
+export const USER_CONFIG_PATH  = path.join(MONITOR_DIR, 'config.json');
+export const PROJECT_CONFIG    = '.session-monitor.json';
+
+/** Built-in defaults. Also the schema: every key and its type are defined here. */
+export const DEFAULTS = {
+  signals: {
+    window:           15,  // tool calls considered by most detectors
+    loopMin:          3,   // same (or similar) Bash command failing N times
+    loopSimilarity:   30,  // % of arguments two commands share to count as the same attempt (100 = identical)
+    cycleMin:         3,   // same 2-4 step cycle repeated N times
+    oscillationMin:   2,   // N edits putting back text an earlier edit replaced
+    stuckMin:         5,   // same file edited N times
+    errorStreakMin:   3,   // N consecutive failed calls
+    paralysisMin:     8,   // N reads with no edit
+    scopeCreepMin:    3,   // N edits outside the goal's scope
+    scopeSeeds:       5,   // last N source files looked at up to the first edit = where the work started
+    scopeDistanceMin: 4,   // steps (import hops / directories) from those files that count as outside (a sibling dir is 3)
+    momentumMin:      2,   // N edit→passing-test-run cycles
+    noProgressWindow: 20,  // events checked for "no edits at all"
+    noProgressMin:    10,  // minimum events before no-progress can fire
+    thrashingMin:     2,   // N changes reverted within 10 minutes (git)
+    diffBalloonLines: 400, // N changed lines outside the goal's scope (git)
+    uncommittedMin:   800, // N changed lines not yet committed (git)
+    testFailRunsMin:  3,   // same test failing in N runs in a row
+  },
+  scoring: {
+    base:             70,
+    loop:             -25,
+    stuckOnFile:      -20,
+    errorStreak:      -30,
+    paralysis:        -20,
+    scopeCreep:       -15,
+    noProgress:       -20,
+    cycle:            -20,
+    oscillation:      -20,
+    goodMomentum:     20,
+    thrashing:        -20,
+    diffBalloon:      -15,
+    uncommittedDrift: -10,
+    testsRed:         -10,
+    testStuck:        -20,
+    testsDropped:     -15,
+  },
+  monitor: {
+    assessEveryNCalls: 10,
+    displayIntervalMs: 2000,
+  },
+  detectors: {
+    dirs:     [],  // directories of detector modules (*.mjs / *.js)
+    packages: [],  // npm package names, resolved from the project directory
+  },
+  alerts: {
+    sinks:      ['bell'],                                 // bell | osc9 | osc777 | notify-send
+    command:    '',                                       // shell command, gets alert JSON on stdin
+    minStatus:  'DRIFTING',                               // only alert when status worsens to this or below
+    signals:    ['loop', 'errorStreak', 'stuckOnFile'],   // alert when one of these first fires
+    debounceMs: 10000,                                    // status must hold this long before alerting
+    cooldownMs: 300000,                                   // quiet period per alert kind after firing
+  },
+  webhook: {
+    urls:       [],      // endpoints that receive every alert as an HTTP POST
+    format:     'auto',  // auto (slack for hooks.slack.com) | slack | json
+    maxRetries: 5,       // delivery attempts after the first before an alert is dropped
+    backoffMs:  2000,    // first retry delay, doubled on every further attempt
+    timeoutMs:  5000,    // per-request timeout
+  },
+  assessor: {
+    provider:  'anthropic', // anthropic | openai (any OpenAI-compatible /chat/completions) | exec
+    model:     '',          // empty = provider default (claude-haiku-4-5-20251001, gpt-4o-mini)
+    baseUrl:   '',          // e.g. http://localhost:11434/v1 for Ollama; empty = provider default
+    apiKeyEnv: '',          // env var holding the key; empty = ANTHROPIC_API_KEY / OPENAI_API_KEY
+    command:   '',          // exec provider: gets the prompt on stdin, prints assessment JSON
+    timeoutMs: 15000,       // per-assessment timeout before falling back to heuristics
+    maxTokens: 256,
+    contextTokens: 1500,    // prompt budget: actions, failures, agent notes, follow-ups, results
+  },
+  git: {
+    pollMs:     10000, // how often the project's working tree is diffed; 0 = off
+    baseBranch: '',    // diff against this branch; empty = origin's default branch, main or master
+  },
+  goals: {
+    followUps: 'heuristic', // how follow-up messages revise the goal: off | heuristic | assessor (model decides unclear ones)
+  },
+  usage: {
+    budgetUsd: 0, // alert once the session's estimated spend (agent + monitor) passes this; 0 = off
+    // USD per million tokens. Models match by longest prefix; merged per model across layers.
+    prices: {
+      'claude-opus-4-5':   { input: 5,    output: 25, cacheWrite: 6.25,  cacheRead: 0.5   },
+      'claude-opus-4':     { input: 15,   output: 75, cacheWrite: 18.75, cacheRead: 1.5   },
+      'claude-sonnet-4':   { input: 3,    output: 15, cacheWrite: 3.75,  cacheRead: 0.3   },
+      'claude-3-7-sonnet': { input: 3,    output: 15, cacheWrite: 3.75,  cacheRead: 0.3   },
+      'claude-haiku-4-5':  { input: 1,    output: 5,  cacheWrite: 1.25,  cacheRead: 0.1   },
+      'claude-3-5-haiku':  { input: 0.8,  output: 4,  cacheWrite: 1,     cacheRead: 0.08  },
+      'gpt-4o-mini':       { input: 0.15, output: 0.6, cacheWrite: 0,    cacheRead: 0.075 },
+    },
+  },
+  redaction: {
+    builtins:   ['keys', 'bearer', 'urlPasswords', 'envAssignments', 'emails'], // built-in pattern sets
+    patterns:   [],  // extra regexes (JavaScript syntax); matches are replaced with [REDACTED]
+    allowPaths: [],  // when set, paths outside these globs are masked
+    denyPaths:  [],  // paths matching these globs are always masked
+  },
+};
+
+// Keys whose values must be positive integers (counts and intervals)
+const POSITIVE_INT_SECTIONS = new Set(['signals', 'monitor', 'assessor']);
+const NON_NEGATIVE_INT_SECTIONS = new Set(['alerts', 'webhook', 'git']);
+const NON_NEGATIVE_SECTIONS = new Set(['usage']); // amounts of money: fractions allowed
+
+// Percentages: integers from 1 to 100
+const PERCENT_KEYS = new Set(['signals.loopSimilarity']);
+
+// Object keys mapping names to { field: number } records; layers merge per name
+const TABLE_KEYS = { 'usage.prices': ['input', 'output', 'cacheWrite', 'cacheRead'] };
+
+// Keys restricted to a fixed set of values (for arrays: every element)
+const ENUMS = {
+  'alerts.sinks':     ['bell', 'osc9', 'osc777', 'notify-send'],
+  'alerts.minStatus': ['HEADS UP', 'DRIFTING', 'STUCK'],
+  'webhook.format':   ['auto', 'slack', 'json'],
+  'assessor.provider': ['anthropic', 'openai', 'exec'],
+  'goals.followUps':   ['off', 'heuristic', 'assessor'],
+  'redaction.builtins': ['keys', 'bearer', 'urlPasswords', 'envAssignments', 'emails'],
+};
+
+// Keys whose value (for arrays: every element) must be an http(s) URL; empty strings mean "unset"
+const URL_KEYS = new Set(['webhook.urls', 'assessor.baseUrl']);
+
+// Array keys whose elements must compile as regular expressions
+const REGEX_KEYS = new Set(['redaction.patterns']);
+
+// Path-valued keys, resolved against the directory of the layer that set them (~ is kept as is)
+const PATH_KEYS = new Set(['detectors.dirs', 'redaction.allowPaths', 'redaction.denyPaths']);
+
+/**
+ * Load and merge every config layer.
+ * @param {string}   cwd        — project directory (for .session-monitor.json)
+ * @param {string[]} overrides  — CLI `--set key=value` strings, e.g. "signals.paralysisMin=30"
+ * @returns {{ config: object, sources: Record<string, string> }}
+ *          sources maps "section.key" → where the effective value came from
+ * @throws {Error} with a readable message when a layer is malformed or invalid
+ */
+export function loadConfig(cwd, overrides = []) {
+  const config  = structuredClone(DEFAULTS);
+  const sources = {};
+  for (const [section, keys] of Object.entries(DEFAULTS)) {
+    for (const key of Object.keys(keys)) sources[`${section}.${key}`] = 'default';
+  }
+
+  const layers = [
+    { label: USER_CONFIG_PATH, base: MONITOR_DIR, data: readJsonFile(USER_CONFIG_PATH) },
+    { label: path.join(cwd, PROJECT_CONFIG), base: cwd, data: readJsonFile(path.join(cwd, PROJECT_CONFIG)) },
+    { label: '--set', base: cwd, data: parseOverrides(overrides) },
+  ];
+
+  for (const { label, base, data } of layers) {
+    if (!data) continue;
+    validate(data, label);
+    for (const [section, keys] of Object.entries(data)) {
+      for (const [key, value] of Object.entries(keys)) {
+        const name = `${section}.${key}`;
+        config[section][key] = PATH_KEYS.has(name) ? value.map(p => p.startsWith('~') ? p : path.resolve(base, p))
+          : TABLE_KEYS[name] ? { ...config[section][key], ...value }
+          : value;
+        sources[`${section}.${key}`] = label;
+      }
+    }
+  }
+
+  if (config.assessor.provider === 'exec' && !config.assessor.command) {
+    throw new Error(`assessor.command is required when assessor.provider is "exec" (set in ${sources['assessor.provider']})`);
+  }
+
+  return { config, sources };
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+function readJsonFile(p) {
+  if (!fs.existsSync(p)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(p, 'utf8'));
+  } catch (err) {
+    throw new Error(`invalid JSON in ${p}: ${err.message}`);
+  }
+}
+
+/** ["signals.loopMin=4", "detectors.dirs=a,b"] → { signals: { loopMin: 4 }, detectors: { dirs: ['a', 'b'] } } */
+function parseOverrides(overrides) {
+  if (!overrides.length) return null;
+  const out = {};
+  for (const item of overrides) {
+    const m = /^([\w]+)\.([\w]+)=(.*)$/.exec(String(item));
+    if (!m) throw new Error(`--set expects section.key=value, got "${item}"`);
+    const [, section, key, raw] = m;
+    if (TABLE_KEYS[`${section}.${key}`]) {
+      throw new Error(`--set ${section}.${key}: tables can only be set in a config file`);
+    }
+    if (Array.isArray(DEFAULTS[section]?.[key])) {
+      (out[section] ??= {})[key] = raw.split(',').map(v => v.trim()).filter(Boolean);
+      continue;
+    }
+    if (typeof DEFAULTS[section]?.[key] === 'string') {
+      (out[section] ??= {})[key] = raw;
+      continue;
+    }
+    const value = Number(raw);
+    if (raw.trim() === '' || Number.isNaN(value)) {
+      throw new Error(`--set ${section}.${key}: expected a number, got "${raw}"`);
+    }
+    (out[section] ??= {})[key] = value;
+  }
+  return out;
+}
+
+/** Check one layer against the DEFAULTS schema. */
+function validate(data, label) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error(`${label}: config must be a JSON object`);
+  }
+  for (const [section, keys] of Object.entries(data)) {
+    if (!(section in DEFAULTS)) {
+      throw new Error(`${label}: unknown section "${section}" (expected one of: ${Object.keys(DEFAULTS).join(', ')})`);
+    }
+    if (typeof keys !== 'object' || keys === null || Array.isArray(keys)) {
+      throw new Error(`${label}: "${section}" must be an object`);
+    }
+    for (const [key, value] of Object.entries(keys)) {
+      if (!(key in DEFAULTS[section])) {
+        throw new Error(`${label}: unknown key "${section}.${key}" (expected one of: ${Object.keys(DEFAULTS[section]).join(', ')})`);
+      }
+      const allowed = ENUMS[`${section}.${key}`];
+      const fields  = TABLE_KEYS[`${section}.${key}`];
+      if (fields) {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+          throw new Error(`${label}: "${section}.${key}" must be an object, got ${JSON.stringify(value)}`);
+        }
+        for (const [name, row] of Object.entries(value)) {
+          const bad = fields.find(f => typeof row?.[f] !== 'number' || !(row[f] >= 0));
+          if (bad) throw new Error(`${label}: "${section}.${key}.${name}" needs non-negative numbers for ${fields.join(', ')} (bad "${bad}")`);
+        }
+        continue;
+      }
+      if (Array.isArray(DEFAULTS[section][key])) {
+        if (!Array.isArray(value) || !value.every(v => typeof v === 'string' && v)) {
+          throw new Error(`${label}: "${section}.${key}" must be an array of non-empty strings, got ${JSON.stringify(value)}`);
+        }
+        const bad = allowed && value.find(v => !allowed.includes(v));
+        if (bad) throw new Error(`${label}: "${section}.${key}" has unknown value "${bad}" (expected: ${allowed.join(', ')})`);
+        const badUrl = URL_KEYS.has(`${section}.${key}`) && value.find(v => !/^https?:\/\/\S+$/.test(v));
+        if (badUrl) throw new Error(`${label}: "${section}.${key}" must contain http(s) URLs, got "${badUrl}"`);
+        if (REGEX_KEYS.has(`${section}.${key}`)) {
+          for (const v of value) {
+            try { new RegExp(v, 'g'); } catch (err) { throw new Error(`${label}: "${section}.${key}" has an invalid regex: ${err.message}`); }
+          }
+        }
+        continue;
+      }
+      if (typeof DEFAULTS[section][key] === 'string') {
+        if (typeof value !== 'string') {
+          throw new Error(`${label}: "${section}.${key}" must be a string, got ${JSON.stringify(value)}`);
+        }
+        if (allowed && !allowed.includes(value)) {
+          throw new Error(`${label}: "${section}.${key}" must be one of: ${allowed.join(', ')} (got "${value}")`);
+        }
+        if (URL_KEYS.has(`${section}.${key}`) && value && !/^https?:\/\/\S+$/.test(value)) {
+          throw new Error(`${label}: "${section}.${key}" must be an http(s) URL, got "${value}"`);
+        }
+        continue;
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${label}: "${section}.${key}" must be a number, got ${JSON.stringify(value)}`);
+      }
+      if (PERCENT_KEYS.has(`${section}.${key}`) && (!Number.isInteger(value) || value < 1 || value > 100)) {
+        throw new Error(`${label}: "${section}.${key}" must be a whole percentage from 1 to 100, got ${value}`);
+      }
+      if (POSITIVE_INT_SECTIONS.has(section) && (!Number.isInteger(value) || value < 1)) {
+        throw new Error(`${label}: "${section}.${key}" must be a positive integer, got ${value}`);
+      }
+      if (NON_NEGATIVE_INT_SECTIONS.has(section) && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`${label}: "${section}.${key}" must be a non-negative integer, got ${value}`);
+      }
+      if (NON_NEGATIVE_SECTIONS.has(section) && value < 0) {
+        throw new Error(`${label}: "${section}.${key}" must not be negative, got ${value}`);
+      }
+    }
+  }
+}
@@ -0,0 +1,139 @@
+// src/context.mjs — token-budgeted assessment context for assess()
+// Decides which outcomes, notes and follow-ups fit into the prompt, in priority order:
+// recent actions → failed results → agent's latest note → user follow-ups → agent reasoning → latest results.
+
+import { toGoal, goalProgress, followUps } from './goal.mjs';
+
+const CHARS_PER_TOKEN = 4;    // rough estimate; good enough for budgeting
+const MAX_ACTIONS     = 20;
+const MAX_FAILURES    = 5;
+const MAX_FOLLOWUPS   = 3;
+const MAX_RESULTS     = 3;
+const EXCERPT_CHARS   = 300;  // per result / follow-up
+const NOTE_CHARS      = 600;  // agent text and reasoning
+
+/**
+ * Build the user prompt for an assessment.
+ * @param {object}   opts
+ * @param {string|object} opts.goal — goal text or structured goal (goal.mjs)
+ * @param {object[]} opts.events      — normalized timeline events
+ * @param {string}   opts.signalText  — output of signalSummary()
+ * @param {number}   opts.budget      — approximate token budget for the whole prompt
+ * @param {object}   opts.redactor    — createRedactor(); every value is redacted before it is cut to fit here
+ *                                      (tool results arrive pre-cut, at a word boundary, by the normalizer)
+ * @returns {{ prompt: string, omitted: number }} omitted = candidate items left out for budget
+ */
+export function buildContext({ goal, events, signalText, budget, redactor }) {
+  const { text, path } = redactor;
+  const spec  = toGoal(goal);
+  const calls = events.filter(e => e.type === 'tool_call');
+  const goalBlock = describeGoal(spec, events, text);
+  let left    = budget - tokens(goalBlock) - tokens(signalText) - 60; // headings and closing line
+  let omitted = 0;
+
+  /** Take items (already in priority order) while they fit; returns the ones taken */
+  function take(items, render) {
+    const taken = [];
+    for (const item of items) {
+      const line = render(item);
+      if (tokens(line) > left) { omitted++; continue; }
+      left -= tokens(line);
+      taken.push(line);
+    }
+    return taken;
+  }
+
+  const label = (e) => `${e.tool?.name ?? '?'}(${detail(e.tool?.name, e.tool?.input ?? {}, text, path)})`;
+
+  // 1. Recent actions — newest first for budgeting, shown oldest first
+  const recent  = calls.slice(-MAX_ACTIONS);
+  const actions = take([...recent].reverse(), e => {
+    const mark  = e.result === null ? '' : e.failed ? ' ❌' : ' ✓';
+    const tests = e.tests?.failed != null ? ` [tests: ${e.tests.passed ?? '?'} passed, ${e.tests.failed} failed]` : '';
+    return `  ${label(e)}${mark}${tests}`;
+  }).reverse();
+
+  // 2. Failed results, newest first
+  const failures = take(calls.filter(e => e.failed && e.result).slice(-MAX_FAILURES).reverse(),
+    e => `  ${label(e)} → ${quote(text(e.result), EXCERPT_CHARS)}`);
+
+  // 3. What the agent last said it was doing
+  const said     = [...events].reverse().find(e => e.type === 'assistant_message' && e.text);
+  const note     = said ? take([said], e => `  ${quote(text(e.text), NOTE_CHARS)}`) : [];
+
+  // 4. User follow-ups since the goal was set, newest kept first
+  const followups = take(followUps(events, spec?.title ?? '').slice(-MAX_FOLLOWUPS).reverse(),
+    e => `  - ${quote(text(e.text), EXCERPT_CHARS)}`).reverse();
+
+  // 5. The agent's latest reasoning (its end is the most recent thought)
+  const thought   = [...events].reverse().find(e => e.type === 'assistant_message' && e.thinking);
+  const reasoning = thought ? take([thought], e => `  ${quote(text(e.thinking).slice(-NOTE_CHARS), NOTE_CHARS)}`) : [];
+
+  // 6. Latest successful results (e.g. the last test run that passed)
+  const results = take(calls.filter(e => !e.failed && e.result).slice(-MAX_RESULTS).reverse(),
+    e => `  ${label(e)} → ${quote(text(e.result), EXCERPT_CHARS)}`);
+
+  const sections = [goalBlock];
+  if (followups.length) sections.push(`User follow-ups since the goal:\n${followups.join('\n')}`);
+  sections.push(`Recent actions (last ${actions.length}, oldest first; ✓ ok, ❌ failed):\n${actions.join('\n') || '  (none yet)'}`);
+  if (failures.length)  sections.push(`Failed results (newest first):\n${failures.join('\n')}`);
+  if (results.length)   sections.push(`Latest successful results (newest first):\n${results.join('\n')}`);
+  if (note.length)      sections.push(`Agent's latest message:\n${note.join('\n')}`);
+  if (reasoning.length) sections.push(`Agent's latest reasoning (excerpt):\n${reasoning.join('\n')}`);
+  sections.push(`Signal analysis: ${text(signalText)}`);
+  if (omitted)          sections.push(`(${omitted} more items left out to fit the context budget)`);
+  sections.push('Is the agent on track? Respond with JSON only.');
+
+  return { prompt: sections.join('\n\n'), omitted };
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+/** The goal section: always sent in full — the checklist is what the model scores against */
+function describeGoal(goal, events, text) {
+  if (!goal) return 'Goal: (none set)';
+  const lines = [`Goal: ${text(goal.title)}`];
+  const progress = goalProgress(goal, events);
+  if (progress.total) {
+    lines.push('Checklist (numbered; [x] = ticked by the user):');
+    progress.tasks.forEach((t, i) => lines.push(`  ${i + 1}. [${t.done ? 'x' : ' '}] ${text(t.text)}`));
+  }
+  if (goal.inScope.length)    lines.push(`In scope: ${goal.inScope.map(text).join(', ')}`);
+  if (goal.outOfScope.length) lines.push(`Out of scope: ${goal.outOfScope.map(text).join(', ')}`);
+  if (progress.criteria.length) {
+    lines.push('Done when:');
+    for (const c of progress.criteria) {
+      const run = !c.command ? '' : c.met === null ? ' — not run yet' : c.met ? ' — latest run passed' : ' — latest run failed';
+      lines.push(`  - ${text(c.text)}${c.command && c.command !== c.text ? ` (\`${text(c.command)}\`)` : ''}${run}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function tokens(s) {
+  return Math.ceil(String(s ?? '').length / CHARS_PER_TOKEN);
+}
+
+function quote(s, max) {
+  const flat = String(s ?? '').replace(/\s+/g, ' ').trim();
+  return `"${flat.length > max ? flat.slice(0, max - 1) + '…' : flat}"`;
+}
+
+function detail(toolName, input, text, path) {
+  switch (toolName) {
+    case 'Bash':    return text(input.command ?? '').slice(0, 50);
+    case 'Edit':
+    case 'Write':
+    case 'Read':    return shortPath(path(input.file_path ?? input.notebook_path ?? ''));
+    case 'Glob':    return text(input.pattern ?? '');
+    case 'Grep':    return `"${text(input.pattern ?? '').slice(0, 30)}"`;
+    case 'WebFetch':return text(input.url ?? '').slice(0, 50);
+    case 'Task':    return text(input.description ?? '').slice(0, 50);
+    default:        return '';
+  }
+}
+
+function shortPath(p) {
+  const parts = p.split('/');
+  return parts.length > 3 ? '…/' + parts.slice(-2).join('/') : p;
+}
@@ -1,6 +1,8 @@
 // src/display.mjs — live terminal dashboard with visual timeline + block charts
 
-import { msToHuman, timeAgo } from './utils.mjs';
+import { msToHuman, timeAgo, sparkline, countFiles, countTools } from './utils.mjs';
+import { testRuns } from './testruns.mjs';
+import { fmtUsd, fmtTokens } from './usage.mjs';
 
 // ── ANSI ─────────────────────────────────────────────────────────────────────
 const R  = '\x1b[0m';   // reset
@@ -17,6 +19,7 @@ const PRP   = '\x1b[95m';
 const BGRED = '\x1b[41m';
 const BGYLW = '\x1b[43m';
 const BGGRN = '\x1b[42m';
+const INV   = '\x1b[7m';   // inverse: the line editor's cursor
 
 // ── Tool config ───────────────────────────────────────────────────────────────
 const TOOL = {
@@ -30,6 +33,9 @@ const TOOL = {
   Task:     { l: 'T', c: PRP,      label: 'Task'  },
 };
 
+// Optional dashboard boxes, all shown unless live mode toggles them off
+const PANELS = { timeline: true, files: true, mix: true, signals: true };
+
 const STATUS_STYLE = {
   'ON TRACK': { bg: BGGRN, fg: WHT, emoji: '✅' },
   'HEADS UP':  { bg: BGYLW, fg: WHT, emoji: '🟡' },
@@ -39,11 +45,18 @@ const STATUS_STYLE = {
 
 // ── Public API ────────────────────────────────────────────────────────────────
 
+/**
+ * Draw the dashboard in place of the previous frame. `state.help` shows the key overlay
+ * instead, and `state.inspect` the step inspector.
+ * @returns {number} lines written (pass back as prevLines)
+ */
 export function render(state, prevLines) {
   const cols  = process.stdout.columns || 80;
   const width = Math.min(cols, 76); // total box width incl. borders
 
-  const lines = buildLines(state, width);
+  const lines = state.inspect ? buildInspectorLines(state, inspectorPage().width)
+    : state.help ? buildHelpLines(state, width)
+    : buildLines(state, width);
 
   if (prevLines > 0) {
     process.stdout.write(`\x1b[${prevLines}A`);
@@ -56,23 +69,86 @@ export function render(state, prevLines) {
 }
 
 export function clearScreen() { process.stdout.write('\x1bc'); }
+
+/** Step inspector size: box width and body lines that fit the terminal */
+export function inspectorPage() {
+  return {
+    width:  Math.min(process.stdout.columns || 80, 120),
+    height: Math.max(5, (process.stdout.rows || 24) - 10),
+  };
+}
+
+/**
+ * The step inspector's scrollable body: the call's full input, then its result.
+ * @param {object} call   — tool_call event
+ * @param {{ text: string, isError: boolean } | null | 'loading'} result
+ * @returns {string[]} lines wrapped to the box
+ */
+export function inspectorBody(call, result, width) {
+  const room = width - 4;
+  const out  = [B + CYN + 'Input' + R];
+  for (const [col, text] of inputLines(call.tool ?? {})) {
+    for (const piece of wrap(text, room)) out.push(col + piece + R);
+  }
+  out.push('', B + CYN + 'Result' + R + (result?.isError ? RED + '  ✗ error' + R : ''));
+  if (result === 'loading') out.push(D + 'loading…' + R);
+  else if (!result)         out.push(D + '(no result yet)' + R);
+  else if (!result.text)    out.push(D + '(empty)' + R);
+  else for (const piece of wrap(result.text, room)) out.push(piece);
+  return out;
+}
 export function renderOnce(state) { render(state, 0); }
 
+/**
+ * Multi-session overview: one compact row per session.
+ * @param {{ rows: object[], selected: number, since: string }} state
+ *   rows: { projectSlug, goal, score, status, steps, last, idleMs }
+ * @returns {number} lines written (pass back as prevLines)
+ */
+export function renderTop(state, prevLines) {
+  const cols  = process.stdout.columns || 100;
+  const width = Math.min(cols, 110);
+  const lines = buildTopLines(state, width);
+
+  if (prevLines > 0) {
+    process.stdout.write(`\x1b[${prevLines}A`);
+    for (let i = 0; i < prevLines; i++) process.stdout.write('\x1b[2K\n');
+    process.stdout.write(`\x1b[${prevLines}A`);
+  }
+  process.stdout.write(lines.join('\n') + '\n');
+  return lines.length;
+}
+
 // ── Builder ───────────────────────────────────────────────────────────────────
 
 function buildLines(state, width) {
   const {
     goal        = '(auto-detecting…)',
+    checklist   = null,       // goalProgress() for a structured goal
+    goalShift   = null,       // latest goal revision from a follow-up: { at, text, kind }
     assessment  = null,
+    history     = [],
     events      = [],
+    subagents   = [],
+    lanesExpanded = true,
     startTime   = Date.now(),
     projectSlug = '',
+    serveUrl    = null,
+    replay      = null,       // { paused, speed, step, steps, finished } in replay mode
+    usage       = null,       // usage tracker summary() + budgetUsd
+    git         = null,       // watchGit() state: diff vs base branch, trend, reverts
+    now         = Date.now(), // replay passes the transcript's clock instead
+    panels      = PANELS,     // which optional boxes are shown (live mode toggles them)
+    signals     = null,       // describeSignals() for the Signals panel; null = no panel
+    paused      = false,      // live mode: automatic assessments on hold
+    assessing   = false,      // live mode: an assessment is running
+    prompt      = null,       // live mode line editor: { label, value, cursor }
   } = state;
 
   const toolCalls  = events.filter(e => e.type === 'tool_call');
   const stepCount  = toolCalls.length;
   const errorCount = toolCalls.filter(e => e.failed).length;
-  const elapsed    = Date.now() - startTime;
+  const elapsed    = now - startTime;
   const score      = assessment?.score  ?? null;
   const status     = assessment?.status ?? (stepCount === 0 ? 'STARTING' : 'ON TRACK');
   const reason     = assessment?.reason ?? '';
@@ -85,14 +161,17 @@ function buildLines(state, width) {
   const out   = [];
 
   // ── Header ─────────────────────────────────────────────────────────────────
-  const title = ` session-monitor  ·  ${project}  ·  ${fmtTime(new Date())} `;
-  out.push(B + CYN + '╔' + '═'.repeat(width - 2) + '╗' + R);
-  out.push(B + CYN + '║' + centerStr(title, width - 2) + '║' + R);
-  out.push(B + CYN + '╚' + '═'.repeat(width - 2) + '╝' + R);
+  out.push(...header(` session-monitor${replay ? ' replay' : ''}  ·  ${project}  ·  ${fmtTime(new Date(now))} `, width));
 
   // ── Goal ───────────────────────────────────────────────────────────────────
   out.push('');
   out.push(' ' + D + 'Goal ' + R + B + trunc(goal, width - 7) + R);
+  if (goalShift) {
+    const what = goalShift.kind === 'redirect' ? YLW + '↻ redirected' : CYN + '+ refined';
+    const when = ` ${timeAgo(goalShift.at, now)}: `;
+    out.push('      ' + what + R + D + when + trunc(`"${goalShift.text.replace(/\s+/g, ' ')}"`, width - 20 - when.length) + R);
+  }
+  if (checklist) out.push('', ...checklistLines(checklist, width));
 
   // ── Status box ─────────────────────────────────────────────────────────────
   out.push('');
@@ -110,65 +189,128 @@ function buildLines(state, width) {
   const bar   = scoreColor(score) + '█'.repeat(fill) + R + D + '░'.repeat(barW - fill) + R;
   const slbl  = score !== null ? `${score.toString().padStart(3)}/100` : '---/100';
   out.push(boxLine(` ${D}Momentum${R} ${bar} ${D}${slbl}${R}`, inner));
+
+  // Score sparkline across assessments (colored per point)
+  if (history.length > 1) {
+    const scores = history.slice(-barW).map(h => h.score);
+    const spark  = [...sparkline(scores)].map((ch, i) => scoreColor(scores[i]) + ch + R).join('');
+    const hlbl   = `${history.length} chk`.padStart(8);
+    out.push(boxLine(` ${D}History ${R} ${spark}${' '.repeat(barW - scores.length)}${D}${hlbl}${R}`, inner));
+  }
+  if (git) out.push(boxLine(diffLine(git, inner), inner));
+  const runs = testRuns(events);
+  if (runs.length) out.push(boxLine(testsLine(runs, inner), inner));
   out.push(boxBottom(width, CYN));
 
-  // ── Timeline ───────────────────────────────────────────────────────────────
-  out.push('');
-  const STEP_W    = 3;  // chars per step: "X  " or "██ "
-  const maxSteps  = Math.floor((inner - 2) / STEP_W);
-  const recent    = toolCalls.slice(-maxSteps);
-  const stepLabel = `Timeline · last ${recent.length} of ${stepCount} steps`;
-
-  out.push(boxTop(stepLabel, width, YLW));
-
-  if (recent.length === 0) {
-    out.push(boxLine(D + '  waiting for tool calls…' + R, inner));
-  } else {
-    // Row 1: colored letters
-    let letterRow = ' ';
-    for (const ev of recent) {
-      const t      = TOOL[ev.tool?.name] ?? { l: '?', c: D };
-      const col    = ev.failed ? RED : t.c;
-      const letter = t.l;
-      letterRow += col + B + letter + R + '  ';
-    }
-    out.push(boxLine(letterRow, inner));
-
-    // Row 2: colored block bars
-    let blockRow = ' ';
-    for (const ev of recent) {
-      const t   = TOOL[ev.tool?.name] ?? { l: '?', c: D };
-      const col = ev.failed ? RED : t.c;
-      const blk = ev.failed ? RED + B + '✗✗' + R : col + '██' + R;
-      blockRow += blk + ' ';
+  // ── Signals ────────────────────────────────────────────────────────────────
+  if (signals && panels.signals) {
+    const warn = signals.some(s => s.delta < 0);
+    out.push('');
+    out.push(boxTop(signals.length ? `Signals · ${signals.length} firing` : 'Signals', width, warn ? RED : GRN));
+    if (signals.length === 0) out.push(boxLine(D + '  no signals firing' + R, inner));
+    for (const sig of signals) {
+      const mark  = sig.delta < 0 ? YLW + '⚠' : GRN + '✓';
+      const delta = D + (sig.delta > 0 ? `+${sig.delta}` : String(sig.delta)).padStart(4) + R;
+      out.push(boxLine(` ${mark}${R} ${trunc(sig.text, inner - 9).padEnd(inner - 9)} ${delta}`, inner));
     }
-    out.push(boxLine(blockRow, inner));
-
-    // Row 3: step number markers every 5
-    let numRow = ' ';
-    for (let i = 0; i < recent.length; i++) {
-      const globalStep = stepCount - recent.length + i + 1;
-      if (i === 0 || globalStep % 5 === 0) {
-        const lbl = String(globalStep);
-        numRow += D + lbl + R + ' '.repeat(STEP_W - lbl.length);
-      } else {
-        numRow += ' '.repeat(STEP_W);
+    out.push(boxBottom(width, warn ? RED : GRN));
+  }
+
+  // ── Timeline ───────────────────────────────────────────────────────────────
+  if (panels.timeline) {
+    out.push('');
+    const STEP_W    = 3;  // chars per step: "X  " or "██ "
+    const maxSteps  = Math.floor((inner - 2) / STEP_W);
+    const recent    = toolCalls.slice(-maxSteps);
+    const stepLabel = `Timeline · last ${recent.length} of ${stepCount} steps`;
+
+    out.push(boxTop(stepLabel, width, YLW));
+
+    if (recent.length === 0) {
+      out.push(boxLine(D + '  waiting for tool calls…' + R, inner));
+    } else {
+      // Parallel calls from one assistant message are joined into a single group
+      const joined = recent.map((ev, i) =>
+        i < recent.length - 1 && ev.batchId != null && ev.batchId === recent[i + 1].batchId);
+
+      // Row 1: colored letters
+      let letterRow = ' ';
+      recent.forEach((ev, i) => {
+        const t      = TOOL[ev.tool?.name] ?? { l: '?', c: D };
+        const col    = ev.failed ? RED : t.c;
+        const letter = t.l;
+        letterRow += col + B + letter + R + (joined[i] ? D + '──' + R : '  ');
+      });
+      out.push(boxLine(letterRow, inner));
+
+      // Row 2: colored block bars
+      let blockRow = ' ';
+      recent.forEach((ev, i) => {
+        const t   = TOOL[ev.tool?.name] ?? { l: '?', c: D };
+        const col = ev.failed ? RED : t.c;
+        const blk = ev.failed ? RED + B + '✗✗' + R : col + '██' + R;
+        blockRow += blk + (joined[i] ? D + '▪' + R : ' ');
+      });
+      out.push(boxLine(blockRow, inner));
+
+      // Row 3: step number markers every 5
+      let numRow = ' ';
+      for (let i = 0; i < recent.length; i++) {
+        const globalStep = stepCount - recent.length + i + 1;
+        if (i === 0 || globalStep % 5 === 0) {
+          const lbl = String(globalStep);
+          numRow += D + lbl + R + ' '.repeat(STEP_W - lbl.length);
+        } else {
+          numRow += ' '.repeat(STEP_W);
+        }
       }
+      out.push(boxLine(numRow, inner));
     }
-    out.push(boxLine(numRow, inner));
+
+    // Legend inside timeline box
+    const legendParts = Object.entries(TOOL)
+      .filter(([, v]) => v.label !== 'Glob')  // merge Glob/Read display
+      .map(([, v]) => `${v.c}${v.l}${R}=${D}${v.label}${R}`)
+      .join('  ');
+    out.push(boxLine(' ' + legendParts + `  ${D}──${R}=${D}parallel${R}`, inner));
+    out.push(boxBottom(width, YLW));
   }
 
-  // Legend inside timeline box
-  const legendParts = Object.entries(TOOL)
-    .filter(([, v]) => v.label !== 'Glob')  // merge Glob/Read display
-    .map(([, v]) => `${v.c}${v.l}${R}=${D}${v.label}${R}`)
-    .join('  ');
-  out.push(boxLine(' ' + legendParts, inner));
-  out.push(boxBottom(width, YLW));
+  // ── Subagent lanes ─────────────────────────────────────────────────────────
+  if (subagents.length > 0) {
+    out.push('');
+    out.push(boxTop(`Subagents · ${subagents.length}`, width, PRP));
+
+    for (const lane of subagents.slice(-4)) {
+      const calls  = lane.events.filter(e => e.type === 'tool_call');
+      const fails  = calls.filter(e => e.failed).length;
+      const parent = toolCalls.find(e => e.id === lane.parentId);
+      const mark   = parent?.durationMs != null ? GRN + '✓' + R : YLW + '…' + R;
+      const name   = trunc(lane.description ?? lane.prompt ?? lane.agentId, inner - 24).padEnd(inner - 24);
+      const stats  = `${String(calls.length).padStart(3)} steps ` + (fails > 0 ? RED + `${fails} ✗` + R : D + '0 ✗' + R);
+      out.push(boxLine(` ${mark} ${PRP}${B}T${R} ${name} ${stats}`, inner));
+
+      if (!lanesExpanded) continue;
+
+      const laneMax = Math.floor((inner - 6) / STEP_W);
+      let row = '    ';
+      for (const ev of calls.slice(-laneMax)) {
+        const t = TOOL[ev.tool?.name] ?? { l: '?', c: D };
+        row += (ev.failed ? RED : t.c) + B + t.l + R + '  ';
+      }
+      if (calls.length > 0) out.push(boxLine(row, inner));
+
+      if (lane.signals) {
+        const warn = Object.entries(lane.signals).some(([k, v]) => v.detected && k !== 'goodMomentum');
+        out.push(boxLine('    ' + (warn ? YLW + '⚠ ' : D) + trunc(lane.summary, inner - 7) + R, inner));
+      }
+    }
+    out.push(boxBottom(width, PRP));
+  }
 
   // ── File activity ──────────────────────────────────────────────────────────
   const fileCounts = countFiles(toolCalls);
-  if (fileCounts.length > 0) {
+  if (panels.files && fileCounts.length > 0) {
     out.push('');
     out.push(boxTop('File Activity', width, GRN));
 
@@ -185,7 +327,7 @@ function buildLines(state, width) {
   }
 
   // ── Tool mix ───────────────────────────────────────────────────────────────
-  if (stepCount > 0) {
+  if (panels.mix && stepCount > 0) {
     out.push('');
     out.push(boxTop('Tool Mix', width, MGT));
 
@@ -217,7 +359,8 @@ function buildLines(state, width) {
   // ── Footer bar ─────────────────────────────────────────────────────────────
   const last      = toolCalls[toolCalls.length - 1];
   const lastLabel = last
-    ? `${last.tool?.name ?? '?'} → ${getDetail(last)} (${timeAgo(last.timestamp)})`
+    ? `${last.tool?.name ?? '?'} → ${getDetail(last)} (${timeAgo(last.timestamp, now)}` +
+      (last.durationMs != null ? `, took ${msToHuman(last.durationMs)})` : ')')
     : 'waiting for first tool call…';
 
   out.push('');
@@ -227,19 +370,266 @@ function buildLines(state, width) {
     B + `Step ${stepCount}` + R,
     msToHuman(elapsed),
     errorCount > 0 ? RED + `${errorCount} ✗` + R : GRN + '0 ✗' + R,
-    assessedAt ? D + `assessed ${timeAgo(assessedAt)}` + R : D + 'heuristic only' + R,
+    assessing ? CYN + 'assessing…' + R
+      : assessedAt ? D + `assessed ${timeAgo(assessedAt, now)}` + R : D + 'heuristic only' + R,
+    ...(paused ? [YLW + B + '❚❚ paused' + R] : []),
+    ...(serveUrl ? [D + serveUrl + R] : []),
   ].join(D + '  ·  ' + R);
   out.push(' ' + stats);
+  if (usage && (usage.input || usage.output || usage.monitor.calls)) out.push(' ' + usageLine(usage, width - 2));
+
+  if (replay) {
+    const icon  = replay.finished ? '■' : replay.paused ? '❚❚' : '▶';
+    const label = ` step ${replay.step}/${replay.steps}  ·  ${replay.speed}x`;
+    const barW  = width - label.length - icon.length - 4;
+    const fill  = replay.steps ? Math.round((replay.step / replay.steps) * barW) : 0;
+    out.push(' ' + B + icon + R + ' ' + CYN + '━'.repeat(fill) + R + D + '─'.repeat(barW - fill) + R + label);
+  }
 
   out.push('');
   out.push(D + ' ' + '─'.repeat(width - 2) + R);
-  out.push(D + "  'g' update goal  ·  Ctrl+C stop" + R);
+  if (prompt) out.push(promptLine(prompt, width));
+  out.push(D + (replay ? "  space pause  ·  'n' step  ·  ←/→ seek 10 steps  ·  +/- speed  ·  q quit"
+    : prompt ? '  Enter save  ·  Esc cancel  ·  ↑/↓ earlier goals  ·  Ctrl+U clear'
+    : "  '?' keys  ·  'a' assess  ·  'g' goal  ·  'i' inspect  ·  Ctrl+C stop") + R);
+
+  return out;
+}
 
+// Live-mode keys, for the help overlay; `toggle` names the setting whose state is shown
+const KEYS = [
+  ['Dashboard', [
+    ['a',      'assess now'],
+    ['p',      'pause / resume automatic assessments', 'paused'],
+    ['g',      'set the goal'],
+    ['i',      'inspect steps'],
+    ['t',      'timeline panel',      'timeline'],
+    ['f',      'file activity panel', 'files'],
+    ['m',      'tool mix panel',      'mix'],
+    ['s',      'signals panel',       'signals'],
+    ['l',      'subagent lanes',      'lanes'],
+    ['?',      'this help'],
+    ['Ctrl+C', 'stop'],
+  ]],
+  ['Step inspector', [
+    ['← →  h l',              'previous / next step'],
+    ['↑ ↓  j k  PgUp PgDn',   'scroll'],
+    ['Home End',              'first / last step'],
+    ['0-9 Enter',             'go to step'],
+    ['Esc q',                 'close'],
+  ]],
+  ['Goal input', [
+    ['← →  Home End',         'move (also Ctrl+B/F/A/E)'],
+    ['Ctrl+← →  Alt+B/F',     'move by word'],
+    ['↑ ↓',                   'earlier goals'],
+    ['Ctrl+W Ctrl+U Ctrl+K',  'delete word / to start / to end'],
+    ['Enter  Esc',            'save / cancel'],
+  ]],
+];
+
+function buildHelpLines({ projectSlug = '', panels = PANELS, paused = false, lanesExpanded = true }, width) {
+  const inner   = width - 2;
+  const project = projectSlug.split('-').slice(-2).join('-') || 'session';
+  const on      = { ...panels, paused, lanes: lanesExpanded };
+  const out     = header(` session-monitor  ·  ${project}  ·  keys `, width);
+
+  out.push('');
+  out.push(boxTop('Keys', width, CYN));
+  KEYS.forEach(([section, keys], i) => {
+    if (i > 0) out.push(boxLine('', inner));
+    out.push(boxLine(' ' + B + section + R, inner));
+    for (const [key, what, toggle] of keys) {
+      const state = !toggle ? ''
+        : toggle === 'paused' ? (paused ? YLW + 'paused' : D + 'running') + R
+        : (on[toggle] ? GRN + 'on' : D + 'off') + R;
+      out.push(boxLine(`   ${CYN}${key.padEnd(22)}${R} ${what.padEnd(38)} ${state}`, inner));
+    }
+  });
+  out.push(boxBottom(width, CYN));
+  out.push('');
+  out.push(D + '  any key to close' + R);
+  return out;
+}
+
+/** Step inspector: one tool call's full input and result, scrolled by `inspect.offset` */
+function buildInspectorLines({ inspect, projectSlug = '' }, width) {
+  const { call, step, steps, result, offset = 0, jump = null } = inspect;
+  const inner   = width - 2;
+  const project = projectSlug.split('-').slice(-2).join('-') || 'session';
+  const { height } = inspectorPage();
+  const body    = inspectorBody(call, result, width);
+  const top     = Math.max(0, Math.min(offset, body.length - height));
+  const shown   = body.slice(top, top + height);
+  const out     = header(` session-monitor  ·  ${project}  ·  step inspector `, width);
+
+  const t     = TOOL[call.tool?.name];
+  const facts = [
+    (call.failed ? RED : t?.c ?? WHT) + B + (call.tool?.name ?? '?') + R,
+    D + fmtClock(call.timestamp) + R,
+    call.durationMs != null ? D + `took ${msToHuman(call.durationMs)}` + R : YLW + 'running…' + R,
+    ...(call.failed ? [RED + '✗ failed' + R] : []),
+  ];
+  out.push('');
+  out.push(' ' + facts.join(D + '  ·  ' + R));
+  const range = body.length > height ? ` · lines ${top + 1}–${top + shown.length} of ${body.length}` : '';
+  out.push(boxTop(`Step ${step} of ${steps}${range}`, width, YLW));
+  for (const line of shown) out.push(boxLine(' ' + line, inner));
+  for (let i = shown.length; i < height; i++) out.push(boxLine('', inner)); // fixed height: no jumping footer
+  out.push(boxBottom(width, YLW));
+  out.push('');
+  out.push(jump !== null
+    ? ' ' + B + 'Go to step: ' + R + jump + INV + ' ' + R
+    : D + trunc('  ←/→ step  ·  ↑/↓ PgUp/PgDn scroll  ·  0-9 Enter go to step  ·  Esc close', width) + R);
+  return out;
+}
+
+function buildTopLines({ rows = [], selected = 0, since = '' }, width) {
+  const inner = width - 2;
+  const out   = [];
+
+  out.push(...header(` session-monitor top  ·  ${rows.length} active  ·  ${fmtTime(new Date())} `, width));
+  out.push('');
+
+  // Fixed columns; the goal takes whatever width is left
+  const goalW  = Math.max(10, inner - 61);
+  const header = '  ' + 'Project'.padEnd(18) + 'Goal'.padEnd(goalW + 1) + 'Score'.padEnd(9) +
+    'Steps'.padStart(6) + ' ' + 'Last'.padEnd(16) + 'Idle'.padStart(8);
+  out.push(boxTop(`Sessions · active in last ${since}`, width, CYN));
+  out.push(boxLine(D + header + R, inner));
+
+  if (rows.length === 0) {
+    out.push(boxLine(D + '  no recently active sessions…' + R, inner));
+  }
+
+  rows.forEach((row, i) => {
+    const project = trunc(row.projectSlug.split('-').slice(-2).join('-') || 'session', 17).padEnd(18);
+    const goal    = trunc(row.goal ?? '(no goal)', goalW).padEnd(goalW + 1);
+    const score   = `● ${String(row.score).padStart(3)}`.padEnd(8);
+    const steps   = String(row.steps).padStart(6);
+    const lastT   = row.last ? TOOL[row.last.tool?.name] : null;
+    const last    = row.last
+      ? (row.last.failed ? RED : lastT?.c ?? D) + trunc(`${row.last.tool?.name ?? '?'} ${getDetail(row.last)}`, 15).padEnd(16) + R
+      : D + '—'.padEnd(16) + R;
+    const idle    = msToHuman(row.idleMs).padStart(8);
+
+    const marker  = i === selected ? B + CYN + '▶ ' + R : '  ';
+    const lead    = i === selected ? B : '';
+    out.push(boxLine(
+      marker + lead + project + R + lead + goal + R + scoreColor(row.score) + score + R + ' ' +
+      steps + ' ' + last + D + idle + R, inner));
+  });
+  out.push(boxBottom(width, CYN));
+
+  out.push('');
+  out.push(D + '  ↑/↓ select  ·  Enter open  ·  Esc back  ·  q quit' + R);
   return out;
 }
 
 // ── Box helpers ───────────────────────────────────────────────────────────────
 
+function header(title, width) {
+  return [
+    B + CYN + '╔' + '═'.repeat(width - 2) + '╗' + R,
+    B + CYN + '║' + centerStr(title, width - 2) + '║' + R,
+    B + CYN + '╚' + '═'.repeat(width - 2) + '╝' + R,
+  ];
+}
+
+/** " New goal: fix the bu▌g" — the line editor, scrolled so the cursor stays in view */
+function promptLine({ label, value, cursor }, width) {
+  const chars = [...value];
+  const room  = Math.max(10, width - label.length - 4);
+  const start = Math.max(0, cursor - room + 1);
+  const shown = chars.slice(start, start + room);
+  const at    = cursor - start;
+  return ' ' + B + label + R + (start > 0 ? D + '…' + R : ' ') +
+    shown.slice(0, at).join('') + INV + (shown[at] ?? ' ') + R + shown.slice(at + 1).join('');
+}
+
+const MAX_TASK_LINES = 6;
+
+/** Checklist box: progress bar, open tasks first once the list is long, "done when" criteria */
+function checklistLines({ tasks, done, total, criteria }, width) {
+  const inner = width - 2;
+  const out   = [boxTop(total ? `Checklist · ${done}/${total} done` : 'Checklist', width, GRN)];
+
+  if (total) {
+    const barW = Math.min(total, inner - 4);
+    const fill = Math.round((done / total) * barW);
+    out.push(boxLine(' ' + GRN + '▰'.repeat(fill) + R + D + '▱'.repeat(barW - fill) + R, inner));
+
+    const shown = total > MAX_TASK_LINES
+      ? [...tasks.filter(t => !t.done), ...tasks.filter(t => t.done)].slice(0, MAX_TASK_LINES - 1)
+      : tasks;
+    for (const t of shown) {
+      const mark = t.done ? GRN + '✓' + R : D + '○' + R;
+      const note = t.inferred ? D + ' (looks done)' + R : '';
+      out.push(boxLine(` ${mark} ${trunc(t.text, inner - 5 - (t.inferred ? 13 : 0))}${note}`, inner));
+    }
+    if (shown.length < total) out.push(boxLine(D + `   … ${total - shown.length} more` + R, inner));
+  }
+
+  if (criteria.length) {
+    const each  = Math.floor((inner - 11) / criteria.length) - 5; // room per criterion after its mark
+    const marks = criteria.map(c =>
+      (c.met === true ? GRN + '✓' : c.met === false ? RED + '✗' : D + '·') + R + ' ' + trunc(c.text, Math.max(each, 6)));
+    out.push(boxLine(' ' + D + 'Done when ' + R + marks.join('   '), inner));
+  }
+  out.push(boxBottom(width, GRN));
+  return out;
+}
+
+/** "Spend $3.21 (turn $0.42) · $1.80/h · 1.2M in · 45k out · monitor $0.004 · 32% of $10" */
+function usageLine(u, max) {
+  const inTokens = u.input + u.cacheWrite + u.cacheRead;
+  const parts = [
+    B + 'Spend ' + fmtUsd(u.cost) + R + D + ` (turn ${fmtUsd(u.turn.cost)})` + R + (u.unpriced.length ? YLW + '+?' + R : ''),
+    `${fmtUsd(u.burnPerHour)}/h`,
+    D + `${fmtTokens(inTokens)} in · ${fmtTokens(u.output)} out` + R,
+    D + `monitor ${fmtUsd(u.monitor.cost)}` + R,
+  ];
+  if (u.budgetUsd) {
+    const pct = Math.round((u.totalCost / u.budgetUsd) * 100);
+    const col = pct >= 100 ? RED + B : pct >= 80 ? YLW : D;
+    parts.push(col + `${pct}% of ${fmtUsd(u.budgetUsd)}` + R);
+  }
+  while (parts.length > 1 && stripAnsi(parts.join('  ·  ')).length > max) parts.splice(-2, 1); // drop detail, keep budget
+  return parts.join(D + '  ·  ' + R);
+}
+
+/** " Diff     ▂▃▅▆█  +320 −45 · 7 files vs main · 120 uncommitted · 2 reverted" — trend scaled to its peak */
+function diffLine(git, inner) {
+  const stats = GRN + `+${git.added}` + R + ' ' + RED + `−${git.removed}` + R +
+    D + ` · ${git.files.length} file${git.files.length === 1 ? '' : 's'} vs ${git.base ?? 'empty repo'}` + R;
+  const extra = [];
+  const open  = git.uncommitted.added + git.uncommitted.removed;
+  if (open)              extra.push(D + `${open} uncommitted` + R);
+  if (git.recentReverts) extra.push(YLW + `${git.recentReverts} reverted` + R);
+  const tail  = [stats, ...extra].join(D + ' · ' + R);
+
+  const room  = Math.max(0, inner - 12 - stripAnsi(tail).length);
+  const lines = git.samples.map(s => s.lines).slice(-room);
+  const peak  = Math.max(1, ...lines);
+  const spark = CYN + sparkline(lines.map(n => (n / peak) * 99)) + R;
+  const line  = ` ${D}Diff    ${R} ${spark}${lines.length ? ' ' : ''}${tail}`;
+  return stripAnsi(line).length > inner ? ` ${D}Diff    ${R} ${spark} ${stats}` : line;
+}
+
+/** " Tests    ▇▇▁▁█ 12 passed · 2 failed · 6 runs" — one tick per run: pass rate, red when it failed */
+function testsLine(runs, inner) {
+  const last  = runs.at(-1);
+  const stats = last.failed === null
+    ? (last.ok ? GRN + 'passing' : RED + 'failing') + R
+    : GRN + `${last.passed ?? '?'} passed` + R + D + ' · ' + R + (last.failed ? RED : D) + `${last.failed} failed` + R;
+  const tail  = stats + D + ` · ${runs.length} run${runs.length === 1 ? '' : 's'}` + R;
+  const shown = runs.slice(-Math.max(0, inner - 12 - stripAnsi(tail).length));
+  const spark = shown.map(r => {
+    const rate = r.failed === null || r.passed === null ? (r.ok ? 100 : 0) : (r.passed / Math.max(1, r.passed + r.failed)) * 99;
+    return (r.ok ? GRN : RED) + sparkline([rate]) + R;
+  }).join('');
+  return ` ${D}Tests   ${R} ${spark} ${tail}`;
+}
+
 function boxTop(title, width, col = D) {
   const inner = width - 2;
   const t     = title ? `─ ${title} ` : '';
@@ -260,27 +650,35 @@ function boxLine(content, innerWidth) {
 
 // ── Data helpers ──────────────────────────────────────────────────────────────
 
-/** Count edits+writes per file, sorted desc */
-function countFiles(toolCalls) {
-  const map = new Map();
-  for (const ev of toolCalls) {
-    const name = ev.tool?.name;
-    if (name !== 'Edit' && name !== 'Write') continue;
-    const fp = ev.tool?.input?.file_path ?? ev.tool?.input?.notebook_path ?? '';
-    if (!fp) continue;
-    map.set(fp, (map.get(fp) ?? 0) + 1);
+/** A tool call's input as [color, text] lines: commands, edits as -/+ lines, written content, else JSON */
+function inputLines({ name, input = {} }) {
+  const file = input.file_path ?? input.notebook_path ?? '';
+  const diff = (from, to) => [
+    ...String(from ?? '').split('\n').map(l => [RED, '- ' + l]),
+    ...String(to ?? '').split('\n').map(l => [GRN, '+ ' + l]),
+  ];
+  switch (name) {
+    case 'Bash':      return [...(input.description ? [[D, input.description]] : []), [YLW, '$ ' + (input.command ?? '')]];
+    case 'Edit':      return [[B, file], ...diff(input.old_string, input.new_string)];
+    case 'MultiEdit': return [[B, file], ...(input.edits ?? []).flatMap((e, i) => [[D, `edit ${i + 1}`], ...diff(e.old_string, e.new_string)])];
+    case 'Write':     return [[B, file], ...String(input.content ?? '').split('\n').map(l => ['', l])];
+    default:          return JSON.stringify(input, null, 2).split('\n').map(l => ['', l]);
   }
-  return [...map.entries()].sort((a, b) => b[1] - a[1]);
 }
 
-/** Count occurrences per tool type, sorted desc */
-function countTools(toolCalls) {
-  const map = new Map();
-  for (const ev of toolCalls) {
-    const n = ev.tool?.name ?? '?';
-    map.set(n, (map.get(n) ?? 0) + 1);
+/** Hard-wrap text to `width` columns, without escape sequences and control characters (tabs → 2 spaces) */
+function wrap(text, width) {
+  const clean = String(text ?? '')
+    .replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '')
+    .replace(/\t/g, '  ')
+    .replace(/[\x00-\x09\x0b-\x1f\x7f]/g, '');
+  const out = [];
+  for (const line of clean.split('\n')) {
+    const chars = [...line];
+    if (chars.length === 0) out.push('');
+    for (let i = 0; i < chars.length; i += width) out.push(chars.slice(i, i + width).join(''));
   }
-  return [...map.entries()].sort((a, b) => b[1] - a[1]);
+  return out;
 }
 
 function getDetail(ev) {
@@ -320,6 +718,11 @@ function stripAnsi(str) {
   return (str ?? '').replace(/\x1b\[[0-9;]*m/g, '');
 }
 
+function fmtClock(ts) {
+  const d = new Date(ts);
+  return Number.isNaN(d.getTime()) ? '' : d.toLocaleTimeString('en-US', { hour12: false });
+}
+
 function fmtTime(d) {
   return d.toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' });
 }
@@ -0,0 +1,173 @@
+// src/eval.mjs — score a directory of labeled transcripts (`session-monitor eval`)
+//
+// Each `<name>.jsonl` transcript needs a sidecar `<name>.labels.json`:
+//
+//   {
+//     "goal": "optional — defaults to the first user message, revised by later ones like the monitor does",
+//     "ranges": [
+//       { "from": 1,  "to": 12, "status": "ON TRACK" },
+//       { "from": 13, "to": 20, "status": "STUCK", "signals": ["loop", "errorStreak"] }
+//     ]
+//   }
+//
+// Steps are 1-based tool calls. `signals` is optional; ranges that list it are
+// also scored per signal (listed = expected to fire, anything else = expected quiet).
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { readAll } from './tail.mjs';
+import { normalizeAll, detectGoal } from './transcript.mjs';
+import { detectSignals, signalSummary, heuristicScore, firedSignals } from './signals.mjs';
+import { assess } from './assess.mjs';
+import { scoreToStatus } from './utils.mjs';
+import { DEFAULTS } from './config.mjs';
+import { toGoal, goalTimeline, effectiveGoal, goalSince } from './goal.mjs';
+
+export const STATUSES = ['ON TRACK', 'HEADS UP', 'DRIFTING', 'STUCK'];
+
+/**
+ * Replay every labeled transcript in `dir` and compare predictions with the labels.
+ *
+ * Heuristic mode scores every labeled step. With `useAssess`, assess() runs at the
+ * monitor's cadence (every `assessEveryNCalls` steps) and only those steps are scored.
+ *
+ * @param {string} dir
+ * @param {object} opts
+ * @param {object}  opts.config    — effective config (loadConfig())
+ * @param {boolean} opts.useAssess — score assess() instead of heuristicScore()
+ * @param {object}  opts.provider  — provider passed to assess(), e.g. createStubProvider()
+ * @returns {Promise<object>} { mode, files, skipped, total, correct, accuracy, confusion, signals, fallbacks }
+ */
+export async function evaluate(dir, { config = DEFAULTS, useAssess = false, provider } = {}) {
+  const names = fs.readdirSync(dir).filter(f => f.endsWith('.jsonl')).sort();
+  const confusion = Object.fromEntries(STATUSES.map(e => [e, Object.fromEntries(STATUSES.map(p => [p, 0]))]));
+  const counts    = {}; // signal → { tp, fp, fn }
+  const files     = [];
+  const skipped   = [];
+  let fallbacks   = 0;
+
+  for (const name of names) {
+    const labelPath = path.join(dir, name.replace(/\.jsonl$/, '.labels.json'));
+    if (!fs.existsSync(labelPath)) { skipped.push(name); continue; }
+    const labels = readLabels(labelPath);
+
+    const events = normalizeAll(await readAll(path.join(dir, name)));
+    const goal   = labels.goal ?? detectGoal(events) ?? '';
+    const file   = { file: name, steps: 0, scored: 0, correct: 0 };
+
+    let step = 0;
+    for (let i = 0; i < events.length; i++) {
+      if (events[i].type !== 'tool_call') continue;
+      step++;
+      const range = labels.ranges.find(r => step >= r.from && step <= r.to);
+      if (!range) continue;
+      if (useAssess && step % config.monitor.assessEveryNCalls !== 0) continue;
+
+      const prefix  = events.slice(0, i + 1);
+      const { current, since } = currentGoal(goal, prefix, labels.goal !== undefined, config);
+      const signals = detectSignals(prefix, current, config.signals, { since });
+      let status;
+      if (useAssess) {
+        const result = await assess(current, prefix, signals, signalSummary(signals), config, provider);
+        if (result.source !== 'api') fallbacks++;
+        status = result.status;
+      } else {
+        status = scoreToStatus(heuristicScore(signals, config.scoring));
+      }
+
+      confusion[range.status][status]++;
+      file.scored++;
+      if (status === range.status) file.correct++;
+
+      if (range.signals) {
+        const fired = new Set(firedSignals(signals));
+        for (const s of new Set([...fired, ...range.signals])) {
+          const c = counts[s] ??= { tp: 0, fp: 0, fn: 0 };
+          const expected = range.signals.includes(s);
+          if (expected && fired.has(s)) c.tp++;
+          else if (fired.has(s)) c.fp++;
+          else c.fn++;
+        }
+      }
+    }
+    file.steps = step;
+    file.accuracy = ratio(file.correct, file.scored);
+    files.push(file);
+  }
+
+  const total   = files.reduce((n, f) => n + f.scored, 0);
+  const correct = files.reduce((n, f) => n + f.correct, 0);
+  const signals = Object.fromEntries(Object.entries(counts).sort().map(([s, c]) => [s, {
+    ...c,
+    precision: ratio(c.tp, c.tp + c.fp),
+    recall:    ratio(c.tp, c.tp + c.fn),
+  }]));
+
+  return {
+    mode: useAssess ? 'assess' : 'heuristic',
+    files,
+    skipped,
+    total,
+    correct,
+    accuracy: ratio(correct, total),
+    confusion,
+    signals,
+    fallbacks,
+  };
+}
+
+/**
+ * Stand-in assessor provider, for running assess() offline.
+ * @param {Function} respond — ({ system, prompt }) → { score, status, reason, suggestion } (may be async)
+ */
+export function createStubProvider(respond) {
+  return {
+    name:     'stub',
+    complete: async (request) => ({ text: JSON.stringify(await respond(request)), usage: null }),
+  };
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+function readLabels(file) {
+  const label = path.basename(file);
+  let labels;
+  try {
+    labels = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${label}: invalid JSON (${err.message})`);
+  }
+  if (labels?.goal !== undefined && typeof labels.goal !== 'string') {
+    throw new Error(`${label}: "goal" must be a string`);
+  }
+  if (!Array.isArray(labels?.ranges)) throw new Error(`${label}: "ranges" must be an array`);
+
+  labels.ranges.forEach((r, i) => {
+    const where = `${label}: ranges[${i}]`;
+    if (!Number.isInteger(r.from) || !Number.isInteger(r.to) || r.from < 1 || r.to < r.from) {
+      throw new Error(`${where}: "from"/"to" must be step numbers with 1 <= from <= to`);
+    }
+    if (!STATUSES.includes(r.status)) {
+      throw new Error(`${where}: "status" must be one of ${STATUSES.join(', ')}`);
+    }
+    if (r.signals !== undefined && !(Array.isArray(r.signals) && r.signals.every(s => typeof s === 'string'))) {
+      throw new Error(`${where}: "signals" must be an array of signal names`);
+    }
+  });
+  return labels;
+}
+
+/**
+ * The goal at this point of the transcript and when it took effect (goalSince()):
+ * a labeled goal is fixed, a detected one follows the follow-ups
+ */
+function currentGoal(goal, prefix, fixed, config) {
+  const base = toGoal(goal);
+  if (!base || fixed || config.goals.followUps === 'off') return { current: base, since: null };
+  const timeline = goalTimeline(base, prefix);
+  return { current: effectiveGoal(base, timeline), since: goalSince(base, prefix, timeline) };
+}
+
+function ratio(n, d) {
+  return d === 0 ? null : n / d;
+}
@@ -0,0 +1,285 @@
+// src/git.mjs — progress as git sees it: the project's diff against its base branch over time
+// Polls the working tree of the session's project directory and keeps a short history of
+// diff sizes, plus the hunks that were written and later taken out again (reverts).
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { execFile } from 'node:child_process';
+import { DEFAULTS } from './config.mjs';
+
+const GIT_TIMEOUT_MS  = 5000;
+const MAX_BUFFER      = 32 * 1024 * 1024;
+const MAX_SAMPLES     = 120;              // diff-size history kept for the trend
+const RECENT_MS       = 10 * 60_000;      // reverts and churn are judged over the last 10 minutes
+const MAX_FILE_BYTES  = 1024 * 1024;      // untracked files larger than this aren't read
+const EMPTY_TREE      = '4b825dc642cb6eb9a060e54bf8d69288fbee4904'; // base of a repo with no commits
+const DEFAULT_BRANCHES = ['main', 'master', 'origin/main', 'origin/master'];
+
+/**
+ * Read the working tree once.
+ * @param {string} cwd        — project directory (any directory inside the repo)
+ * @param {string} baseBranch — config.git.baseBranch; empty = origin's default branch, main or master
+ * @returns {Promise<object|null>} null outside a git repo:
+ *   { at, root, base, files: { file, added, removed }[], added, removed,
+ *     uncommitted: { added, removed, files, untracked }, hunks: Map<key, { file, lines, sign }> }
+ *   file paths are absolute; untracked files count as added lines
+ */
+export async function readGitSnapshot(cwd, baseBranch = DEFAULTS.git.baseBranch) {
+  const root = (await git(cwd, ['rev-parse', '--show-toplevel']).catch(() => '')).trim();
+  if (!root) return null;
+
+  const head  = await revParse(root, 'HEAD');
+  const base  = head ? await resolveBase(root, baseBranch) : null;
+  const since = !head ? EMPTY_TREE
+    : base ? (await git(root, ['merge-base', 'HEAD', base]).catch(() => '')).trim() || head
+    : head;
+
+  const [numstat, headNumstat, patch, untrackedOut] = await Promise.all([
+    git(root, ['diff', '--numstat', '-z', '--no-renames', since]),
+    head ? git(root, ['diff', '--numstat', '-z', '--no-renames', 'HEAD']) : Promise.resolve(null),
+    git(root, ['-c', 'core.quotePath=false', 'diff', '-U0', '--no-color', '--no-renames', since]),
+    git(root, ['ls-files', '--others', '--exclude-standard', '-z']),
+  ]);
+
+  const files     = parseNumstat(numstat, root);
+  const hunks     = parseHunks(patch, root);
+  const untracked = untrackedOut.split('\0').filter(Boolean);
+  const fresh     = [];
+  for (const rel of untracked) {
+    const file    = path.join(root, rel);
+    const content = readSmall(file);
+    if (content === null) continue;
+    const lines = content ? content.split('\n').length - (content.endsWith('\n') ? 1 : 0) : 0;
+    fresh.push({ file, added: lines, removed: 0 });
+    hunks.set(hunkKey(file, '+', content), { file, lines, sign: '+' });
+  }
+  files.push(...fresh);
+
+  const sum = (list, k) => list.reduce((n, f) => n + f[k], 0);
+  const uncommittedFiles = headNumstat === null ? files : [...parseNumstat(headNumstat, root), ...fresh];
+
+  return {
+    at:      Date.now(),
+    root,
+    base:    base ?? (head ? 'HEAD' : null),
+    files:   files.sort((a, b) => (b.added + b.removed) - (a.added + a.removed)),
+    added:   sum(files, 'added'),
+    removed: sum(files, 'removed'),
+    uncommitted: {
+      added:     sum(uncommittedFiles, 'added'),
+      removed:   sum(uncommittedFiles, 'removed'),
+      files:     uncommittedFiles.length,
+      untracked: untracked.length,
+    },
+    hunks,
+  };
+}
+
+/**
+ * Follow snapshots of one working tree: diff-size trend, churn and reverted hunks.
+ * A hunk counts as reverted when it disappears and its file's diff shrinks by at least
+ * its size — reworking a hunk changes it, removing it makes the diff smaller.
+ * @returns {{ push: (snapshot) => void, state: (now?: number) => object|null }}
+ */
+export function createGitTracker() {
+  const samples = [];  // { at, lines, uncommitted }
+  const reverts = [];  // { at, file, lines }
+  const churn   = [];  // { at, lines } — lines changed between consecutive snapshots
+  let last = null;
+
+  function push(snap) {
+    if (!snap) return;
+    if (last) {
+      const prevFiles = byFile(last.files);
+      const nextFiles = byFile(snap.files);
+      let changed = 0;
+      for (const file of new Set([...prevFiles.keys(), ...nextFiles.keys()])) {
+        const a = prevFiles.get(file) ?? { added: 0, removed: 0 };
+        const b = nextFiles.get(file) ?? { added: 0, removed: 0 };
+        changed += Math.abs(b.added - a.added) + Math.abs(b.removed - a.removed);
+      }
+      if (changed) churn.push({ at: snap.at, lines: changed });
+
+      for (const [key, h] of last.hunks) {
+        if (snap.hunks.has(key)) continue;
+        const col    = h.sign === '+' ? 'added' : 'removed';
+        const before = prevFiles.get(h.file)?.[col] ?? 0;
+        const after  = nextFiles.get(h.file)?.[col] ?? 0;
+        if (before - after >= h.lines) reverts.push({ at: snap.at, file: h.file, lines: h.lines });
+      }
+    }
+    samples.push({ at: snap.at, lines: snap.added + snap.removed, uncommitted: snap.uncommitted.added + snap.uncommitted.removed });
+    if (samples.length > MAX_SAMPLES) samples.shift();
+    last = snap;
+  }
+
+  /**
+   * @returns {{ root, base, added, removed, files: { file, added, removed }[], uncommitted: object,
+   *            samples: { at, lines, uncommitted }[], reverts: { at, file, lines }[],
+   *            recentReverts: number, recentChurn: number } | null} null before the first snapshot
+   */
+  function state(now = Date.now()) {
+    if (!last) return null;
+    const recent = (list) => list.filter(x => now - x.at <= RECENT_MS);
+    return {
+      root:          last.root,
+      base:          last.base,
+      added:         last.added,
+      removed:       last.removed,
+      files:         last.files,
+      uncommitted:   last.uncommitted,
+      samples:       [...samples],
+      reverts:       reverts.slice(-20),
+      recentReverts: recent(reverts).length,
+      recentChurn:   recent(churn).reduce((n, c) => n + c.lines, 0),
+    };
+  }
+
+  return { push, state };
+}
+
+/**
+ * Poll a project's working tree every `pollMs` (config.git).
+ * @param {string|null} cwd — project directory; null (or pollMs 0) = never polls, state() stays null
+ * @returns {{ state: () => object|null, stop: () => void }}
+ */
+export function watchGit(cwd, opts = DEFAULTS.git) {
+  const tracker = createGitTracker();
+  if (!cwd || !opts.pollMs) return { state: () => null, stop: () => {} };
+
+  let busy = false;
+  let stopped = false;
+  async function poll() {
+    if (busy || stopped) return;
+    busy = true;
+    try { tracker.push(await readGitSnapshot(cwd, opts.baseBranch)); } catch { /* repo busy or gone; next poll */ }
+    busy = false;
+  }
+
+  poll();
+  const timer = setInterval(poll, opts.pollMs);
+
+  return {
+    state: () => tracker.state(),
+    stop:  () => { stopped = true; clearInterval(timer); },
+  };
+}
+
+/**
+ * One-shot: a tracker state from a single snapshot (for status); no trend or reverts.
+ * @returns {Promise<object|null>}
+ */
+export async function readGit(cwd, opts = DEFAULTS.git) {
+  if (!cwd || !opts.pollMs) return null;
+  const tracker = createGitTracker();
+  try { tracker.push(await readGitSnapshot(cwd, opts.baseBranch)); } catch { return null; }
+  return tracker.state();
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+function git(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: MAX_BUFFER, encoding: 'utf8' },
+      (err, stdout) => err ? reject(err) : resolve(stdout));
+  });
+}
+
+async function revParse(root, ref) {
+  return (await git(root, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).catch(() => '')).trim() || null;
+}
+
+/** The configured base branch, else origin's default branch, else main / master; null if none exists */
+async function resolveBase(root, baseBranch) {
+  if (baseBranch) return (await revParse(root, baseBranch)) ? baseBranch : null;
+  const originHead = (await git(root, ['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD']).catch(() => '')).trim();
+  for (const ref of [originHead, ...DEFAULT_BRANCHES].filter(Boolean)) {
+    if (await revParse(root, ref)) return ref;
+  }
+  return null;
+}
+
+/** `git diff --numstat -z` → { file, added, removed }[] (binary files count 0 lines) */
+function parseNumstat(out, root) {
+  return out.split('\0').filter(Boolean).map(record => {
+    const [, a, r, file] = record.match(/^([^\t]*)\t([^\t]*)\t(.*)$/s); // without renames the path follows, unquoted
+    return { file: path.join(root, file), added: Number(a) || 0, removed: Number(r) || 0 };
+  });
+}
+
+/** `git diff -U0` → one entry per run of added or removed lines, keyed by file + content */
+function parseHunks(patch, root) {
+  const hunks = new Map();
+  let file = null;
+  let run  = null;
+  let header = false; // between "diff --git" and the file's first "@@": the only place ---/+++ are paths
+  const flush = () => {
+    if (run && file) hunks.set(hunkKey(file, run.sign, run.text.join('\n')), { file, lines: run.text.length, sign: run.sign });
+    run = null;
+  };
+
+  for (const line of patch.split('\n')) {
+    if (line.startsWith('diff --git ')) { flush(); file = null; header = true; continue; }
+    if (header && line.startsWith('+++ ')) {
+      flush();
+      const p = headerPath(line);
+      file = p === '/dev/null' ? file : path.join(root, p.replace(/^b\//, ''));
+      continue;
+    }
+    if (header && line.startsWith('--- ')) {
+      const p = headerPath(line);
+      if (p !== '/dev/null') file = path.join(root, p.replace(/^a\//, ''));
+      continue;
+    }
+    if (line.startsWith('@@')) { flush(); header = false; continue; }
+    if (header) continue;
+    const sign = line[0];
+    if (sign !== '+' && sign !== '-') { flush(); continue; }
+    if (run && run.sign !== sign) flush();
+    run ??= { sign, text: [] };
+    run.text.push(line.slice(1));
+  }
+  flush();
+  return hunks;
+}
+
+/**
+ * The path of a `---`/`+++` line. Git ends it with a tab when the name contains a space,
+ * and C-quotes names with control characters, quotes or backslashes ("a/tab\there").
+ */
+function headerPath(line) {
+  const p = line.slice(4).replace(/\t$/, '');
+  if (!p.startsWith('"')) return p;
+  const bytes = [];
+  for (let i = 1; i < p.length - 1; i++) {
+    if (p[i] !== '\\') {
+      const ch = String.fromCodePoint(p.codePointAt(i));
+      bytes.push(...Buffer.from(ch));
+      i += ch.length - 1;
+      continue;
+    }
+    const esc = p[++i];
+    if (/[0-7]/.test(esc)) { bytes.push(parseInt(p.slice(i, i + 3), 8)); i += 2; continue; }
+    bytes.push(({ a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13 })[esc] ?? esc.charCodeAt(0));
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+function hunkKey(file, sign, text) {
+  return `${file}\u0000${sign}${crypto.createHash('sha1').update(text).digest('hex')}`;
+}
+
+function byFile(files) {
+  return new Map(files.map(f => [f.file, f]));
+}
+
+function readSmall(file) {
+  try {
+    const st = fs.statSync(file);
+    if (!st.isFile() || st.size > MAX_FILE_BYTES) return null;
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
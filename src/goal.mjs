@@ -0,0 +1,230 @@
+// src/goal.mjs — structured goals: title, sub-task checklist, scope globs, "done when" criteria
+//
+// A plain goal (goal.txt, --goal, the first user message) is a goal with only a title.
+// The structured form lives in ~/.session-monitor/{sessionId}/goal.json:
+//
+//   {
+//     "title": "Fix the flaky login test",
+//     "tasks": [
+//       { "text": "Find why the redirect times out", "done": true },
+//       "Add a regression test"
+//     ],
+//     "inScope":    ["src/auth/**", "test/auth.spec.ts"],
+//     "outOfScope": ["test/mock-server/**"],
+//     "doneWhen":   [{ "text": "auth tests pass", "command": "npx jest auth" }, "No new lint warnings"]
+//   }
+//
+// Scope globs are relative to the project (they match from any directory boundary) or
+// absolute. A "done when" criterion with a command is met once the agent's latest run
+// of that command succeeds.
+
+import { globToRegExp } from './utils.mjs';
+
+const LIST_KEYS = ['tasks', 'inScope', 'outOfScope', 'doneWhen'];
+
+/**
+ * Normalize a goal: text → { title }, goal.json contents → validated goal.
+ * @param {string|object|null} goal
+ * @returns {{ title: string, tasks: { text, done }[], inScope: string[], outOfScope: string[],
+ *            doneWhen: { text, command }[] } | null} null for an empty goal
+ * @throws {Error} if an object goal is malformed
+ */
+export function toGoal(goal) {
+  if (goal === null || goal === undefined) return null;
+  if (typeof goal === 'string') {
+    const title = goal.trim();
+    return title ? { title, tasks: [], inScope: [], outOfScope: [], doneWhen: [] } : null;
+  }
+  return validateGoal(goal);
+}
+
+/**
+ * @param {object} raw   — parsed goal.json
+ * @param {string} label — prefix for error messages
+ * @throws {Error} `${label}: ...` describing the first problem found
+ */
+export function validateGoal(raw, label = 'goal') {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${label}: must be a JSON object`);
+  if (typeof raw.title !== 'string' || !raw.title.trim()) throw new Error(`${label}: "title" must be a non-empty string`);
+  for (const key of LIST_KEYS) {
+    if (raw[key] !== undefined && !Array.isArray(raw[key])) throw new Error(`${label}: "${key}" must be an array`);
+  }
+
+  const tasks = (raw.tasks ?? []).map((t, i) => {
+    if (typeof t === 'string' && t.trim()) return { text: t.trim(), done: false };
+    if (typeof t?.text === 'string' && t.text.trim() && (t.done === undefined || typeof t.done === 'boolean')) {
+      return { text: t.text.trim(), done: t.done ?? false };
+    }
+    throw new Error(`${label}: tasks[${i}] must be a string or { "text": string, "done"?: boolean }`);
+  });
+
+  const globs = (key) => (raw[key] ?? []).map((g, i) => {
+    if (typeof g !== 'string' || !g.trim()) throw new Error(`${label}: ${key}[${i}] must be a non-empty glob string`);
+    return g.trim();
+  });
+
+  const doneWhen = (raw.doneWhen ?? []).map((c, i) => {
+    if (typeof c === 'string' && c.trim()) return { text: c.trim(), command: null };
+    const command = typeof c?.command === 'string' && c.command.trim() ? c.command.trim() : null;
+    const text    = typeof c?.text === 'string' && c.text.trim() ? c.text.trim() : command;
+    if (!text || (c.command != null && !command)) {
+      throw new Error(`${label}: doneWhen[${i}] must be a string or { "text"?: string, "command"?: string } with at least one of them`);
+    }
+    return { text, command };
+  });
+
+  return { title: raw.title.trim(), tasks, inScope: globs('inScope'), outOfScope: globs('outOfScope'), doneWhen };
+}
+
+/** True when the goal carries more than a title (checklist, scope or criteria) */
+export function isStructured(goal) {
+  return !!goal && LIST_KEYS.some(k => goal[k].length > 0);
+}
+
+/**
+ * Where a file falls relative to the goal's scope globs.
+ * @returns {'excluded'|'in'|'out'|null} excluded: matches outOfScope; out: misses every inScope glob;
+ *          null when the goal has no opinion (no inScope globs and no outOfScope match)
+ */
+export function scopeOf(goal, file) {
+  if (!goal || !file) return null;
+  if (goal.outOfScope.some(g => globToRegExp(g).test(file))) return 'excluded';
+  if (goal.inScope.length === 0) return null;
+  return goal.inScope.some(g => globToRegExp(g).test(file)) ? 'in' : 'out';
+}
+
+/**
+ * Checklist progress: tasks ticked by the user or judged complete by the assessor,
+ * and whether each "done when" command's latest run passed.
+ * @param {object}   goal     — toGoal() result
+ * @param {object[]} events   — normalized timeline events
+ * @param {number[]} inferred — 1-based task numbers the latest assessment considers complete
+ * @returns {{ tasks: { text, done, inferred }[], done: number, total: number,
+ *            criteria: { text, command, met: boolean|null }[] }} met is null until the command has run
+ */
+export function goalProgress(goal, events, inferred = []) {
+  const tasks = goal.tasks.map((t, i) => ({
+    text:     t.text,
+    done:     t.done || inferred.includes(i + 1),
+    inferred: !t.done && inferred.includes(i + 1),
+  }));
+
+  const runs = events.filter(e => e.type === 'tool_call' && e.tool?.name === 'Bash');
+  const criteria = goal.doneWhen.map(c => {
+    if (!c.command) return { ...c, met: null };
+    const last = runs.findLast(e => (e.tool.input?.command ?? '').includes(c.command));
+    return { ...c, met: !last || last.result === null ? null : !last.failed };
+  });
+
+  return { tasks, done: tasks.filter(t => t.done).length, total: tasks.length, criteria };
+}
+
+// ── Goal timeline ────────────────────────────────────────────────────────────
+// Every user message after the goal was set is a revision candidate: a refinement adds
+// to the goal (it becomes a checklist item), a redirect replaces it, chit-chat is ignored.
+
+export const REVISION_KINDS = ['refinement', 'redirect', 'chit-chat'];
+
+const MAX_REVISION_CHARS = 500;
+
+// Harness-injected "user" messages: slash commands, interrupts, reminders
+const INJECTED   = /^\s*(?:<[a-z-]+>|\[Request interrupted)/i;
+const ACK        = /^(?:thanks?|thank you|thx|ok(?:ay)?|cool|great|nice|good|perfect|awesome|yes|yep|yeah|no|nope|sure|lgtm|continue|go on|go ahead|keep going|proceed|carry on|sounds good|looks good|do it|please do)\b/i;
+const REDIRECT   = /\b(?:forget (?:about )?(?:that|this|it)|never ?mind|scratch that|scrap (?:that|this|it)|change of plans?|new task|different task|switch (?:to|gears)|stop (?:working on|doing)|drop (?:that|this|it)|let'?s (?:move on|do something else|work on something else)|no longer need)\b/i;
+const REFINEMENT = /\b(?:also|additionally|as well|in addition|too|don'?t forget|make sure|while you'?re at it|one more thing|btw|and then|but (?:keep|make|don'?t)|without (?:breaking|changing|touching)|instead of)\b/i;
+const SHIFT      = /^(?:actually|instead|rather|wait)\b/i;
+
+/**
+ * Classify a follow-up message with keyword heuristics.
+ * @returns {{ kind: 'refinement'|'redirect'|'chit-chat', confident: boolean }}
+ *          not confident = a guess worth a second opinion (config goals.followUps = "assessor")
+ */
+export function classifyFollowUp(text) {
+  const t     = String(text ?? '').trim();
+  const words = t.split(/\s+/).filter(Boolean).length;
+
+  if (!t || INJECTED.test(t))       return { kind: 'chit-chat', confident: true };
+  if (REDIRECT.test(t))             return { kind: 'redirect', confident: true };
+  if (REFINEMENT.test(t))           return { kind: 'refinement', confident: true };
+  if (ACK.test(t) && words <= 4)    return { kind: 'chit-chat', confident: true };
+  if (SHIFT.test(t))                return { kind: 'redirect', confident: false };
+  if (t.endsWith('?') || words < 3) return { kind: 'chit-chat', confident: false };
+  return { kind: 'refinement', confident: false };
+}
+
+/**
+ * User messages sent after the goal was set: after the message the goal came from,
+ * else after setAt (a goal typed into the CLI), else after the first message.
+ * @param {object[]} events
+ * @param {string}   title — the goal's title
+ * @param {number|null} setAt — epoch ms the goal was set, when it isn't a transcript message
+ */
+export function followUps(events, title, setAt = null) {
+  const users = events.filter(e => e.type === 'user_message');
+  const from  = users.findIndex(e => messageText(e) === title);
+  if (from !== -1)    return users.slice(from + 1).filter(e => e.text?.trim());
+  if (setAt !== null) return users.filter(e => e.text?.trim() && Date.parse(e.timestamp) > setAt);
+  return users.slice(1).filter(e => e.text?.trim());
+}
+
+/**
+ * Classify every follow-up to the goal, oldest first.
+ * @param {object}   goal   — toGoal() result (the base goal, before any revision)
+ * @param {object[]} events
+ * @param {object}   opts
+ * @param {number|null} opts.setAt — see followUps()
+ * @param {Map<string, object>} opts.known — revisionKey() → earlier entry (e.g. a model's verdict), reused as is
+ * @param {boolean}  opts.guesses — keep the heuristics' unconfident guesses (goals.followUps = "assessor",
+ *                                  which asks the model about them); otherwise they count as chit-chat
+ * @returns {{ at: string, text: string, kind: string, source: 'heuristic'|'api', confident: boolean }[]}
+ */
+export function goalTimeline(goal, events, { setAt = null, known = new Map(), guesses = false } = {}) {
+  if (!goal) return [];
+  return followUps(events, goal.title, setAt).map(e => {
+    const text = messageText(e);
+    const r = known.get(revisionKey(e.timestamp, text)) ??
+      { at: e.timestamp, text, ...classifyFollowUp(text), source: 'heuristic' };
+    return guesses || r.confident || r.source !== 'heuristic' ? r : { ...r, kind: 'chit-chat' };
+  });
+}
+
+/**
+ * The goal as it stands after its revisions: each redirect replaces it,
+ * each refinement since becomes an open checklist item.
+ */
+export function effectiveGoal(goal, timeline) {
+  let g = goal;
+  for (const r of timeline) {
+    if (r.kind === 'redirect')        g = toGoal(r.text);
+    else if (r.kind === 'refinement') g = { ...g, tasks: [...g.tasks, { text: r.text, done: false }] };
+  }
+  return g;
+}
+
+/**
+ * When the current goal took effect (epoch ms): its latest redirect, else the message the
+ * base goal came from, else setAt (see followUps()); null = the start of the session.
+ * @param {object}   goal     — the base goal
+ * @param {object[]} events
+ * @param {object[]} timeline — goalTimeline() result
+ */
+export function goalSince(goal, events, timeline, setAt = null) {
+  const redirect = timeline.findLast(r => r.kind === 'redirect');
+  if (redirect) return Date.parse(redirect.at);
+  const from = goal && events.find(e => e.type === 'user_message' && messageText(e) === goal.title);
+  return from ? Date.parse(from.timestamp) : setAt;
+}
+
+/** The latest revision that changed the goal, or null */
+export function lastShift(timeline) {
+  return timeline.findLast(r => r.kind !== 'chit-chat') ?? null;
+}
+
+/** Identity of a revision across runs: message timestamp + text */
+export function revisionKey(at, text) {
+  return `${at}\u0000${text}`;
+}
+
+function messageText(e) {
+  return String(e.text ?? '').trim().slice(0, MAX_REVISION_CHARS);
+}
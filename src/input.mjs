@@ -0,0 +1,159 @@
+// src/input.mjs — keyboard input for the live dashboard: raw stdin → keys, and a line editor
+// Terminals send keys as bytes: escape sequences for arrows and friends, control characters
+// for Ctrl+<letter>, and pasted text either wrapped in bracketed-paste markers or as one chunk.
+
+const PASTE_START = '\x1b[200~';
+const PASTE_END   = '\x1b[201~';
+
+export const BRACKETED_PASTE_ON  = '\x1b[?2004h';
+export const BRACKETED_PASTE_OFF = '\x1b[?2004l';
+
+// CSI / SS3 sequences → key names ("\x1b[A", "\x1bOA", "\x1b[1;5C", "\x1b[3~")
+const SEQUENCES = {
+  A: 'up', B: 'down', C: 'right', D: 'left', H: 'home', F: 'end',
+  '1~': 'home', '7~': 'home', '4~': 'end', '8~': 'end',
+  '2~': 'insert', '3~': 'delete', '5~': 'pageup', '6~': 'pagedown',
+  '1;5C': 'ctrl+right', '1;5D': 'ctrl+left', '1;3C': 'alt+f', '1;3D': 'alt+b',
+};
+
+/**
+ * Stateful decoder for raw-mode stdin chunks (setEncoding('utf8')). A bracketed paste may
+ * span chunks, so it is buffered until its end marker.
+ * @returns {(chunk: string) => { name: string, text?: string }[]}
+ *   name is the character for printable keys ("a", "?"), else "up", "enter", "escape",
+ *   "backspace", "ctrl+c", "alt+b", "paste"…; text is set for printable keys and pastes
+ */
+export function createKeyDecoder() {
+  let paste = null; // text of a bracketed paste still waiting for its end marker
+
+  return (chunk) => {
+    const s    = String(chunk);
+    const keys = [];
+    let i = 0;
+
+    // Unbracketed paste: several printable characters (or lines) arriving at once
+    if (paste === null && [...s].length > 1 && !s.includes('\x1b') && /[^\r\n]/.test(s)) {
+      return [{ name: 'paste', text: s }];
+    }
+
+    while (i < s.length) {
+      if (paste !== null) {
+        const end = s.indexOf(PASTE_END, i);
+        if (end === -1) { paste += s.slice(i); break; }
+        keys.push({ name: 'paste', text: paste + s.slice(i, end) });
+        paste = null;
+        i = end + PASTE_END.length;
+        continue;
+      }
+      if (s.startsWith(PASTE_START, i)) { paste = ''; i += PASTE_START.length; continue; }
+
+      const ch = s[i];
+      if (ch === '\x1b') {
+        const seq = s.slice(i).match(/^\x1b(?:\[([\d;]*[~A-Za-z])|O([A-DHF]))/);
+        if (seq) {
+          keys.push({ name: SEQUENCES[seq[1] ?? seq[2]] ?? 'unknown' });
+          i += seq[0].length;
+        } else if (i + 1 < s.length) { // Alt+<key> arrives as ESC followed by the key
+          keys.push({ name: s[i + 1] === '\x7f' ? 'alt+backspace' : 'alt+' + s[i + 1].toLowerCase() });
+          i += 2;
+        } else {
+          keys.push({ name: 'escape' });
+          i++;
+        }
+        continue;
+      }
+
+      const code = s.codePointAt(i);
+      const char = String.fromCodePoint(code);
+      i += char.length;
+      if (ch === '\r' || ch === '\n') {
+        if (ch === '\r' && s[i] === '\n') i++;
+        keys.push({ name: 'enter' });
+      } else if (ch === '\x7f' || ch === '\b') keys.push({ name: 'backspace' });
+      else if (ch === '\t')                    keys.push({ name: 'tab' });
+      else if (code < 0x20)                    keys.push({ name: 'ctrl+' + String.fromCharCode(code + 96) });
+      else                                     keys.push({ name: char, text: char });
+    }
+    return keys;
+  };
+}
+
+/**
+ * A one-line editor with readline-style keys: ←/→ and Ctrl+B/F, Home/End and Ctrl+A/E,
+ * Ctrl+←/→ and Alt+B/F by word, Backspace / Delete / Ctrl+D, Ctrl+W and Alt+Backspace
+ * (word back), Alt+D (word forward), Ctrl+U / Ctrl+K (to start / end), ↑/↓ and Ctrl+P/N
+ * through `history`. Pasted line breaks and tabs become spaces.
+ * @param {object}   opts
+ * @param {string}   opts.value   — initial text
+ * @param {string[]} opts.history — earlier entries, oldest first (not modified)
+ * @returns {{ feed: (key) => 'submit'|'cancel'|null, value: string, cursor: number }}
+ *   cursor counts characters (code points) from the start
+ */
+export function createLineEditor({ value = '', history = [] } = {}) {
+  let chars  = [...value];
+  let cursor = chars.length;
+  let index  = history.length; // history entry shown; history.length = the line being typed
+  let draft  = value;
+
+  const set = (text) => { chars = [...text]; cursor = chars.length; };
+  const isWord = (c) => /[\p{L}\p{N}_]/u.test(c ?? '');
+  const wordLeft = () => {
+    let j = cursor;
+    while (j > 0 && !isWord(chars[j - 1])) j--;
+    while (j > 0 && isWord(chars[j - 1])) j--;
+    return j;
+  };
+  const wordRight = () => {
+    let j = cursor;
+    while (j < chars.length && !isWord(chars[j])) j++;
+    while (j < chars.length && isWord(chars[j])) j++;
+    return j;
+  };
+  const recall = (to) => {
+    if (to < 0 || to > history.length || to === index) return;
+    if (index === history.length) draft = chars.join('');
+    index = to;
+    set(index === history.length ? draft : history[index]);
+  };
+
+  function feed(key) {
+    switch (key.name) {
+      case 'enter':                          return 'submit';
+      case 'escape': case 'ctrl+c':          return 'cancel';
+      case 'left':   case 'ctrl+b':          cursor = Math.max(0, cursor - 1); break;
+      case 'right':  case 'ctrl+f':          cursor = Math.min(chars.length, cursor + 1); break;
+      case 'home':   case 'ctrl+a':          cursor = 0; break;
+      case 'end':    case 'ctrl+e':          cursor = chars.length; break;
+      case 'ctrl+left':  case 'alt+b':       cursor = wordLeft(); break;
+      case 'ctrl+right': case 'alt+f':       cursor = wordRight(); break;
+      case 'backspace':
+        if (cursor > 0) chars.splice(--cursor, 1);
+        break;
+      case 'delete': case 'ctrl+d':          chars.splice(cursor, 1); break;
+      case 'ctrl+w': case 'alt+backspace': {
+        const from = wordLeft();
+        chars.splice(from, cursor - from);
+        cursor = from;
+        break;
+      }
+      case 'alt+d':                          chars.splice(cursor, wordRight() - cursor); break;
+      case 'ctrl+u':                         chars.splice(0, cursor); cursor = 0; break;
+      case 'ctrl+k':                         chars.splice(cursor); break;
+      case 'up':     case 'ctrl+p':          recall(index - 1); break;
+      case 'down':   case 'ctrl+n':          recall(index + 1); break;
+      default:
+        if (key.text) {
+          const typed = [...key.text.replace(/\r\n|[\r\n\t]/g, ' ').replace(/[\x00-\x1f\x7f]/g, '')];
+          chars.splice(cursor, 0, ...typed);
+          cursor += typed.length;
+        }
+    }
+    return null;
+  }
+
+  return {
+    feed,
+    get value()  { return chars.join(''); },
+    get cursor() { return cursor; },
+  };
+}
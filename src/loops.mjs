@@ -0,0 +1,176 @@
+// src/loops.mjs — what counts as "doing the same thing again"
+// Command shapes and similarity (retries with other arguments or flags are the same attempt),
+// repeating multi-step cycles in the tool sequence, and edits that undo earlier edits.
+
+const MAX_PERIOD = 4; // longest cycle looked for, in tool calls
+
+// Wrappers that don't change what runs: "npx jest" is jest, "uv run pytest" is pytest
+const WRAPPERS = new Set(['sudo', 'time', 'nice', 'env', 'npx', 'bunx', 'pnpx', 'exec', 'command']);
+const RUNNER_WRAPPERS = new Set(['uv', 'poetry', 'pipenv', 'pdm', 'hatch']); // "<tool> run …"
+
+// Tools whose next word(s) pick what they do: "npm run build", "git commit", "go test"
+const SUBCOMMAND_TOOLS = new Set([
+  'npm', 'pnpm', 'yarn', 'bun', 'git', 'go', 'cargo', 'docker', 'kubectl', 'make', 'pip',
+  'dotnet', 'mvn', 'gradle', './gradlew', 'deno', 'terraform', 'gh', 'rails', 'bundle', 'mix', 'swift',
+]);
+
+// Interpreters: the script (or -m module) is part of what runs
+const INTERPRETERS = new Set(['node', 'python', 'ruby', 'bash', 'sh', 'zsh', 'tsx', 'ts-node', 'php', 'perl']);
+
+// Looking around or moving files around, not retrying: these only match when their arguments match too
+const EXACT = new RegExp('^(?:ls|cat|head|tail|less|grep|rg|ag|find|fd|echo|pwd|wc|which|tree|file|stat|du|df|sed -n|' +
+  'mkdir|touch|rm|mv|cp|ln|chmod|git (?:status|log|diff|show|branch|blame|add|rm|mv|checkout|restore))$');
+
+/**
+ * The shape of a shell command: the program (and subcommand) it runs, plus its normalized
+ * arguments. Only the main command counts — `cd dir &&` prefixes, output pipes (`| tail`)
+ * and redirections are dropped. Quotes are removed, numbers become "#", paths keep their
+ * last two segments, and argument order doesn't matter.
+ * @param {string} command
+ * @returns {{ head: string, args: string[], exact: boolean }} args sorted; exact = only identical args match
+ */
+export function commandShape(command) {
+  const words = tokenize(mainCommand(String(command ?? '')));
+  while (words.length && (/^\w+=/.test(words[0]) || WRAPPERS.has(words[0]))) words.shift();
+  if (RUNNER_WRAPPERS.has(words[0]) && words[1] === 'run') words.splice(0, 2);
+
+  const program = words.shift() ?? '';
+  const head    = [program.replace(/^.*\/(?=[^/]+$)/, '').replace(/^(python|pip)[\d.]+$/, '$1')]; // python3.12 → python
+  if (SUBCOMMAND_TOOLS.has(program) || SUBCOMMAND_TOOLS.has(head[0])) {
+    while (head.length < 3 && /^[a-z][\w:.-]*$/i.test(words[0] ?? '') && !/\.\w+$/.test(words[0])) {
+      const sub = words.shift();
+      head.push(sub);
+      if (sub !== 'run' && sub !== 'exec' && sub !== 'x') break; // "npm run build", "cargo test"
+    }
+  } else if (INTERPRETERS.has(head[0])) {
+    const at = words.findIndex(w => !w.startsWith('-') || w === '-m');
+    if (at !== -1) head.push(...words.splice(at, words[at] === '-m' ? 2 : 1).map(normalizeWord));
+  } else if (head[0] === 'sed' && words[0] === '-n') {
+    head.push(words.shift());
+  }
+
+  const key = head.join(' ');
+  return { head: key, args: words.map(normalizeWord).sort(), exact: EXACT.test(key) };
+}
+
+/**
+ * How alike two commands are, 0..1: the share of arguments and flags they have in common
+ * (Jaccard), 0 for different programs or subcommands. Inspection and file commands (ls,
+ * grep, mkdir, git add…) only match with the same arguments.
+ */
+export function commandSimilarity(a, b) {
+  const x = typeof a === 'string' ? commandShape(a) : a;
+  const y = typeof b === 'string' ? commandShape(b) : b;
+  if (x.head !== y.head) return 0;
+  if (x.exact) return x.args.join('\u0000') === y.args.join('\u0000') ? 1 : 0;
+  return jaccard(x.args, y.args);
+}
+
+/**
+ * A block of 2–4 steps repeated at the end of a sequence (A→B→C→A→B→C), allowing the
+ * latest repetition to be partly done.
+ * @param {string[]} steps — one token per tool call
+ * @returns {{ period: number, reps: number, start: number } | null} start = index of the first repeated step;
+ *          the repetition with most coverage, shorter periods first on ties
+ */
+export function findCycle(steps) {
+  let best = null;
+  for (let period = 2; period <= MAX_PERIOD; period++) {
+    for (let skip = 0; skip < period; skip++) {
+      const end   = steps.length - skip;            // ignore a partial repetition of `skip` steps
+      const block = steps.slice(end - period, end);
+      if (block.length < period || new Set(block).size < 2) continue; // one repeated step is a plain loop
+      let reps = 1;
+      while (end - (reps + 1) * period >= 0 &&
+        steps.slice(end - (reps + 1) * period, end - reps * period).every((s, i) => s === block[i])) reps++;
+      // the partial repetition must continue the block
+      if (!steps.slice(end).every((s, i) => s === block[i])) continue;
+      const covered = reps * period + skip;
+      if (reps >= 2 && (!best || covered > best.covered)) best = { period, reps, start: steps.length - covered, covered };
+    }
+  }
+  return best && { period: best.period, reps: best.reps, start: best.start };
+}
+
+/**
+ * Edits that put back text an earlier edit of the same file replaced — the agent flipping a
+ * file between versions. Edit/MultiEdit compare old_string/new_string pairs (whitespace-
+ * insensitive); Write compares whole contents against the file's earlier (not latest) writes.
+ * @param {object[]} calls — tool_call events, oldest first
+ * @returns {{ file: string, at: string, snippet: string }[]} one entry per reverting edit
+ */
+export function editReversals(calls) {
+  const replaced = new Map(); // file → [from] text earlier edits replaced
+  const written  = new Map(); // file → [content] of earlier Writes
+  const out = [];
+
+  for (const e of calls) {
+    const name  = e.tool?.name;
+    const input = e.tool?.input ?? {};
+    const file  = input.file_path ?? input.notebook_path;
+    if (!file) continue;
+
+    if (name === 'Edit' || name === 'MultiEdit') {
+      const pairs = name === 'Edit' ? [input] : (Array.isArray(input.edits) ? input.edits : []);
+      const seen  = replaced.get(file) ?? [];
+      for (const p of pairs) {
+        const from = squash(p.old_string);
+        const to   = squash(p.new_string);
+        if (!from || from === to) continue;
+        if (to && seen.includes(to)) out.push({ file, at: e.timestamp, snippet: String(p.new_string).trim() });
+        seen.push(from);
+      }
+      replaced.set(file, seen);
+    } else if (name === 'Write') {
+      const content = squash(input.content);
+      const earlier = written.get(file) ?? [];
+      if (earlier.slice(0, -1).includes(content) && earlier.at(-1) !== content) {
+        out.push({ file, at: e.timestamp, snippet: String(input.content ?? '').trim() });
+      }
+      written.set(file, [...earlier, content]);
+    }
+  }
+  return out;
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+/** The command that does the work: last step of a `&&`/`;` chain, producer side of a pipe */
+function mainCommand(command) {
+  const steps = command.split(/&&|\|\||;|\n/)
+    .map(s => s.split(/(?<!\|)\|(?!\|)/)[0].trim())
+    .filter(s => s && !/^(?:cd|pushd|popd|export|source|set|\.)(?:\s|$)/.test(s));
+  return steps.at(-1) ?? command.trim();
+}
+
+/** Shell words with quotes removed; redirections (2>&1, > out.log) dropped */
+function tokenize(s) {
+  const words = [...s.matchAll(/"((?:\\.|[^"\\])*)"|'([^']*)'|(\S+)/g)].map(m => m[1] ?? m[2] ?? m[3]);
+  const out = [];
+  for (let i = 0; i < words.length; i++) {
+    const w = words[i];
+    if (/^\d*(?:>>?|<)&?\d*$|^&>>?$/.test(w)) { if (!/&\d$/.test(w)) i++; continue; } // "> file", "2>&1"
+    if (/^\d*(?:>>?|<)&?\S+$|^&>\S+$/.test(w)) continue;                               // ">file", "2>/dev/null"
+    out.push(w);
+  }
+  return out;
+}
+
+function normalizeWord(w) {
+  let v = w.replace(/^\.\//, '');
+  if (v.includes('/') && !/^[a-z]+:\/\//i.test(v)) v = v.split('/').filter(Boolean).slice(-2).join('/');
+  return v.replace(/\d+/g, '#');
+}
+
+function jaccard(a, b) {
+  const x = new Set(a);
+  const y = new Set(b);
+  if (x.size === 0 && y.size === 0) return 1;
+  let both = 0;
+  for (const v of x) if (y.has(v)) both++;
+  return both / (x.size + y.size - both);
+}
+
+function squash(s) {
+  return String(s ?? '').replace(/\s+/g, ' ').trim();
+}
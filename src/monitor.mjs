@@ -1,38 +1,78 @@
 // src/monitor.mjs — orchestrates tail + signals + assess + display
 
+import fs from 'node:fs';
+import { EventEmitter } from 'node:events';
 import { readAll, tailJsonl } from './tail.mjs';
-import { detectSignals, signalSummary } from './signals.mjs';
-import { assess } from './assess.mjs';
-import { render, clearScreen } from './display.mjs';
-import { readGoal } from './store.mjs';
-
-const ASSESS_EVERY_N_CALLS = 10; // run API check every N new tool calls
-const DISPLAY_INTERVAL_MS  = 2000;
+import { createNormalizer, extractUserText, findToolResult } from './transcript.mjs';
+import { watchSubagents } from './subagents.mjs';
+import { watchGit } from './git.mjs';
+import { indexImports } from './scope.mjs';
+import { detectSignals, signalSummary, firedSignals, describeSignals } from './signals.mjs';
+import { assess, classifyRevision } from './assess.mjs';
+import { render, clearScreen, inspectorPage, inspectorBody } from './display.mjs';
+import { createKeyDecoder, createLineEditor, BRACKETED_PASTE_ON, BRACKETED_PASTE_OFF } from './input.mjs';
+import {
+  readGoal, readStructuredGoal, goalPath, goalFilePath, goalSetAt, projectDir,
+  appendAssessment, readAssessments, appendRevision, readRevisions, readGoalHistory, appendGoalHistory,
+  appendMonitorUsage, readMonitorUsage,
+} from './store.mjs';
+import { toGoal, isStructured, goalProgress, goalTimeline, effectiveGoal, goalSince, lastShift, revisionKey } from './goal.mjs';
+import { DEFAULTS } from './config.mjs';
+import { createAlerter } from './alerts.mjs';
+import { createWebhookSink } from './webhook.mjs';
+import { startServer } from './server.mjs';
+import { createRedactor } from './redact.mjs';
+import { createUsageTracker } from './usage.mjs';
 
 /**
  * Start the live monitor for a given session.
  * @param {string} transcriptPath  — absolute path to JSONL
  * @param {string} sessionId
  * @param {string} projectSlug
- * @param {string|null} goalOverride — from --goal flag, else auto-read
+ * @param {string|null} goalOverride — from --goal flag, else goal.json / goal.txt
+ * @param {object} config — effective config (loadConfig())
+ * @param {number|null} servePort — also expose state over HTTP/SSE on this localhost port
  * @returns {Function} stop() — call to end monitoring
  */
-export async function startMonitor(transcriptPath, sessionId, projectSlug, goalOverride) {
+export async function startMonitor(transcriptPath, sessionId, projectSlug, goalOverride, config = DEFAULTS, servePort = null) {
   const startTime = Date.now();
+  const { assessEveryNCalls, displayIntervalMs } = config.monitor;
 
   // ── State ────────────────────────────────────────────────────────────────
-  let events     = [];       // all parsed JSONL entries
-  let goal       = goalOverride ?? (await readGoal(sessionId)) ?? null;
+  let events     = [];       // all normalized timeline events
+  const bus        = new EventEmitter(); // tool_call, tool_result, assessment, goal
+  bus.setMaxListeners(0);                // one set of listeners per SSE client
+  const normalizer = createNormalizer(call => bus.emit('tool_result', call));
+  const usage      = createUsageTracker(config.usage.prices);
+  readMonitorUsage(sessionId).forEach(usage.addMonitor); // spend of earlier runs of the monitor
+  let goal       = goalOverride ? toGoal(goalOverride) : loadGoal(); // structured goal, see goal.mjs
+  let goalStamp  = goalFilesStamp(sessionId); // goal files are re-read when edited from another terminal
+  let revisions  = [];       // classified follow-ups since the goal was set (goal timeline)
+  let goalStart  = null;     // epoch ms the current goal took effect (goalSince()), null = session start
+  const knownRevisions = readRevisions(sessionId); // already recorded, incl. the model's verdicts
   let assessment = null;     // latest {score, status, reason, suggestion, assessedAt}
+  let history    = readAssessments(sessionId); // every assessment so far, oldest first
   let toolCallsSinceAssess = 0;
+  let lanesExpanded = true;  // subagent lanes: full vs one-line view
+  const panels   = { timeline: true, files: true, mix: true, signals: true }; // t / f / m / s
+  let paused     = false;    // 'p': automatic assessments on hold (the dashboard keeps following)
+  let assessing  = false;    // an assessment is in flight
+  let help       = false;    // '?' overlay
+  let inspecting = null;     // step inspector: { index, offset, jump, result, rows }
+  let editor     = null;     // goal line editor while 'g' input is open
+  let signalsMemo = { key: null, list: [] }; // Signals panel, recomputed when the inputs change
   let prevLines  = 0;        // for in-place redraw
   let stopped    = false;
+  const webhook  = config.webhook.urls.length ? createWebhookSink(sessionId, config.webhook) : null;
+  const redactor = createRedactor(config.redaction);
+  const alerter  = createAlerter(config.alerts, { sessionId, projectSlug },
+    webhook ? [payload => webhook.send(redactor.value(payload))] : []);
 
   // ── Load existing transcript ──────────────────────────────────────────────
   const existing = await readAll(transcriptPath);
   for (const entry of existing) {
-    const parsed = parseLine(entry);
-    if (parsed) events.push(parsed);
+    events.push(...normalizer.push(entry));
+    usage.push(entry);
   }
 
   // Auto-detect goal from existing events if not already set
@@ -41,37 +81,68 @@ export async function startMonitor(transcriptPath, sessionId, projectSlug, goalO
       if (entry.type === 'user_message') {
         const candidate = extractUserText(entry);
         if (candidate) {
-          goal = candidate;
-          await writeGoalSilently(sessionId, goal);
+          goal = toGoal(candidate);
+          await writeGoalSilently(sessionId, goal.title);
           break;
         }
       }
     }
   }
 
-  // Trigger initial assess if there's something to look at
+  rebuildTimeline();
+
+  // ── Subagent transcripts (Task tool sidechains) ──────────────────────────
+  const subagents = watchSubagents(sessionId, transcriptPath, events, (lane, raw) => {
+    usage.push(raw);
+    checkBudget();
+  }, config.signals);
+
+  // ── Project working tree (diff vs base branch, reverts) ──────────────────
+  const projectPath = projectDir(existing, projectSlug);
+  const git = watchGit(projectPath, config.git);
+
+  // ── Optional HTTP/SSE API ────────────────────────────────────────────────
+  const server = servePort !== null
+    ? await startServer(servePort, new Map([[sessionId, { sessionId, projectSlug, state: buildState, bus }]]))
+    : null;
+
+  // Trigger initial assess if there's something to look at, once the import graph is indexed
   if (events.length > 0) {
+    await indexImports(projectPath);
     await runAssess();
   }
 
   // ── Tail new entries ──────────────────────────────────────────────────────
+  // tailJsonl doesn't await this callback, so nothing may escape it as a rejection
   const stopTail = tailJsonl(transcriptPath, async (raw) => {
-    const entry = parseLine(raw);
-    if (!entry) return;
-    events.push(entry);
-
-    // Auto-capture goal from first user message if not set
-    if (!goal && entry.type === 'user_message') {
-      goal = extractUserText(entry);
-      if (goal) await writeGoalSilently(sessionId, goal);
-    }
+    try {
+      usage.push(raw);
+      checkBudget();
+      for (const entry of normalizer.push(raw)) {
+        events.push(entry);
+
+        // Auto-capture goal from first user message if not set; later ones may revise it
+        if (!goal && entry.type === 'user_message') {
+          goal = toGoal(extractUserText(entry));
+          if (goal) {
+            await writeGoalSilently(sessionId, goal.title);
+            bus.emit('goal', { goal: goal.title });
+          }
+        } else if (entry.type === 'user_message') {
+          await reviseGoal(entry);
+        }
 
-    if (entry.type === 'tool_call') {
-      toolCallsSinceAssess++;
-      if (toolCallsSinceAssess >= ASSESS_EVERY_N_CALLS) {
-        toolCallsSinceAssess = 0;
-        await runAssess();
+        if (entry.type === 'tool_call') {
+          bus.emit('tool_call', entry);
+          toolCallsSinceAssess++;
+          if (toolCallsSinceAssess >= assessEveryNCalls && !paused) {
+            toolCallsSinceAssess = 0;
+            await runAssess();
+          }
+        }
       }
+    } catch (err) {
+      reportError('Reading new transcript entries', err);
     }
   });
 
@@ -80,180 +151,367 @@ export async function startMonitor(transcriptPath, sessionId, projectSlug, goalO
 
   const displayTimer = setInterval(() => {
     if (stopped) return;
-    prevLines = render(buildState(), prevLines);
-  }, DISPLAY_INTERVAL_MS);
+    if (!goalOverride) refreshGoal();
+    draw();
+  }, displayIntervalMs);
 
   // Initial render
-  prevLines = render(buildState(), 0);
+  prevLines = render(view(), 0);
 
-  // ── Keyboard: 'g' to update goal ─────────────────────────────────────────
+  // ── Keyboard ('?' shows the keys) ─────────────────────────────────────────
   if (process.stdin.isTTY) {
+    const decode = createKeyDecoder();
     process.stdin.setRawMode(true);
     process.stdin.resume();
     process.stdin.setEncoding('utf8');
-    process.stdin.on('data', async (key) => {
-      if (key === 'g' || key === 'G') {
-        await promptGoalUpdate();
-      }
-      if (key === '\u0003') { // Ctrl+C
-        stop();
-        process.exit(0);
-      }
+    process.stdout.write(BRACKETED_PASTE_ON);
+    process.stdin.on('data', (chunk) => {
+      for (const key of decode(chunk)) onKey(key);
     });
   }
 
   // ── Helpers ───────────────────────────────────────────────────────────────
 
   function buildState() {
+    const current = currentGoal();
     return {
-      goal,
+      goal:      current?.title,
+      checklist: isStructured(current) ? goalProgress(current, events, assessment?.completed) : null,
+      goalShift: lastShift(revisions),
       assessment,
+      history,
       events,
+      subagents: subagents.lanes(),
+      lanesExpanded,
+      git:       git.state(),
       startTime,
       sessionId,
       projectSlug,
+      serveUrl: server ? `http://127.0.0.1:${server.port}` : null,
+      usage:    { ...usage.summary(), budgetUsd: config.usage.budgetUsd },
     };
   }
 
-  async function runAssess() {
-    if (!goal) return;
-    const signals   = detectSignals(events, goal);
-    const sigText   = signalSummary(signals);
-    const result    = await assess(goal, events, signals, sigText);
-    assessment = { ...result, assessedAt: new Date().toISOString() };
-    // Force immediate redraw after assessment
-    prevLines = render(buildState(), prevLines);
+  /** buildState() plus what only the terminal shows: panels, overlays, the goal editor */
+  function view() {
+    const calls = inspecting ? toolCalls() : null;
+    return {
+      ...buildState(),
+      panels,
+      paused,
+      assessing,
+      help,
+      signals: panels.signals ? liveSignals() : null,
+      prompt:  editor && { label: 'New goal:', value: editor.value, cursor: editor.cursor },
+      inspect: inspecting && {
+        call:   calls[inspecting.index],
+        step:   inspecting.index + 1,
+        steps:  calls.length,
+        result: inspecting.result,
+        offset: inspecting.offset,
+        jump:   inspecting.jump,
+      },
+    };
   }
 
-  async function promptGoalUpdate() {
-    // Temporarily pause raw mode for input
-    if (process.stdin.isTTY) process.stdin.setRawMode(false);
-    process.stdout.write('\n\x1b[2K\x1b[1mNew goal: \x1b[0m');
+  /** Redraw in place; `clear` first when switching between full-screen views */
+  function draw({ clear = false } = {}) {
+    if (stopped) return;
+    if (clear) { clearScreen(); prevLines = 0; }
+    prevLines = render(view(), prevLines);
+  }
 
-    const newGoal = await readLine();
-    if (newGoal.trim()) {
-      goal = newGoal.trim();
-      await writeGoalSilently(sessionId, goal);
-      toolCallsSinceAssess = ASSESS_EVERY_N_CALLS; // force next assess
-    }
-    if (process.stdin.isTTY) process.stdin.setRawMode(true);
-    clearScreen();
-    prevLines = 0;
+  function toolCalls() {
+    return events.filter(e => e.type === 'tool_call');
   }
 
-  function stop() {
-    stopped = true;
-    stopTail();
-    clearInterval(displayTimer);
-    if (process.stdin.isTTY) {
-      process.stdin.setRawMode(false);
-      process.stdin.pause();
+  /** Signals as of now, for the Signals panel (assessments keep their own) */
+  function liveSignals() {
+    const current = currentGoal();
+    const gitState = git.state();
+    const key = `${events.length}:${current?.title}:${goalStart}:${gitState?.samples.length ?? 0}`;
+    if (signalsMemo.key !== key) {
+      const signals = detectSignals(events, current, config.signals, { git: gitState, projectDir: projectPath, since: goalStart });
+      signalsMemo = { key, list: describeSignals(signals, config.scoring) };
     }
-    process.stdout.write('\n\x1b[0mSession monitor stopped.\n');
+    return signalsMemo.list;
   }
 
-  return stop;
-}
+  /** Count one of the monitor's own model calls, and keep it across restarts */
+  function recordSpend(spent) {
+    if (!spent) return;
+    usage.addMonitor(spent);
+    try { appendMonitorUsage(sessionId, spent); } catch { /* best-effort */ }
+  }
 
-// ── JSONL line parser ─────────────────────────────────────────────────────
+  /** Show a failure outside the assessor call in the reason line, as an unavailable assessor is, and keep monitoring */
+  function reportError(what, err) {
+    assessment = { ...assessment, reason: `${what} failed — ${err?.message ?? err}`, assessedAt: new Date().toISOString() };
+    draw();
+  }
 
-function parseLine(raw) {
-  if (!raw) return null;
-  let obj;
-  if (typeof raw === 'string') {
-    if (!raw.trim()) return null;
-    try { obj = JSON.parse(raw); } catch { return null; }
-  } else {
-    obj = raw;
+  function checkBudget() {
+    alerter.budget(usage.summary().totalCost, config.usage.budgetUsd);
   }
 
-  const ts = obj.timestamp ?? new Date().toISOString();
+  async function runAssess() {
+    const current   = currentGoal();
+    if (!current || assessing) return;
+    assessing = true;
+    try {
+      const signals = detectSignals(events, current, config.signals, { git: git.state(), projectDir: projectPath, since: goalStart });
+      const sigText = signalSummary(signals);
+      const { usage: spent, ...result } = await assess(current, events, signals, sigText, config);
+      recordSpend(spent);
+      assessment = { ...result, assessedAt: new Date().toISOString() };
+      recordAssessment(signals);
+      alerter.update(assessment, signals, current.title);
+      checkBudget();
+    } finally {
+      assessing = false;
+    }
+    // Force immediate redraw after assessment
+    draw();
+  }
+
+  function recordAssessment(signals) {
+    const entry = {
+      assessedAt: assessment.assessedAt,
+      step:       events.filter(e => e.type === 'tool_call').length,
+      score:      assessment.score,
+      status:     assessment.status,
+      reason:     assessment.reason,
+      suggestion: assessment.suggestion,
+      source:     assessment.source,
+      signals:    firedSignals(signals),
+      ...(assessment.completed?.length ? { completed: assessment.completed } : {}),
+    };
+    history.push(entry);
+    try { appendAssessment(sessionId, entry); } catch { /* best-effort */ }
+    bus.emit('assessment', entry);
+  }
 
-  // User message (captures goal + branch points)
-  if (obj.type === 'user') {
-    const content = obj.message?.content;
-    // Plain string → human typed message
-    if (typeof content === 'string' && content.trim()) {
-      return { type: 'user_message', text: content, timestamp: ts };
+  // ── Keys ────────────────────────────────────────────────────────────────
+
+  function onKey(key) {
+    if (editor) return goalKey(key);
+    if (key.name === 'ctrl+c') {
+      stop();
+      process.exit(0);
     }
-    // Array → could be text blocks or tool results
-    if (Array.isArray(content)) {
-      const textBlock = content.find(b => b.type === 'text');
-      if (textBlock) {
-        return { type: 'user_message', text: textBlock.text, timestamp: ts };
-      }
-      // Tool results — skip
-      return null;
+    if (inspecting) return inspectKey(key);
+    if (help) { // any key closes the overlay
+      help = false;
+      return draw({ clear: true });
+    }
+
+    switch (key.name.length === 1 ? key.name.toLowerCase() : key.name) {
+      case 'a':
+        toolCallsSinceAssess = 0;
+        runAssess().catch(err => reportError('Assessment', err)); // shows "assessing…" until it lands
+        break;
+      case 'p':
+        paused = !paused;
+        if (!paused && toolCallsSinceAssess >= assessEveryNCalls) { // catch up on what came in meanwhile
+          toolCallsSinceAssess = 0;
+          runAssess().catch(err => reportError('Assessment', err));
+        }
+        break;
+      case 'g': openGoalEditor(); break;
+      case 'i': return openInspector();
+      case 't': panels.timeline = !panels.timeline; break;
+      case 'f': panels.files    = !panels.files;    break;
+      case 'm': panels.mix      = !panels.mix;      break;
+      case 's': panels.signals  = !panels.signals;  break;
+      case 'l': lanesExpanded   = !lanesExpanded;   break;
+      case '?':
+        help = true;
+        return draw({ clear: true });
+      default: return;
     }
+    draw({ clear: true }); // hidden panels change the frame's height
   }
 
-  // Assistant tool_use
-  if (obj.type === 'assistant' && Array.isArray(obj.message?.content)) {
-    for (const block of obj.message.content) {
-      if (block.type === 'tool_use') {
-        return {
-          type:      'tool_call',
-          id:        block.id,
-          tool:      { name: block.name, input: block.input ?? {} },
-          failed:    false, // will be updated when we see the result
-          timestamp: ts,
-        };
-      }
+  /** 'g': the goal line editor, with earlier goals (and the current one) on ↑ */
+  function openGoalEditor() {
+    const history = readGoalHistory();
+    const title   = currentGoal()?.title.replace(/\s+/g, ' ').trim();
+    editor = createLineEditor({ history: title && history.at(-1) !== title ? [...history, title] : history });
+  }
+
+  async function goalKey(key) {
+    const done = editor.feed(key);
+    if (done) {
+      const text = editor.value.trim();
+      editor = null;
+      if (done === 'submit' && text) await setGoal(text);
     }
+    draw();
+  }
+
+  async function setGoal(text) {
+    goal = goal ? { ...goal, title: text } : toGoal(text); // keeps the checklist
+    await writeGoalSilently(sessionId, goal.title);
+    try { appendGoalHistory(text); } catch { /* best-effort */ }
+    rebuildTimeline(); // earlier follow-ups no longer apply to a goal set by hand
+    bus.emit('goal', { goal: goal.title });
+    toolCallsSinceAssess = assessEveryNCalls; // force next assess
   }
 
-  // Tool results — mark the matching tool_call as failed/passed
-  // (We store them too so we can find them later)
-  if (obj.type === 'user' && Array.isArray(obj.message?.content)) {
-    for (const block of obj.message.content) {
-      if (block.type === 'tool_result') {
-        return {
-          type:       'tool_result',
-          toolUseId:  block.tool_use_id,
-          content:    block.content,
-          isError:    block.is_error ?? false,
-          timestamp:  ts,
-        };
+  /** 'i': the step inspector, on the latest tool call */
+  function openInspector() {
+    const calls = toolCalls();
+    if (calls.length === 0) return;
+    inspecting = { index: calls.length - 1, offset: 0, jump: null, result: null, rows: null };
+    loadResult();
+    draw({ clear: true });
+  }
+
+  function inspectKey(key) {
+    const calls  = toolCalls();
+    const target = inspecting;
+    const { width, height } = inspectorPage();
+
+    if (target.jump !== null) { // typing a step number
+      if (/^[0-9]$/.test(key.name)) target.jump += key.name;
+      else if (key.name === 'backspace') target.jump = target.jump.slice(0, -1);
+      else if (key.name === 'escape') target.jump = null;
+      else if (key.name === 'enter') {
+        const step = Number(target.jump);
+        target.jump = null;
+        if (step >= 1) showStep(Math.min(step, calls.length) - 1);
       }
+      return draw();
+    }
+
+    const scroll = (delta) => {
+      const max = Math.max(0, inspectorBody(calls[target.index], target.result, width).length - height);
+      target.offset = Math.max(0, Math.min(max, target.offset + delta));
+    };
+    switch (key.name) {
+      case 'escape': case 'q': case 'i':
+        inspecting = null;
+        return draw({ clear: true });
+      case 'left':  case 'h':      showStep(target.index - 1); break;
+      case 'right': case 'l':      showStep(target.index + 1); break;
+      case 'home':                 showStep(0); break;
+      case 'end':                  showStep(calls.length - 1); break;
+      case 'up':    case 'k':      scroll(-1); break;
+      case 'down':  case 'j':      scroll(1); break;
+      case 'pageup':               scroll(-height); break;
+      case 'pagedown': case ' ':   scroll(height); break;
+      default:
+        if (!/^[0-9]$/.test(key.name)) return;
+        target.jump = key.name;
     }
+    draw();
   }
 
-  return null;
-}
+  function showStep(index) {
+    const last = toolCalls().length - 1;
+    index = Math.max(0, Math.min(last, index));
+    if (index === inspecting.index) return;
+    Object.assign(inspecting, { index, offset: 0 });
+    loadResult();
+  }
 
-/** After accumulating entries, back-fill 'failed' on tool_calls from results */
-export function reconcileFailures(events) {
-  const results = new Map();
-  for (const e of events) {
-    if (e.type === 'tool_result') results.set(e.toolUseId, e);
+  /** Events keep a result excerpt; the inspector reads the full one from the transcript */
+  async function loadResult() {
+    const target = inspecting;
+    const call   = toolCalls()[target.index];
+    if (call.result === null) { target.result = null; return; } // still running
+    target.result = (target.rows && findToolResult(target.rows, call.id)) ?? 'loading';
+    if (target.result !== 'loading') return;
+
+    target.rows = await readAll(transcriptPath).catch(() => []);
+    if (inspecting !== target || toolCalls()[target.index] !== call) return;
+    target.result = findToolResult(target.rows, call.id);
+    draw();
   }
-  for (const e of events) {
-    if (e.type === 'tool_call' && results.has(e.id)) {
-      e.failed = results.get(e.id).isError ?? false;
-    }
+
+  /** goal.json, else goal.txt; an unreadable goal.json falls back to the plain title */
+  function loadGoal() {
+    try { return readStructuredGoal(sessionId); } catch { return toGoal(readGoal(sessionId)); }
   }
-}
 
-// ── Utilities ─────────────────────────────────────────────────────────────
+  function refreshGoal() {
+    const stamp = goalFilesStamp(sessionId);
+    if (stamp === goalStamp) return;
+    goalStamp = stamp;
+    const next = loadGoal();
+    if (!next || JSON.stringify(next) === JSON.stringify(goal)) return;
+    goal = next;
+    rebuildTimeline();
+    bus.emit('goal', { goal: currentGoal().title });
+  }
 
-function extractUserText(entry) {
-  if (entry.type !== 'user_message') return null;
-  const text = entry.text?.trim();
-  if (!text) return null;
+  /** The goal after its follow-up revisions; what signals, assess() and the dashboard use */
+  function currentGoal() {
+    return goal && effectiveGoal(goal, revisions);
+  }
+
+  /** Re-classify follow-ups against the base goal and record any new ones */
+  function rebuildTimeline() {
+    const setAt = goalOverride ? startTime : goalSetAt(sessionId);
+    if (!goal || config.goals.followUps === 'off') {
+      revisions = [];
+      goalStart = goalOverride ? null : goalSince(goal, events, [], setAt);
+      return;
+    }
+    revisions = goalTimeline(goal, events, { setAt, known: knownRevisions, guesses: config.goals.followUps === 'assessor' });
+    goalStart = goalSince(goal, events, revisions, goalOverride ? null : setAt); // an override covers the whole session
+    for (const r of revisions) {
+      const key = revisionKey(r.at, r.text);
+      if (knownRevisions.has(key)) continue;
+      knownRevisions.set(key, r);
+      try { appendRevision(sessionId, r); } catch { /* best-effort */ }
+    }
+  }
 
-  // Skip messages that look like stack traces or error dumps
-  if (/^(TypeError|Error|ReferenceError|SyntaxError|RangeError)[\s:]/.test(text)) return null;
-  if (/^\s+at\s+\S+\s+\(/.test(text)) return null;           // starts with stack frame
-  if (/file:\/\/.*:\d+\n/.test(text)) return null;            // file URL with line number
-  if (/\n\s+at\s+\S/.test(text)) return null;                 // has stack frames inside
-  if (/^\s*[\`~]{3,}/.test(text)) return null;                // fenced code block paste
+  /** A live user message: classify it (asking the model when the heuristics aren't sure) */
+  async function reviseGoal(entry) {
+    const before = currentGoal();
+    rebuildTimeline();
+    const latest = revisions.at(-1);
+    if (config.goals.followUps === 'assessor' && latest?.at === entry.timestamp &&
+        !latest.confident && latest.source === 'heuristic') {
+      const verdict = await classifyRevision(before.title, latest.text, config);
+      if (verdict) {
+        recordSpend(verdict.usage);
+        const decided = { ...latest, kind: verdict.kind, source: 'api', confident: true };
+        knownRevisions.set(revisionKey(decided.at, decided.text), decided);
+        try { appendRevision(sessionId, decided); } catch { /* best-effort */ }
+      }
+    }
+    rebuildTimeline();
+    const after = currentGoal();
+    if (JSON.stringify(after) === JSON.stringify(before)) return;
+    bus.emit('goal', { goal: after.title });
+    toolCallsSinceAssess = assessEveryNCalls; // re-assess against the new direction on the next call
+  }
 
-  // Skip very short commands ("push it", "commit this", "ok", etc.) — ≤2 words under 20 chars
-  if (text.length < 20 && text.trim().split(/\s+/).length <= 2) return null;
+  function stop() {
+    stopped = true;
+    stopTail();
+    subagents.stop();
+    git.stop();
+    alerter.stop();
+    webhook?.stop();
+    server?.close();
+    clearInterval(displayTimer);
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+      process.stdout.write(BRACKETED_PASTE_OFF);
+    }
+    process.stdout.write('\n\x1b[0mSession monitor stopped.\n');
+  }
 
-  return text.slice(0, 500);
+  return stop;
 }
 
+// ── Utilities ─────────────────────────────────────────────────────────────
+
 async function writeGoalSilently(sessionId, goal) {
   try {
     const { writeGoal } = await import('./store.mjs');
@@ -261,23 +519,8 @@ async function writeGoalSilently(sessionId, goal) {
   } catch { /* best-effort */ }
 }
 
-function readLine() {
-  return new Promise((resolve) => {
-    let buf = '';
-    const onData = (key) => {
-      if (key === '\r' || key === '\n') {
-        process.stdin.removeListener('data', onData);
-        resolve(buf);
-      } else if (key === '\u007f') { // backspace
-        buf = buf.slice(0, -1);
-        process.stdout.clearLine(0);
-        process.stdout.cursorTo(0);
-        process.stdout.write('\x1b[1mNew goal: \x1b[0m' + buf);
-      } else {
-        buf += key;
-        process.stdout.write(key);
-      }
-    };
-    process.stdin.on('data', onData);
-  });
+function goalFilesStamp(sessionId) {
+  return [goalPath(sessionId), goalFilePath(sessionId)]
+    .map(p => { try { return fs.statSync(p).mtimeMs; } catch { return 0; } })
+    .join(':');
 }
@@ -0,0 +1,69 @@
+// src/plugins.mjs — load custom signal detectors from directories and npm packages
+//
+// A detector module exports (named or as a default object, or a default array of them):
+//   export const name = 'lockfileEdits';
+//   export function detect(window, { events, goal, spec, git, scope, thresholds }) { return { detected, ... }; }
+//   export function summary(result) { return 'Editing lockfiles'; }
+//   export const scoreDelta = -15;
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { pathToFileURL } from 'node:url';
+import { registerDetector } from './signals.mjs';
+
+const MODULE_EXTS = new Set(['.mjs', '.js']);
+
+/**
+ * Import and register every configured detector plugin.
+ * @param {{ dirs: string[], packages: string[] }} sources — config.detectors
+ * @param {string} cwd — project directory, used to resolve package names
+ * @returns {Promise<string[]>} names of the registered detectors
+ * @throws {Error} naming the offending file/package when a plugin fails to load
+ */
+export async function loadDetectorPlugins(sources, cwd) {
+  const specs = [];
+
+  for (const dir of sources.dirs ?? []) {
+    if (!fs.existsSync(dir)) throw new Error(`detector directory not found: ${dir}`);
+    for (const f of fs.readdirSync(dir).sort()) {
+      if (MODULE_EXTS.has(path.extname(f))) {
+        specs.push({ label: path.join(dir, f), url: pathToFileURL(path.join(dir, f)).href });
+      }
+    }
+  }
+
+  const require = createRequire(path.join(cwd, 'package.json'));
+  for (const pkg of sources.packages ?? []) {
+    let resolved;
+    try { resolved = pathToFileURL(require.resolve(pkg)).href; } catch { resolved = pkg; }
+    specs.push({ label: pkg, url: resolved });
+  }
+
+  const names = [];
+  for (const { label, url } of specs) {
+    let mod;
+    try {
+      mod = await import(url);
+    } catch (err) {
+      throw new Error(`could not load detector ${label}: ${err.message}`);
+    }
+    for (const detector of detectorsFrom(mod)) {
+      try {
+        registerDetector(detector);
+      } catch (err) {
+        throw new Error(`${label}: ${err.message}`);
+      }
+      names.push(detector.name);
+    }
+  }
+  return names;
+}
+
+/** Accept named exports, a default detector object, or a default array of detectors. */
+function detectorsFrom(mod) {
+  const def = mod.default;
+  if (Array.isArray(def)) return def;
+  if (def && typeof def === 'object' && 'detect' in def) return [def];
+  return [{ name: mod.name, detect: mod.detect, summary: mod.summary, scoreDelta: mod.scoreDelta }];
+}
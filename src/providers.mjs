@@ -0,0 +1,130 @@
+// src/providers.mjs — LLM backends for assess(): Anthropic SDK, OpenAI-compatible HTTP, local command
+// Every provider turns { system, prompt } into the model's raw text reply plus token usage, when known.
+
+import { spawn } from 'node:child_process';
+import Anthropic from '@anthropic-ai/sdk';
+import { DEFAULTS } from './config.mjs';
+
+export const DEFAULT_MODELS = {
+  anthropic: 'claude-haiku-4-5-20251001',
+  openai:    'gpt-4o-mini',
+};
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Build the provider selected by config.assessor.
+ * @param {object} opts — config.assessor
+ * @returns {{ name: string, complete: ({ system: string, prompt: string }) => Promise<{ text: string, usage: object|null }> }}
+ *          usage is { model, input, output, cacheWrite, cacheRead } (tokens)
+ */
+export function createProvider(opts = DEFAULTS.assessor) {
+  switch (opts.provider) {
+    case 'anthropic': return anthropicProvider(opts);
+    case 'openai':    return openaiProvider(opts);
+    case 'exec':      return execProvider(opts);
+    default:          throw new Error(`unknown assessor provider "${opts.provider}"`);
+  }
+}
+
+// ── providers ────────────────────────────────────────────────────────────────
+
+function anthropicProvider(opts) {
+  const client = new Anthropic({
+    ...(opts.apiKeyEnv ? { apiKey: process.env[opts.apiKeyEnv] } : {}),
+    ...(opts.baseUrl ? { baseURL: opts.baseUrl } : {}),
+    timeout: opts.timeoutMs,
+  });
+
+  return {
+    name: 'anthropic',
+    async complete({ system, prompt }) {
+      const response = await client.messages.create({
+        model:      opts.model || DEFAULT_MODELS.anthropic,
+        max_tokens: opts.maxTokens,
+        system,
+        messages:   [{ role: 'user', content: prompt }],
+      });
+      const u = response.usage ?? {};
+      return {
+        text:  response.content[0]?.text ?? '',
+        usage: {
+          model:      response.model,
+          input:      u.input_tokens ?? 0,
+          output:     u.output_tokens ?? 0,
+          cacheWrite: u.cache_creation_input_tokens ?? 0,
+          cacheRead:  u.cache_read_input_tokens ?? 0,
+        },
+      };
+    },
+  };
+}
+
+/** Any /chat/completions endpoint: OpenAI, llama.cpp server, Ollama, vLLM, LM Studio… */
+function openaiProvider(opts) {
+  const url = `${(opts.baseUrl || OPENAI_BASE_URL).replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    async complete({ system, prompt }) {
+      const key = process.env[opts.apiKeyEnv || 'OPENAI_API_KEY'];
+      const res = await fetch(url, {
+        method:  'POST',
+        headers: { 'content-type': 'application/json', ...(key ? { authorization: `Bearer ${key}` } : {}) },
+        body:    JSON.stringify({
+          model:       opts.model || DEFAULT_MODELS.openai,
+          max_tokens:  opts.maxTokens,
+          temperature: 0,
+          messages:    [{ role: 'system', content: system }, { role: 'user', content: prompt }],
+        }),
+        signal:  AbortSignal.timeout(opts.timeoutMs),
+      });
+      if (!res.ok) throw new Error(`${url} answered HTTP ${res.status}`);
+      const body   = await res.json();
+      const u      = body.usage ?? {};
+      const cached = u.prompt_tokens_details?.cached_tokens ?? 0;
+      return {
+        text:  body.choices?.[0]?.message?.content ?? '',
+        usage: body.usage ? {
+          model:      body.model || opts.model || DEFAULT_MODELS.openai,
+          input:      (u.prompt_tokens ?? 0) - cached,
+          output:     u.completion_tokens ?? 0,
+          cacheWrite: 0,
+          cacheRead:  cached,
+        } : null,
+      };
+    },
+  };
+}
+
+/** Shell command: system prompt + prompt on stdin, assessment JSON on stdout */
+function execProvider(opts) {
+  return {
+    name: 'exec',
+    complete({ system, prompt }) {
+      return new Promise((resolve, reject) => {
+        const child = spawn(opts.command, {
+          shell:    true,
+          detached: true, // own process group, so a timeout also stops what the shell started
+          stdio:    ['pipe', 'pipe', 'ignore'],
+        });
+        let out = '';
+        const timer = setTimeout(() => {
+          try { process.kill(-child.pid, 'SIGKILL'); } catch { /* already gone */ }
+          reject(new Error(`"${opts.command}" timed out after ${opts.timeoutMs}ms`));
+        }, opts.timeoutMs);
+
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', chunk => { out += chunk; });
+        child.on('error', err => { clearTimeout(timer); reject(err); });
+        child.on('close', code => {
+          clearTimeout(timer);
+          if (code === 0) resolve({ text: out, usage: null }); // a local command has no token bill
+          else reject(new Error(`"${opts.command}" exited with code ${code}`));
+        });
+        child.stdin.on('error', () => {});
+        child.stdin.end(`${system}\n\n${prompt}\n`);
+      });
+    },
+  };
+}
@@ -0,0 +1,104 @@
+// src/redact.mjs — scrub secrets, PII and private paths from anything that leaves the machine
+// Applied to assessor prompts, webhook payloads and exported reports.
+
+import os from 'node:os';
+import { DEFAULTS } from './config.mjs';
+import { globToRegExp } from './utils.mjs';
+
+const MASK      = '[REDACTED]';
+const PATH_MASK = '[REDACTED PATH]';
+
+/** Built-in patterns, enabled by name through config.redaction.builtins */
+export const BUILTIN_PATTERNS = {
+  // Provider key formats: Anthropic/OpenAI, GitHub, AWS, Slack, Google, Stripe, JWTs, PEM blocks
+  keys: [
+    [/\bsk-(?:ant-)?[A-Za-z0-9_-]{20,}/g, MASK],
+    [/\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g, MASK],
+    [/\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, MASK],
+    // AWS secret keys have no prefix of their own, so only after their name: aws_secret_access_key=…,
+    // `aws configure set aws_secret_access_key …`, --secret-access-key …
+    [/\b((?:aws_)?secret_access_key|secret-access-key)(["']?\s*[:=]\s*|\s+)(["']?)[A-Za-z0-9/+]{40}(?![A-Za-z0-9/+])/gi, `$1$2$3${MASK}`],
+    [/\bxox[abprs]-[A-Za-z0-9-]{10,}/g, MASK],
+    [/\bAIza[0-9A-Za-z_-]{35}\b/g, MASK],
+    [/\b[rs]k_(?:live|test)_[0-9A-Za-z]{16,}/g, MASK],
+    [/\beyJ[\w-]{8,}\.[\w-]{8,}\.[\w-]{8,}/g, MASK],
+    [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g, MASK],
+  ],
+  // Authorization headers and bearer tokens
+  bearer: [
+    [/\b(Bearer\s+)[A-Za-z0-9._~+/=-]{8,}/g, `$1${MASK}`],
+    [/\b(Authorization:\s*Basic\s+)[A-Za-z0-9+/=]+/gi, `$1${MASK}`],
+    [/\b((?:x-)?(?:api[-_]?key|auth[-_]?token|access[-_]?token)["']?\s*[:=]\s*)(["']?)[^\s"',;&]{6,}/gi, `$1$2${MASK}`],
+  ],
+  // user:password@ in URLs and connection strings, and curl -u / --user user:password
+  urlPasswords: [
+    [/\b([a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s@/]+@/gi, `$1${MASK}@`],
+    [/(\bcurl\s(?:[^\n;&|]*?\s)?(?:-u ?|--user[= ])\s*)(["']?)([^\s:"']+:)[^\s"']+/g, `$1$2$3${MASK}`],
+  ],
+  // FOO_TOKEN=…, PASSWORD=…, --password=… style assignments, and mysql's -pSECRET
+  envAssignments: [
+    [/\b([A-Z0-9_]*(?:TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|ACCESS_KEY|PRIVATE_KEY|CREDENTIALS?)[A-Z0-9_]*\s*=\s*)("[^"]*"|'[^']*'|[^\s;&|]+)/g, `$1${MASK}`],
+    [/(--(?:password|passwd|token|secret|api-key|apikey)[= ])("[^"]*"|'[^']*'|[^\s;&|]+)/gi, `$1${MASK}`],
+    [/([?&;](?:password|pwd|token|secret|api_?key|access_token)=)[^&\s"']+/gi, `$1${MASK}`],
+    [/(\bmysql(?:dump|admin|import|show)?\s(?:[^\n;&|]*?\s)?-p)("[^"]*"|'[^']*'|[^\s;&|]+)/g, `$1${MASK}`],
+  ],
+  emails: [
+    [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g, '[EMAIL]'],
+  ],
+};
+
+// Absolute or ~-relative path tokens inside free text (not the //host part of URLs)
+const PATH_TOKEN = /(?<![\w.:/~])~?\/[^\s'"`;|&<>()[\]{},]+/g;
+
+/**
+ * Build a redactor from config.redaction.
+ * @param {object} opts — { builtins, patterns, allowPaths, denyPaths }
+ * @returns {{ text: (s: string) => string, path: (p: string) => string, value: (v: any) => any, hits: Map<string, number> }}
+ *          hits counts replacements per rule ("keys", "custom", "path", …) over the redactor's lifetime
+ */
+export function createRedactor(opts = DEFAULTS.redaction) {
+  const rules = [
+    ...opts.builtins.flatMap(name => BUILTIN_PATTERNS[name].map(([re, repl]) => [name, re, repl])),
+    ...opts.patterns.map(src => ['custom', new RegExp(src, 'g'), MASK]),
+  ];
+  const allow = opts.allowPaths.map(globToRegExp);
+  const deny  = opts.denyPaths.map(globToRegExp);
+  const hits  = new Map();
+  const hit   = name => hits.set(name, (hits.get(name) ?? 0) + 1);
+
+  function pathAllowed(p) {
+    const abs = p.startsWith('~') ? os.homedir() + p.slice(1) : p;
+    if (deny.some(re => re.test(abs))) return false;
+    return allow.length === 0 || allow.some(re => re.test(abs));
+  }
+
+  function path(p) {
+    if (!p || (!allow.length && !deny.length) || pathAllowed(p)) return p;
+    hit('path');
+    return PATH_MASK;
+  }
+
+  function text(s) {
+    if (typeof s !== 'string' || !s) return s;
+    let out = s;
+    for (const [name, re, repl] of rules) {
+      out = out.replace(re, (...m) => {
+        hit(name);
+        return repl.replace(/\$(\d)/g, (_, n) => m[Number(n)] ?? '');
+      });
+    }
+    if (allow.length || deny.length) out = out.replace(PATH_TOKEN, path);
+    return out;
+  }
+
+  function value(v) {
+    if (typeof v === 'string') return text(v);
+    if (Array.isArray(v)) return v.map(value);
+    if (v && typeof v === 'object') {
+      return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, value(x)]));
+    }
+    return v;
+  }
+
+  return { text, path, value, hits };
+}
@@ -0,0 +1,203 @@
+// src/replay.mjs — play a recorded transcript through the dashboard (`session-monitor replay`)
+// Entries are applied on their original timestamps scaled by the speed factor.
+// Heuristic assessments only: no API calls, nothing written to ~/.session-monitor.
+
+import { readAll } from './tail.mjs';
+import { createNormalizer, extractUserText } from './transcript.mjs';
+import { detectSignals, signalSummary, heuristicScore } from './signals.mjs';
+import { render, clearScreen } from './display.mjs';
+import { scoreToStatus } from './utils.mjs';
+import { DEFAULTS } from './config.mjs';
+import { createUsageTracker } from './usage.mjs';
+import { toGoal, goalTimeline, effectiveGoal, goalSince, lastShift, isStructured, goalProgress } from './goal.mjs';
+
+const FRAME_MS   = 200;   // redraw interval while playing
+const MAX_GAP_MS = 3000;  // longest real-time wait between two entries, whatever the speed
+const SEEK_STEPS = 10;
+const SPEEDS     = [0.5, 1, 2, 5, 10, 20, 50, 100, 500];
+
+/**
+ * Replay a transcript in the live dashboard.
+ * Keys: space pause/resume, n step one tool call, ←/→ seek, +/- speed, q quit.
+ * @param {string} transcriptPath — absolute path to JSONL
+ * @param {object} opts
+ * @param {string} opts.sessionId
+ * @param {string} opts.projectSlug
+ * @param {string|null} opts.goal — from --goal flag, else the first user message revised by later ones
+ * @param {number} opts.speed     — playback multiplier (1 = real time)
+ * @param {object} opts.config    — effective config (loadConfig())
+ * @returns {Promise<Function>} stop()
+ */
+export async function startReplay(transcriptPath, { sessionId, projectSlug, goal: goalOverride = null, speed = 1, config = DEFAULTS }) {
+  const raw = await readAll(transcriptPath);
+  const times = raw.map(e => (e.timestamp ? new Date(e.timestamp).getTime() : NaN));
+
+  // Raw entry count needed to reach each step, so seeking can land on tool calls
+  const stepEnds = [0];
+  const probe = createNormalizer();
+  raw.forEach((entry, i) => {
+    for (const ev of probe.push(entry)) if (ev.type === 'tool_call') stepEnds.push(i + 1);
+  });
+  const totalSteps = stepEnds.length - 1;
+  const firstTime  = times.find(t => !Number.isNaN(t)) ?? Date.now();
+
+  // ── State (rebuilt from scratch when seeking backwards) ────────────────────
+  let normalizer, usage, events, history, assessment, goal, step, sinceAssess, clock;
+  let pos       = 0;       // raw entries applied so far
+  let paused    = false;
+  let timer     = null;
+  let prevLines = 0;
+
+  function reset() {
+    normalizer  = createNormalizer();
+    usage       = createUsageTracker(config.usage.prices);
+    events      = [];
+    history     = [];
+    assessment  = null;
+    goal        = goalOverride;
+    step        = 0;
+    sinceAssess = 0;
+    clock       = firstTime;
+    pos         = 0;
+  }
+
+  function apply(entry, i) {
+    if (!Number.isNaN(times[i])) clock = times[i];
+    usage.push(entry);
+    for (const ev of normalizer.push(entry)) {
+      events.push(ev);
+      if (!goal && ev.type === 'user_message') goal = extractUserText(ev);
+      if (ev.type !== 'tool_call') continue;
+      step++;
+      if (++sinceAssess >= config.monitor.assessEveryNCalls) {
+        sinceAssess = 0;
+        runAssess();
+      }
+    }
+  }
+
+  /** Follow-ups classified by heuristics only; a --goal override isn't revised */
+  function revisions() {
+    if (goalOverride || config.goals.followUps === 'off') return [];
+    return goalTimeline(toGoal(goal), events);
+  }
+
+  function currentGoal() {
+    return goal && effectiveGoal(toGoal(goal), revisions());
+  }
+
+  function runAssess() {
+    const current = currentGoal();
+    if (!current) return;
+    const since   = goalOverride ? null : goalSince(toGoal(goal), events, revisions()); // an override covers the whole session
+    const signals = detectSignals(events, current, config.signals, { since });
+    const score   = heuristicScore(signals, config.scoring);
+    assessment = {
+      score,
+      status:     scoreToStatus(score),
+      reason:     signalSummary(signals),
+      suggestion: null,
+      source:     'heuristic',
+      assessedAt: new Date(clock).toISOString(),
+    };
+    history.push({ ...assessment, step });
+  }
+
+  /** Move to raw entry count `target`, replaying from the start when going back */
+  function seekTo(target) {
+    target = Math.max(0, Math.min(raw.length, target));
+    if (target < pos) reset();
+    while (pos < target) apply(raw[pos], pos++);
+  }
+
+  function seekSteps(delta) {
+    const target = Math.max(0, Math.min(totalSteps, step + delta));
+    seekTo(stepEnds[target]);
+    schedule();
+    draw();
+  }
+
+  // ── Playback ───────────────────────────────────────────────────────────────
+  function schedule() {
+    clearTimeout(timer);
+    if (pos >= raw.length && !process.stdin.isTTY) { // nobody to press q: finish on the last frame
+      draw();
+      stop();
+      return;
+    }
+    if (paused || pos >= raw.length) return;
+    const gap   = pos > 0 ? times[pos] - times[pos - 1] : 0;
+    const delay = Number.isNaN(gap) ? 0 : Math.min(MAX_GAP_MS, Math.max(0, gap / speed));
+    timer = setTimeout(() => {
+      apply(raw[pos], pos++);
+      schedule();
+    }, delay);
+  }
+
+  function buildState() {
+    const timeline = revisions();
+    const current  = goal && effectiveGoal(toGoal(goal), timeline);
+    return {
+      goal:      current?.title ?? '(no goal set)',
+      checklist: isStructured(current) ? goalProgress(current, events) : null,
+      goalShift: lastShift(timeline),
+      assessment,
+      history,
+      events,
+      startTime: firstTime,
+      now:       clock,
+      usage:     { ...usage.summary(clock), budgetUsd: config.usage.budgetUsd },
+      sessionId,
+      projectSlug,
+      replay:    { paused, speed, step, steps: totalSteps, finished: pos >= raw.length },
+    };
+  }
+
+  function draw() {
+    prevLines = render(buildState(), prevLines);
+  }
+
+  reset();
+  clearScreen();
+  draw();
+  const frameTimer = setInterval(draw, FRAME_MS);
+  schedule();
+
+  // ── Keyboard ─────────────────────────────────────────────────────────────
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (key) => {
+      if (key === '\u0003' || key === 'q') { // Ctrl+C / q
+        stop();
+        process.exit(0);
+      }
+      if (key === ' ') {
+        paused = !paused;
+        schedule();
+      }
+      if (key === 'n') {
+        paused = true;
+        seekSteps(1);
+      }
+      if (key === '\u001b[C') seekSteps(SEEK_STEPS);
+      if (key === '\u001b[D') seekSteps(-SEEK_STEPS);
+      if (key === '+' || key === '=') speed = SPEEDS.find(s => s > speed) ?? speed;
+      if (key === '-') speed = [...SPEEDS].reverse().find(s => s < speed) ?? speed;
+      draw();
+    });
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    clearInterval(frameTimer);
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+    }
+    process.stdout.write('\n\x1b[0mReplay stopped.\n');
+  }
+
+  return stop;
+}
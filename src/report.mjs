@@ -0,0 +1,254 @@
+// src/report.mjs — post-hoc session report (`session-monitor report`)
+// Replays a transcript through the signal detectors step by step and renders
+// the result as Markdown, standalone HTML or JSON.
+
+import { detectSignals, signalSummary, heuristicScore, allDetectors } from './signals.mjs';
+import { countFiles, countTools, msToHuman, scoreToStatus, sparkline } from './utils.mjs';
+import { DEFAULTS } from './config.mjs';
+
+/**
+ * Build the report data.
+ * @param {object} session
+ * @param {string}   session.sessionId
+ * @param {string}   session.projectSlug
+ * @param {string}   session.goal
+ * @param {object[]} session.events   — normalized events (normalizeAll())
+ * @param {object[]} session.history  — recorded assessments (readAssessments())
+ * @param {object}   config           — effective config (loadConfig())
+ */
+export function buildReport({ sessionId, projectSlug, goal, events, history = [] }, config = DEFAULTS) {
+  const toolCalls = events.filter(e => e.type === 'tool_call');
+  const first     = events[0]?.timestamp;
+  const last      = events[events.length - 1]?.timestamp;
+  const durationMs = first && last ? Math.max(0, new Date(last) - new Date(first)) : 0;
+
+  // Replay: signals + heuristic score after every tool call
+  const timeline = [];
+  const episodes = [];
+  const open     = new Map(); // signal name → episode still running
+  let step = 0;
+  let signals = null;
+
+  events.forEach((ev, i) => {
+    if (ev.type !== 'tool_call') return;
+    step++;
+    signals = detectSignals(events.slice(0, i + 1), goal, config.signals);
+    timeline.push({ step, score: heuristicScore(signals, config.scoring) });
+
+    for (const { name } of allDetectors()) {
+      const r = signals[name];
+      if (r?.detected && !open.has(name)) {
+        const ep = { signal: name, fromStep: step, toStep: step, summary: signalSummary({ [name]: r }) };
+        open.set(name, ep);
+        episodes.push(ep);
+      } else if (r?.detected) {
+        open.get(name).toStep = step;
+      } else {
+        open.delete(name);
+      }
+    }
+  });
+
+  const finalScore = timeline.length ? timeline[timeline.length - 1].score : null;
+  const recorded   = history[history.length - 1] ?? null;
+  const final = recorded ?? (signals ? {
+    score:      finalScore,
+    status:     scoreToStatus(finalScore),
+    reason:     signalSummary(signals),
+    suggestion: null,
+    source:     'heuristic',
+  } : null);
+
+  return {
+    sessionId,
+    projectSlug,
+    goal,
+    startedAt:   first ?? null,
+    endedAt:     last ?? null,
+    durationMs,
+    steps:       toolCalls.length,
+    failures:    toolCalls.filter(e => e.failed).length,
+    timeline,
+    assessments: history,
+    episodes,
+    files:       countFiles(toolCalls).slice(0, 10).map(([file, edits]) => ({ file, edits })),
+    tools:       countTools(toolCalls).map(([tool, calls]) => ({
+      tool, calls, pct: Math.round((calls / Math.max(1, toolCalls.length)) * 100),
+    })),
+    final,
+  };
+}
+
+/** Render a report in one of: md, html, json */
+export function renderReport(report, format) {
+  switch (format) {
+    case 'md':   return toMarkdown(report);
+    case 'html': return toHtml(report);
+    case 'json': return JSON.stringify(report, null, 2);
+    default:     throw new Error(`unknown report format "${format}" (expected md, html or json)`);
+  }
+}
+
+// ── Markdown ─────────────────────────────────────────────────────────────────
+
+function toMarkdown(r) {
+  const out = [];
+  out.push(`# Session report · ${projectName(r.projectSlug)}`);
+  out.push('');
+  out.push(`**Goal:** ${r.goal ?? '(no goal set)'}`);
+  out.push('');
+  out.push('| | |');
+  out.push('|---|---|');
+  out.push(`| Session | \`${r.sessionId}\` |`);
+  if (r.startedAt) out.push(`| Started | ${r.startedAt} |`);
+  out.push(`| Duration | ${msToHuman(r.durationMs)} |`);
+  out.push(`| Steps | ${r.steps} |`);
+  out.push(`| Failures | ${r.failures} |`);
+  if (r.final) out.push(`| Final | ${r.final.status} · ${r.final.score}/100 (${r.final.source ?? 'heuristic'}) |`);
+  out.push('');
+
+  if (r.final?.reason || r.final?.suggestion) {
+    out.push('## Final assessment');
+    out.push('');
+    if (r.final.reason)     out.push(`${r.final.reason}`);
+    if (r.final.suggestion) out.push(`\n→ ${r.final.suggestion}`);
+    out.push('');
+  }
+
+  if (r.timeline.length) {
+    out.push('## Score timeline');
+    out.push('');
+    out.push('Heuristic score after each step:');
+    out.push('');
+    out.push('```');
+    out.push(sparkline(r.timeline.map(t => t.score), 80));
+    out.push('```');
+    out.push('');
+  }
+
+  if (r.assessments.length) {
+    out.push('## Assessments');
+    out.push('');
+    out.push('| Step | Score | Status | Source | Reason |');
+    out.push('|---:|---:|---|---|---|');
+    for (const a of r.assessments) {
+      out.push(`| ${a.step ?? ''} | ${a.score} | ${a.status} | ${a.source ?? ''} | ${mdCell(a.reason)} |`);
+    }
+    out.push('');
+  }
+
+  out.push('## Signal episodes');
+  out.push('');
+  if (r.episodes.length === 0) {
+    out.push('No signals fired.');
+  } else {
+    out.push('| Signal | Steps | First seen |');
+    out.push('|---|---|---|');
+    for (const e of r.episodes) out.push(`| ${e.signal} | ${stepRange(e)} | ${mdCell(e.summary)} |`);
+  }
+  out.push('');
+
+  if (r.files.length) {
+    out.push('## Most-edited files');
+    out.push('');
+    out.push('| File | Edits |');
+    out.push('|---|---:|');
+    for (const f of r.files) out.push(`| \`${f.file}\` | ${f.edits} |`);
+    out.push('');
+  }
+
+  if (r.tools.length) {
+    out.push('## Tool mix');
+    out.push('');
+    out.push('| Tool | Calls | Share |');
+    out.push('|---|---:|---:|');
+    for (const t of r.tools) out.push(`| ${t.tool} | ${t.calls} | ${t.pct}% |`);
+    out.push('');
+  }
+
+  return out.join('\n');
+}
+
+// ── HTML ─────────────────────────────────────────────────────────────────────
+
+function toHtml(r) {
+  const rows = (items, cells) => items.map(i => `<tr>${cells(i).map(c => `<td>${c}</td>`).join('')}</tr>`).join('');
+
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8">
+<title>Session report · ${esc(projectName(r.projectSlug))}</title>
+<style>
+  body { font: 14px/1.5 -apple-system, system-ui, sans-serif; max-width: 900px; margin: 32px auto; padding: 0 16px; color: #1f2328; }
+  h1 { font-size: 22px; } h2 { font-size: 16px; margin-top: 28px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; } td, th { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eaeef2; }
+  code { font-size: 12px; } .dim { color: #656d76; }
+  .badge { padding: 2px 8px; border-radius: 4px; color: #fff; font-weight: 600; }
+</style></head><body>
+<h1>Session report · ${esc(projectName(r.projectSlug))}</h1>
+<p><strong>Goal:</strong> ${esc(r.goal ?? '(no goal set)')}</p>
+<table>
+  <tr><td class="dim">Session</td><td><code>${esc(r.sessionId)}</code></td></tr>
+  ${r.startedAt ? `<tr><td class="dim">Started</td><td>${esc(r.startedAt)}</td></tr>` : ''}
+  <tr><td class="dim">Duration</td><td>${msToHuman(r.durationMs)}</td></tr>
+  <tr><td class="dim">Steps</td><td>${r.steps}</td></tr>
+  <tr><td class="dim">Failures</td><td>${r.failures}</td></tr>
+  ${r.final ? `<tr><td class="dim">Final</td><td><span class="badge" style="background:${statusColor(r.final.status)}">${esc(r.final.status)}</span> ${r.final.score}/100 <span class="dim">(${esc(r.final.source ?? 'heuristic')})</span></td></tr>` : ''}
+</table>
+${r.final?.reason ? `<p>${esc(r.final.reason)}</p>` : ''}
+${r.final?.suggestion ? `<p>→ ${esc(r.final.suggestion)}</p>` : ''}
+
+<h2>Score timeline</h2>
+${scoreChart(r.timeline, r.assessments)}
+
+${r.assessments.length ? `<h2>Assessments</h2>
+<table><tr><th>Step</th><th>Score</th><th>Status</th><th>Source</th><th>Reason</th></tr>
+${rows(r.assessments, a => [a.step ?? '', a.score, esc(a.status), esc(a.source ?? ''), esc(a.reason)])}</table>` : ''}
+
+<h2>Signal episodes</h2>
+${r.episodes.length ? `<table><tr><th>Signal</th><th>Steps</th><th>First seen</th></tr>
+${rows(r.episodes, e => [esc(e.signal), stepRange(e), esc(e.summary)])}</table>` : '<p class="dim">No signals fired.</p>'}
+
+${r.files.length ? `<h2>Most-edited files</h2>
+<table>${rows(r.files, f => [`<code>${esc(f.file)}</code>`, f.edits])}</table>` : ''}
+
+${r.tools.length ? `<h2>Tool mix</h2>
+<table>${rows(r.tools, t => [esc(t.tool), t.calls, `${t.pct}%`])}</table>` : ''}
+</body></html>
+`;
+}
+
+/** Inline SVG: heuristic score per step as a line, recorded assessments as dots */
+function scoreChart(timeline, assessments) {
+  if (timeline.length === 0) return '<p class="dim">No tool calls.</p>';
+  const W = 860, H = 160, pad = 8;
+  const maxStep = timeline[timeline.length - 1].step;
+  const x = s => pad + ((s - 1) / Math.max(1, maxStep - 1)) * (W - 2 * pad);
+  const y = v => H - pad - (v / 100) * (H - 2 * pad);
+  const line = timeline.map(t => `${x(t.step).toFixed(1)},${y(t.score).toFixed(1)}`).join(' ');
+  const dots = assessments.filter(a => a.step).map(a =>
+    `<circle cx="${x(a.step).toFixed(1)}" cy="${y(a.score).toFixed(1)}" r="4" fill="${statusColor(a.status)}"><title>step ${a.step}: ${a.score} ${esc(a.status)}</title></circle>`).join('');
+  const bands = [80, 60, 40].map(v => `<line x1="0" x2="${W}" y1="${y(v)}" y2="${y(v)}" stroke="#d0d7de" stroke-dasharray="4 4"/>`).join('');
+  return `<svg width="100%" viewBox="0 0 ${W} ${H}">${bands}<polyline points="${line}" fill="none" stroke="#0969da" stroke-width="1.5"/>${dots}</svg>`;
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+function projectName(slug) {
+  return (slug ?? '').split('-').slice(-2).join('-') || 'session';
+}
+
+function stepRange(e) {
+  return e.fromStep === e.toStep ? `${e.fromStep}` : `${e.fromStep}–${e.toStep}`;
+}
+
+function mdCell(s) {
+  return String(s ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function esc(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function statusColor(status) {
+  return { 'ON TRACK': '#1a7f37', 'HEADS UP': '#9a6700', 'DRIFTING': '#bc4c00', 'STUCK': '#cf222e' }[status] ?? '#656d76';
+}
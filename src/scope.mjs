@@ -0,0 +1,236 @@
+// src/scope.mjs — where the work is: the files the agent started from and their neighborhood
+// A file's distance to the goal is the shortest way from one of the seed files (the first
+// source files the agent read or edited) to it: import hops through the JS/TS import graph
+// (either direction), directory steps (see dirDistance), or 1 for a test named after a seed.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const MAX_HOPS       = 4;      // import hops followed from the seeds
+const MAX_FILES      = 3000;   // project files indexed for reverse imports
+const MAX_FILE_BYTES = 512 * 1024;
+const INDEX_TTL_MS   = 60_000; // reverse-import index is rebuilt at most once a minute per project
+
+const SOURCE_EXT = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
+const SKIP_DIRS  = new Set(['node_modules', '.git', 'dist', 'build', 'out', 'coverage', '.next', '.nuxt', 'vendor', '.cache', '.turbo']);
+
+// Files read to get oriented, which say nothing about where the work is
+const NOT_SEEDS = /(?:^|\/)(?:readme[^/]*|changelog[^/]*|license[^/]*|package(?:-lock)?\.json|yarn\.lock|pnpm-lock\.yaml|tsconfig[^/]*\.json|[^/]*\.config\.[cm]?[jt]s|\.[^/]*rc(?:\.\w+)?|[^/]*\.md)$/i;
+
+const FILE_TOOLS = new Set(['Read', 'Edit', 'MultiEdit', 'Write', 'NotebookEdit']);
+
+const IMPORT_RE = /\b(?:import|export)\s[^'"`;]*?\bfrom\s*['"]([^'"]+)['"]|\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)|\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)|\bimport\s+['"]([^'"]+)['"]/g;
+
+const parsed  = new Map(); // file → { mtimeMs, imports: string[] } (resolved absolute paths)
+const indexes = new Map(); // project root → { builtAt, importers: Map<file, Set<file>>, building: Promise|null }
+
+/**
+ * Where the work started: the source files the agent looked at up to its first edit, and
+ * the file that edit went to — the last `n` of them, as the reads just before the first
+ * edit say most about it. Before any edit, the files read so far.
+ * @param {object[]} events — normalized timeline events
+ * @param {number|null} since — epoch ms the current goal took effect; earlier work isn't its start
+ * @returns {string[]} absolute paths
+ */
+export function scopeSeeds(events, n, since = null) {
+  const seeds = [];
+  for (const e of events) {
+    if (e.type !== 'tool_call' || !FILE_TOOLS.has(e.tool?.name)) continue;
+    if (since !== null && !(Date.parse(e.timestamp) > since)) continue;
+    const file = e.tool.input?.file_path ?? e.tool.input?.notebook_path;
+    if (!file || NOT_SEEDS.test(file)) continue;
+    if (seeds.includes(file)) seeds.splice(seeds.indexOf(file), 1);
+    seeds.push(file);
+    if (e.tool.name !== 'Read') break;
+  }
+  return seeds.slice(-n);
+}
+
+/**
+ * Measure files against the seeds.
+ * @param {string[]} seeds
+ * @param {object}   opts
+ * @param {string|null} opts.root — project directory; enables "imported by" edges (files aren't read without it)
+ * @returns {(file: string) => { distance: number, via: 'seed'|'import'|'directory'|'test' } | null}
+ *          null when there are no seeds yet
+ */
+export function createScope(seeds, { root = null } = {}) {
+  if (seeds.length === 0) return () => null;
+  let hops = null; // import distances, computed on first use
+  const cache = new Map();
+
+  return (file) => {
+    if (cache.has(file)) return cache.get(file);
+    hops ??= root ? importDistances(seeds, root) : new Map();
+    let best = { distance: Infinity, via: 'directory' };
+    const consider = (distance, via) => { if (distance < best.distance) best = { distance, via }; };
+
+    if (seeds.includes(file)) consider(0, 'seed');
+    if (hops.has(file))       consider(hops.get(file), 'import');
+    for (const s of seeds) {
+      consider(dirDistance(path.dirname(s), path.dirname(file)), 'directory');
+      if (isTest(s) !== isTest(file) && stem(s) === stem(file)) consider(1, 'test');
+    }
+    cache.set(file, best);
+    return best;
+  };
+}
+
+// ── import graph ─────────────────────────────────────────────────────────────
+
+/** Breadth-first over imports and importers from the seeds → file → hops */
+function importDistances(seeds, root) {
+  const importers = importerIndex(root);
+  const dist  = new Map(seeds.map(s => [s, 0]));
+  let frontier = [...seeds];
+
+  for (let hop = 1; hop <= MAX_HOPS && frontier.length; hop++) {
+    const next = [];
+    for (const file of frontier) {
+      for (const n of [...importsOf(file), ...(importers.get(file) ?? [])]) {
+        if (dist.has(n)) continue;
+        dist.set(n, hop);
+        next.push(n);
+      }
+    }
+    frontier = next;
+  }
+  return dist;
+}
+
+/**
+ * Who imports what, for every source file under the project root: the index as it stands,
+ * never waiting for a walk. A missing or stale (INDEX_TTL_MS) index is rebuilt in the
+ * background; until the first build lands, only forward imports count.
+ */
+function importerIndex(root) {
+  const cached = indexes.get(root);
+  if (!cached || Date.now() - cached.builtAt >= INDEX_TTL_MS) indexImports(root);
+  return cached?.importers ?? new Map();
+}
+
+/**
+ * Build (or finish building) the reverse-import index for a project, off the caller's hot path:
+ * the walk and the file reads are asynchronous. Await it before a one-off measurement, or at
+ * startup so the first assessment sees "imported by" edges. Never rejects.
+ * @param {string|null} root — project directory
+ * @returns {Promise<void>}
+ */
+export function indexImports(root) {
+  if (!root) return Promise.resolve();
+  const cached = indexes.get(root) ?? { builtAt: 0, importers: new Map(), building: null };
+  if (cached.building) return cached.building;
+  if (Date.now() - cached.builtAt < INDEX_TTL_MS) return Promise.resolve();
+
+  cached.building = buildIndex(root)
+    .then(importers => { cached.importers = importers; })
+    .catch(() => { /* unreadable project: keep the old index */ })
+    .finally(() => { cached.builtAt = Date.now(); cached.building = null; });
+  indexes.set(root, cached);
+  return cached.building;
+}
+
+async function buildIndex(root) {
+  const importers = new Map();
+  for (const file of await sourceFiles(root)) {
+    for (const target of await importsOfAsync(file)) {
+      if (!importers.has(target)) importers.set(target, new Set());
+      importers.get(target).add(file);
+    }
+  }
+  return importers;
+}
+
+async function sourceFiles(root) {
+  const files = [];
+  const walk = async (dir) => {
+    let entries = [];
+    try { entries = await fs.promises.readdir(dir, { withFileTypes: true }); } catch { return; }
+    for (const d of entries) {
+      if (files.length >= MAX_FILES) return;
+      if (d.isDirectory()) {
+        if (!SKIP_DIRS.has(d.name) && !d.name.startsWith('.')) await walk(path.join(dir, d.name));
+      } else if (SOURCE_EXT.includes(path.extname(d.name))) {
+        files.push(path.join(dir, d.name));
+      }
+    }
+  };
+  await walk(root);
+  return files;
+}
+
+/** Relative imports of a JS/TS file, resolved to files on disk (cached by mtime) */
+function importsOf(file) {
+  if (!SOURCE_EXT.includes(path.extname(file))) return [];
+  let stat;
+  try { stat = fs.statSync(file); } catch { return []; }
+  const hit = parsed.get(file);
+  if (hit?.mtimeMs === stat.mtimeMs) return hit.imports;
+
+  let src = null;
+  if (stat.size <= MAX_FILE_BYTES) {
+    try { src = fs.readFileSync(file, 'utf8'); } catch { /* unreadable: no edges */ }
+  }
+  return remember(file, stat, src);
+}
+
+/** importsOf() for the index walk, reading files without blocking */
+async function importsOfAsync(file) {
+  let stat;
+  try { stat = await fs.promises.stat(file); } catch { return []; }
+  const hit = parsed.get(file);
+  if (hit?.mtimeMs === stat.mtimeMs) return hit.imports;
+
+  let src = null;
+  if (stat.size <= MAX_FILE_BYTES) {
+    try { src = await fs.promises.readFile(file, 'utf8'); } catch { /* unreadable: no edges */ }
+  }
+  return remember(file, stat, src);
+}
+
+/** Parse a file's source (null: unreadable or too big) into resolved relative imports, and cache them */
+function remember(file, stat, src) {
+  const imports = src === null ? [] : [...src.matchAll(IMPORT_RE)]
+    .map(m => m[1] ?? m[2] ?? m[3] ?? m[4])
+    .filter(spec => spec.startsWith('./') || spec.startsWith('../'))
+    .map(spec => resolveImport(path.dirname(file), spec))
+    .filter(Boolean);
+  parsed.set(file, { mtimeMs: stat.mtimeMs, imports: [...new Set(imports)] });
+  return parsed.get(file).imports;
+}
+
+/** "./util" → util.ts / util.js / util/index.ts…; TS-style "./util.js" → util.ts */
+function resolveImport(dir, spec) {
+  const base = path.resolve(dir, spec);
+  const candidates = [
+    base,
+    ...SOURCE_EXT.map(ext => base + ext),
+    ...SOURCE_EXT.map(ext => path.join(base, 'index' + ext)),
+    ...(/\.[cm]?js$/.test(base) ? ['.ts', '.tsx', '.mts', '.cts'].map(ext => base.replace(/\.[cm]?js$/, ext)) : []),
+  ];
+  return candidates.find(c => { try { return fs.statSync(c).isFile(); } catch { return false; } }) ?? null;
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Steps from a seed's directory to a file's: up to their common ancestor, then down. Going
+ * up counts double — leaving the directory the work is in says more than going deeper into
+ * it (a subdirectory is 1, the parent 2, a sibling directory 3).
+ */
+function dirDistance(from, to) {
+  const x = from.split(path.sep).filter(Boolean);
+  const y = to.split(path.sep).filter(Boolean);
+  let common = 0;
+  while (common < x.length && common < y.length && x[common] === y[common]) common++;
+  return 2 * (x.length - common) + (y.length - common);
+}
+
+function isTest(file) {
+  return /(?:^|\/)(?:__tests__|tests?)\/|[._-](?:test|spec)\.[^./]+$|(?:^|\/)test_[^/]+$/i.test(file);
+}
+
+/** "src/cart.ts" and "test/cart.test.ts" share the stem "cart" */
+function stem(file) {
+  return path.basename(file).replace(/\.[^.]+$/, '').replace(/[._-](?:test|spec)$/i, '').replace(/^test_/, '').toLowerCase();
+}
@@ -0,0 +1,142 @@
+// src/server.mjs — localhost HTTP + Server-Sent Events API over live monitor state
+//
+//   GET /                              → browser dashboard (src/web/dashboard.html)
+//   GET /sessions                      → summary of every monitored session
+//   GET /sessions/:id/state            → full dashboard state (same as the terminal view)
+//   GET /sessions/:id/events?since=N   → timeline events from index N
+//   GET /sessions/:id/assessments      → assessment history
+//   GET /sessions/:id/stream           → SSE: tool_call, tool_result, assessment, goal
+//
+// `:id` may be any unique prefix of the session id. Binds to 127.0.0.1 only, and answers only
+// requests addressed to 127.0.0.1:<port> or localhost:<port>, so a web page can't reach it
+// through a DNS-rebound hostname.
+
+import http from 'node:http';
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const DASHBOARD_PATH = fileURLToPath(new URL('./web/dashboard.html', import.meta.url));
+
+const HEARTBEAT_MS = 15_000;
+const STREAM_EVENTS = ['tool_call', 'tool_result', 'assessment', 'goal'];
+
+/**
+ * Start the API server.
+ * @param {number} port
+ * @param {Map<string, object>} sessions — sessionId → handle:
+ *   { sessionId, projectSlug, state: () => object, bus: EventEmitter }
+ * @returns {Promise<{ port: number, close: () => void }>}
+ */
+export function startServer(port, sessions) {
+  const streams = new Set();
+
+  const server = http.createServer((req, res) => {
+    const { port: bound } = server.address();
+    if (req.headers.host !== `127.0.0.1:${bound}` && req.headers.host !== `localhost:${bound}`) {
+      return sendJson(res, 403, { error: 'forbidden host' });
+    }
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET') return sendJson(res, 405, { error: 'method not allowed' });
+
+    if (url.pathname === '/' || url.pathname === '/index.html') return sendDashboard(res);
+
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (parts[0] !== 'sessions') return sendJson(res, 404, { error: 'not found' });
+
+    if (parts.length === 1) {
+      return sendJson(res, 200, [...sessions.values()].map(summarize));
+    }
+
+    const handle = lookup(sessions, parts[1]);
+    if (!handle) return sendJson(res, 404, { error: `session "${parts[1]}" not found` });
+
+    switch (parts[2]) {
+      case 'state':
+        return sendJson(res, 200, handle.state());
+      case 'events': {
+        const since = Math.max(0, parseInt(url.searchParams.get('since') ?? '0', 10) || 0);
+        const events = handle.state().events;
+        return sendJson(res, 200, { total: events.length, since, events: events.slice(since) });
+      }
+      case 'assessments':
+        return sendJson(res, 200, handle.state().history);
+      case 'stream':
+        return openStream(req, res, handle, streams);
+      default:
+        return sendJson(res, 404, { error: 'not found' });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const heartbeat = setInterval(() => {
+        for (const res of streams) res.write(': ping\n\n');
+      }, HEARTBEAT_MS);
+      heartbeat.unref();
+
+      resolve({
+        port:  server.address().port,
+        close: () => {
+          clearInterval(heartbeat);
+          for (const res of streams) res.end();
+          server.close();
+        },
+      });
+    });
+  });
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+function lookup(sessions, idOrPrefix) {
+  if (sessions.has(idOrPrefix)) return sessions.get(idOrPrefix);
+  const matches = [...sessions.keys()].filter(id => id.startsWith(idOrPrefix));
+  return matches.length === 1 ? sessions.get(matches[0]) : null;
+}
+
+function summarize(handle) {
+  const { goal, assessment, events } = handle.state();
+  return {
+    sessionId:   handle.sessionId,
+    projectSlug: handle.projectSlug,
+    goal,
+    score:       assessment?.score ?? null,
+    status:      assessment?.status ?? null,
+    steps:       events.filter(e => e.type === 'tool_call').length,
+  };
+}
+
+function openStream(req, res, handle, streams) {
+  res.writeHead(200, {
+    'content-type':  'text/event-stream',
+    'cache-control': 'no-cache',
+    'connection':    'keep-alive',
+  });
+  res.write(`event: hello\ndata: ${JSON.stringify(summarize(handle))}\n\n`);
+  streams.add(res);
+
+  const listeners = STREAM_EVENTS.map(name => {
+    const fn = (data) => res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+    handle.bus.on(name, fn);
+    return [name, fn];
+  });
+
+  req.on('close', () => {
+    streams.delete(res);
+    for (const [name, fn] of listeners) handle.bus.off(name, fn);
+  });
+}
+
+function sendDashboard(res) {
+  fs.readFile(DASHBOARD_PATH, (err, html) => {
+    if (err) return sendJson(res, 500, { error: 'dashboard not found' });
+    res.writeHead(200, { 'content-type': 'text/html; charset=utf-8', 'cache-control': 'no-cache' });
+    res.end(html);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
@@ -1,42 +1,144 @@
 // src/signals.mjs — heuristic signal detectors (no API cost, always-on)
 
+import { DEFAULTS } from './config.mjs';
+import { toGoal, scopeOf } from './goal.mjs';
+import { testRuns } from './testruns.mjs';
+import { commandShape, commandSimilarity, findCycle, editReversals } from './loops.mjs';
+import { scopeSeeds, createScope } from './scope.mjs';
+
+// ── Detector registry ────────────────────────────────────────────────────────
+// A detector is { name, detect(window, ctx), summary(result), scoreDelta }.
+// Built-ins take their score delta from config.scoring; plugins carry their own.
+
+// Tools that change a file: every detector that asks "was anything edited?" uses this one set
+const EDIT_TOOLS = new Set(['Edit', 'MultiEdit', 'Write']);
+
+const BUILTIN_DETECTORS = [
+  { name: 'loop',         detect: (w, c) => detectLoop(w, c.thresholds),
+    summary: r => `Loop: "${r.command}" failed ${r.count}x${r.variants > 1 ? ` (${r.variants} variants)` : ''}` },
+  { name: 'stuckOnFile',  detect: (w, c) => detectStuckOnFile(w, c.thresholds),
+    summary: r => `Stuck: editing ${r.file} ${r.count}x` },
+  { name: 'errorStreak',  detect: (w, c) => detectErrorStreak(w, c.thresholds),
+    summary: r => `Error streak: ${r.streak} consecutive failures` },
+  { name: 'paralysis',    detect: (w, c) => detectParalysis(w, c.thresholds),
+    summary: r => `Analysis paralysis: ${r.count} reads with no edits` },
+  { name: 'scopeCreep',   detect: (w, c) => detectScopeCreep(w, c),
+    summary: r => `Scope creep: editing ${r.files.map((f, i) => r.distances[i] != null ? `${f} (distance ${r.distances[i]})` : f).join(', ')}` +
+      (r.outOfScope ? ' (out of scope)' : '') },
+  { name: 'goodMomentum', detect: (w, c) => detectGoodMomentum(w, c.thresholds),
+    summary: r => `Good momentum: ${r.count} edit→passing-test cycles` },
+  { name: 'noProgress',   detect: (w, c) => detectNoProgress(c.events, c.thresholds),
+    summary: r => `No file edits in last ${r.steps} steps` },
+  { name: 'thrashing',    detect: (w, c) => detectThrashing(c.git, c.thresholds),
+    summary: r => `Thrashing: ${r.count} changes reverted in 10 min (${r.files.join(', ')})` },
+  { name: 'diffBalloon',  detect: (w, c) => detectDiffBalloon(c),
+    summary: r => `Diff ballooning: ${r.lines} lines changed outside the goal's scope (${r.files.join(', ')})` },
+  { name: 'uncommittedDrift', detect: (w, c) => detectUncommittedDrift(c.git, c.thresholds),
+    summary: r => `Uncommitted drift: ${r.lines} changed lines in ${r.files} files not committed` },
+  { name: 'cycle',        detect: (w, c) => detectCycle(w, c.thresholds),
+    summary: r => `Cycle: ${r.steps.join(' → ')} repeated ${r.reps}x` },
+  { name: 'oscillation',  detect: (w, c) => detectOscillation(w, c.thresholds),
+    summary: r => `Oscillating edits: ${r.file} flipped back ${r.count}x` },
+  { name: 'testsRed',     detect: (w, c) => detectTestsRed(c.events),
+    summary: r => `Tests newly red: "${r.command}" ${r.failed ? `has ${r.failed} failing` : 'fails'} (passed before)` },
+  { name: 'testStuck',    detect: (w, c) => detectTestStuck(c.events, c.thresholds),
+    summary: r => `Same test failing ${r.runs} runs: ${r.test}` },
+  { name: 'testsDropped', detect: (w, c) => detectTestsDropped(c.events),
+    summary: r => `Test count went down: ${r.from} → ${r.to} ("${r.command}")` },
+];
+
+const customDetectors = [];
+
+/**
+ * Register a plugin detector. It runs after the built-ins on every assessment.
+ * @param {{ name: string, detect: Function, summary?: Function, scoreDelta?: number }} detector
+ *   detect(window, { events, goal, spec, git, scope, thresholds }) → { detected: boolean, ...details }
+ *     goal is the goal text; spec the structured goal (checklist, scope globs), see goal.mjs;
+ *     git the project's working-tree state (git.mjs), null when unknown;
+ *     scope(file) → { distance, via } from where the work started (scope.mjs), null before any file was touched
+ *   summary(result) → short text for the assessor prompt / dashboard
+ *   scoreDelta      → added to the heuristic score when detected (negative = penalty)
+ * @throws {Error} if the detector is malformed or its name is already taken
+ */
+export function registerDetector(detector) {
+  const { name, detect, summary, scoreDelta = 0 } = detector ?? {};
+  if (typeof name !== 'string' || !/^[A-Za-z][\w-]*$/.test(name)) {
+    throw new Error(`detector name must be an identifier-like string, got ${JSON.stringify(name)}`);
+  }
+  if (allDetectors().some(d => d.name === name)) throw new Error(`detector "${name}" is already registered`);
+  if (typeof detect !== 'function')  throw new Error(`detector "${name}": detect must be a function`);
+  if (summary !== undefined && typeof summary !== 'function') throw new Error(`detector "${name}": summary must be a function`);
+  if (typeof scoreDelta !== 'number' || !Number.isFinite(scoreDelta)) throw new Error(`detector "${name}": scoreDelta must be a number`);
+
+  customDetectors.push({ name, detect, summary: summary ?? (() => name), scoreDelta, custom: true });
+}
+
+/** Every active detector, built-ins first. */
+export function allDetectors() {
+  return [...BUILTIN_DETECTORS, ...customDetectors];
+}
+
 /**
  * Analyze a rolling window of recent events and return signal flags.
- * @param {object[]} events  — recent timeline events (last 20-30)
- * @param {string}   goal    — original user goal text
+ * @param {object[]} events  — timeline events so far (most detectors look at the last `window` tool calls)
+ * @param {string|object} goal — goal text or structured goal (goal.mjs)
+ * @param {object}   t       — thresholds (config.signals)
+ * @param {object}   env
+ * @param {object|null} env.git        — working-tree state (watchGit().state()); git detectors stay quiet without it
+ * @param {string|null} env.projectDir — project directory, for the import graph behind scope distances
+ * @param {number|null} env.since      — epoch ms the current goal took effect (goalSince()); scope is
+ *                                       measured from where the work started after it
  */
-export function detectSignals(events, goal) {
+export function detectSignals(events, goal, t = DEFAULTS.signals, { git = null, projectDir = null, since = null } = {}) {
   const toolCalls = events.filter(e => e.type === 'tool_call');
-  const recent    = toolCalls.slice(-15);
+  const recent    = toolCalls.slice(-t.window);
+  const spec      = toGoal(goal);
+  const scope     = createScope(scopeSeeds(events, t.scopeSeeds, since), { root: projectDir ?? git?.root ?? null });
+  const ctx       = { events, goal: spec?.title ?? '', spec, git, scope, thresholds: t };
 
-  return {
-    loop:          detectLoop(recent),
-    stuckOnFile:   detectStuckOnFile(recent),
-    errorStreak:   detectErrorStreak(recent),
-    paralysis:     detectParalysis(recent),
-    scopeCreep:    detectScopeCreep(recent, goal),
-    goodMomentum:  detectGoodMomentum(recent),
-    noProgress:    detectNoProgress(events),
-  };
+  const signals = {};
+  for (const d of allDetectors()) {
+    try {
+      signals[d.name] = d.detect(recent, ctx) ?? { detected: false };
+    } catch (err) {
+      // A broken plugin must never take the monitor down
+      signals[d.name] = { detected: false, error: err.message };
+    }
+  }
+  return signals;
 }
 
-/** Same Bash command run 3+ times in the last 10 */
-function detectLoop(recent) {
-  const cmds = recent
-    .filter(e => e.tool?.name === 'Bash')
-    .map(e => (e.tool.input.command || '').trim().substring(0, 80));
-
-  const counts = {};
-  for (const c of cmds) counts[c] = (counts[c] ?? 0) + 1;
-  const worst = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
-  if (worst && worst[1] >= 3) return { detected: true, command: worst[0], count: worst[1] };
+/**
+ * Similar Bash commands failing `loopMin`+ times in the window: the same program and
+ * subcommand with `loopSimilarity`% of their arguments in common count as the same attempt
+ * (see loops.mjs). Runs that succeeded aren't retries. Repeats inside one parallel batch count once.
+ */
+function detectLoop(recent, t) {
+  const groups = []; // { shape, count, commands: Set, last, batches: Set }
+  for (const e of recent) {
+    if (e.tool?.name !== 'Bash' || !(e.failed || e.tests?.ok === false)) continue;
+    const command = (e.tool.input.command || '').trim().substring(0, 80);
+    const shape   = commandShape(command);
+    let g = groups.find(x => commandSimilarity(x.shape, shape) * 100 >= t.loopSimilarity);
+    if (!g) groups.push(g = { shape, count: 0, commands: new Set(), batches: new Set() });
+    const batch = e.batchId ?? e.id;
+    g.commands.add(command);
+    g.last = command;
+    if (batch != null && g.batches.has(batch)) continue;
+    g.batches.add(batch);
+    g.count++;
+  }
+  const worst = groups.sort((a, b) => b.count - a.count)[0];
+  if (worst && worst.count >= t.loopMin) {
+    return { detected: true, command: worst.last, count: worst.count, variants: worst.commands.size };
+  }
   return { detected: false };
 }
 
-/** Same file edited 5+ times with no Bash in between */
-function detectStuckOnFile(recent) {
-  const edits = recent.filter(e => ['Edit', 'Write'].includes(e.tool?.name));
-  if (edits.length < 5) return { detected: false };
+/** Same file edited `stuckMin`+ times in the window */
+function detectStuckOnFile(recent, t) {
+  const edits = recent.filter(e => EDIT_TOOLS.has(e.tool?.name));
+  if (edits.length < t.stuckMin) return { detected: false };
 
   const fileCounts = {};
   for (const e of edits) {
@@ -44,102 +146,260 @@ function detectStuckOnFile(recent) {
     fileCounts[f] = (fileCounts[f] ?? 0) + 1;
   }
   const worst = Object.entries(fileCounts).sort((a, b) => b[1] - a[1])[0];
-  if (worst && worst[1] >= 5) return { detected: true, file: worst[0], count: worst[1] };
+  if (worst && worst[1] >= t.stuckMin) return { detected: true, file: worst[0], count: worst[1] };
   return { detected: false };
 }
 
-/** 3+ consecutive failed tool calls */
-function detectErrorStreak(recent) {
+/** `errorStreakMin`+ consecutive failed tool calls */
+function detectErrorStreak(recent, t) {
   let streak = 0;
   let maxStreak = 0;
   for (const e of recent) {
     if (e.failed) { streak++; maxStreak = Math.max(maxStreak, streak); }
     else streak = 0;
   }
-  return { detected: maxStreak >= 3, streak: maxStreak };
+  return { detected: maxStreak >= t.errorStreakMin, streak: maxStreak };
 }
 
-/** 8+ Read/Glob/Grep with no Edit/Write (analysis paralysis) */
-function detectParalysis(recent) {
+/** `paralysisMin`+ Read/Glob/Grep/WebFetch with no edit since (analysis paralysis) — every parallel read counts */
+function detectParalysis(recent, t) {
   const readTools = new Set(['Read', 'Glob', 'Grep', 'WebFetch']);
-  const writeTools = new Set(['Edit', 'Write']);
 
   let readCount = 0;
   for (let i = recent.length - 1; i >= 0; i--) {
     const name = recent[i].tool?.name;
-    if (writeTools.has(name)) break;
+    if (EDIT_TOOLS.has(name)) break;
     if (readTools.has(name)) readCount++;
   }
-  return { detected: readCount >= 8, count: readCount };
+  return { detected: readCount >= t.paralysisMin, count: readCount };
 }
 
-/** Files being edited outside what the goal implies */
-function detectScopeCreep(recent, goal) {
-  if (!goal) return { detected: false };
-
-  // Extract keywords from goal to identify expected file paths
-  const goalWords = goal.toLowerCase().split(/\s+/).filter(w => w.length > 3);
+/**
+ * Files being edited outside what the goal covers. The goal's scope globs decide when they
+ * cover a file (one edit to an excluded path is enough); otherwise a file is out of scope
+ * when it is `scopeDistanceMin`+ steps from the files the work started from (scope.mjs).
+ */
+function detectScopeCreep(recent, ctx) {
   const editedFiles = recent
-    .filter(e => ['Edit', 'Write'].includes(e.tool?.name))
-    .map(e => (e.tool.input.file_path ?? '').toLowerCase());
+    .filter(e => EDIT_TOOLS.has(e.tool?.name))
+    .map(e => e.tool.input.file_path ?? '');
 
-  const unrelated = editedFiles.filter(f =>
-    !goalWords.some(w => f.includes(w)) &&
-    !f.includes('test') && !f.includes('spec') && !f.includes('config')
-  );
+  const excluded = editedFiles.filter(f => scopeOf(ctx.spec, f) === 'excluded');
+  if (excluded.length > 0) {
+    const files = [...new Set(excluded)].slice(0, 3);
+    return { detected: true, files, distances: files.map(() => null), outOfScope: true };
+  }
 
+  const outside = editedFiles.map(f => ({ file: f, ...placement(f, ctx) })).filter(p => p.out);
+  const far     = new Map(outside.map(p => [p.file, p.distance]));
+  const files   = [...far.keys()].sort((a, b) => (far.get(b) ?? 0) - (far.get(a) ?? 0)).slice(0, 3);
   return {
-    detected: unrelated.length >= 3,
-    files:    [...new Set(unrelated)].slice(0, 3),
+    detected:  outside.length >= ctx.thresholds.scopeCreepMin,
+    files,
+    distances: files.map(f => far.get(f)),
+    distance:  Math.max(0, ...[...far.values()].filter(d => d != null)),
   };
 }
 
-/** Edit/Write followed by passing Bash = good pattern */
-function detectGoodMomentum(recent) {
+/**
+ * Where a file stands: the goal's scope globs when they have an opinion, else its distance
+ * from where the work started. distance is null when the globs decided.
+ */
+function placement(file, { spec, scope, thresholds }) {
+  const glob = scopeOf(spec, file);
+  if (glob) return { out: glob !== 'in', distance: null };
+  const d = scope(file);
+  return { out: !!d && d.distance >= thresholds.scopeDistanceMin, distance: d?.distance ?? null };
+}
+
+/** `momentumMin`+ edits followed by a passing test run (other Bash calls don't count) */
+function detectGoodMomentum(recent, t) {
   let goodPatterns = 0;
   for (let i = 0; i < recent.length - 1; i++) {
     const curr = recent[i];
     const next = recent[i + 1];
     if (
-      ['Edit', 'Write'].includes(curr.tool?.name) &&
-      next.tool?.name === 'Bash' &&
-      !next.failed
+      EDIT_TOOLS.has(curr.tool?.name) &&
+      next.tests?.ok
     ) {
       goodPatterns++;
     }
   }
-  return { detected: goodPatterns >= 2, count: goodPatterns };
+  return { detected: goodPatterns >= t.momentumMin, count: goodPatterns };
 }
 
-/** No Edit/Write at all in last 20 events */
-function detectNoProgress(events) {
-  const recent = events.slice(-20);
-  const hasWrite = recent.some(e => ['Edit', 'Write'].includes(e.tool?.name));
-  return { detected: !hasWrite && recent.length >= 10 };
+/**
+ * No edit at all in the last `noProgressWindow` events (tool calls and user messages;
+ * agent chatter doesn't count), once there are `noProgressMin`+ of them
+ */
+function detectNoProgress(events, t) {
+  const recent = events.filter(e => e.type !== 'assistant_message').slice(-t.noProgressWindow);
+  const hasWrite = recent.some(e => EDIT_TOOLS.has(e.tool?.name));
+  return { detected: !hasWrite && recent.length >= t.noProgressMin, steps: recent.length };
+}
+
+/** `thrashingMin`+ hunks written and then taken out again within 10 minutes (git) */
+function detectThrashing(git, t) {
+  if (!git) return { detected: false };
+  const recent = git.reverts.slice(-git.recentReverts);
+  return {
+    detected: git.recentReverts >= t.thrashingMin,
+    count:    git.recentReverts,
+    files:    [...new Set(recent.map(r => relative(git, r.file)))].slice(0, 3),
+  };
+}
+
+/** `diffBalloonLines`+ lines of the diff against the base branch in files outside the goal's scope (git) */
+function detectDiffBalloon(ctx) {
+  const { git, thresholds: t } = ctx;
+  if (!git) return { detected: false };
+  const outside = git.files.filter(f => placement(f.file, ctx).out);
+  const lines   = outside.reduce((n, f) => n + f.added + f.removed, 0);
+  return {
+    detected: lines >= t.diffBalloonLines,
+    lines,
+    files:    outside.slice(0, 3).map(f => relative(git, f.file)),
+  };
+}
+
+/** `uncommittedMin`+ changed lines sitting uncommitted in the working tree (git) */
+function detectUncommittedDrift(git, t) {
+  if (!git) return { detected: false };
+  const lines = git.uncommitted.added + git.uncommitted.removed;
+  return { detected: lines >= t.uncommittedMin, lines, files: git.uncommitted.files };
+}
+
+function relative(git, file) {
+  return file.startsWith(git.root + '/') ? file.slice(git.root.length + 1) : file;
+}
+
+/**
+ * The same 2–4 steps repeated `cycleMin`+ times at the end of the window (Read a → Edit a → Bash ✗ → …).
+ * A cycle whose latest round ran a Bash command successfully is iteration, not a loop.
+ */
+function detectCycle(recent, t) {
+  const steps = recent.map(stepToken);
+  const found = findCycle(steps);
+  if (!found || found.reps < t.cycleMin) return { detected: false };
+  const latest = recent.slice(-found.period);
+  if (latest.some(e => e.tool?.name === 'Bash' && e.result !== null && !e.failed)) return { detected: false };
+  const block = recent.slice(found.start, found.start + found.period);
+  return { detected: true, reps: found.reps, steps: block.map(e => stepLabel(e)) };
+}
+
+/** Edits flipping a file between versions: `oscillationMin`+ edits in the window put back text an earlier one replaced */
+function detectOscillation(recent, t) {
+  const reversals = editReversals(recent);
+  if (reversals.length < t.oscillationMin) return { detected: false, count: reversals.length };
+  const counts = {};
+  for (const r of reversals) counts[r.file] = (counts[r.file] ?? 0) + 1;
+  const [file, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return { detected: true, file, count };
+}
+
+/** What a step does, for cycle matching: tool + target (similar Bash commands share a token) */
+function stepToken(e) {
+  const input = e.tool?.input ?? {};
+  switch (e.tool?.name) {
+    case 'Bash':      return `Bash:${commandShape(input.command).head}`;
+    case 'Edit':
+    case 'MultiEdit':
+    case 'Write':     return `Edit:${input.file_path ?? ''}`;
+    case 'Read':      return `Read:${input.file_path ?? ''}`;
+    case 'Grep':
+    case 'Glob':      return `Search:${input.pattern ?? ''}`;
+    default:          return e.tool?.name ?? '?';
+  }
+}
+
+function stepLabel(e) {
+  const input = e.tool?.input ?? {};
+  const file  = (input.file_path ?? '').split('/').pop();
+  switch (e.tool?.name) {
+    case 'Bash':  return commandShape(input.command).head;
+    case 'Edit':
+    case 'MultiEdit':
+    case 'Write':
+    case 'Read':  return `${e.tool.name} ${file}`;
+    default:      return e.tool?.name ?? '?';
+  }
+}
+
+/** The latest test run failed where the previous run of the same command passed */
+function detectTestsRed(events) {
+  const runs = testRuns(events);
+  const last = runs.at(-1);
+  if (!last || last.ok) return { detected: false };
+  const prev = runs.slice(0, -1).findLast(r => r.command === last.command);
+  return { detected: !!prev?.ok, command: last.command, failed: last.failed };
+}
+
+/** One named test failing in each of the last `testFailRunsMin`+ runs of the same command */
+function detectTestStuck(events, t) {
+  const runs = testRuns(events);
+  const last = runs.at(-1);
+  if (!last || last.ok) return { detected: false };
+  const same = runs.filter(r => r.command === last.command).reverse();
+
+  let worst = { test: null, runs: 0 };
+  for (const test of last.failing) {
+    const streak = same.findIndex(r => !r.failing.includes(test));
+    const n = streak === -1 ? same.length : streak;
+    if (n > worst.runs) worst = { test, runs: n };
+  }
+  return { detected: worst.runs >= t.testFailRunsMin, ...worst };
+}
+
+/** Fewer tests ran than in the previous run of the same command (deleted or skipped tests) */
+function detectTestsDropped(events) {
+  const runs = testRuns(events).filter(r => r.total !== null);
+  const last = runs.at(-1);
+  const prev = last && runs.slice(0, -1).findLast(r => r.command === last.command);
+  if (!prev) return { detected: false };
+  return { detected: last.total < prev.total, from: prev.total, to: last.total, command: last.command };
 }
 
 /** Convert signals to a human-readable summary for Claude API */
 export function signalSummary(signals) {
-  const parts = [];
-  if (signals.loop.detected)       parts.push(`Loop: "${signals.loop.command}" run ${signals.loop.count}x`);
-  if (signals.stuckOnFile.detected) parts.push(`Stuck: editing ${signals.stuckOnFile.file} ${signals.stuckOnFile.count}x`);
-  if (signals.errorStreak.detected) parts.push(`Error streak: ${signals.errorStreak.streak} consecutive failures`);
-  if (signals.paralysis.detected)   parts.push(`Analysis paralysis: ${signals.paralysis.count} reads with no edits`);
-  if (signals.scopeCreep.detected)  parts.push(`Scope creep: editing ${signals.scopeCreep.files.join(', ')}`);
-  if (signals.goodMomentum.detected) parts.push(`Good momentum: ${signals.goodMomentum.count} edit→test cycles`);
-  if (signals.noProgress.detected)  parts.push('No file edits in last 20 steps');
+  const parts = describeSignals(signals).map(s => s.text);
   return parts.length ? parts.join('; ') : 'No anomalies detected';
 }
 
-/** Quick heuristic score (0-100) based purely on signals — no API needed */
-export function heuristicScore(signals) {
-  let score = 70; // base
-  if (signals.loop.detected)        score -= 25;
-  if (signals.stuckOnFile.detected) score -= 20;
-  if (signals.errorStreak.detected) score -= 30;
-  if (signals.paralysis.detected)   score -= 20;
-  if (signals.scopeCreep.detected)  score -= 15;
-  if (signals.noProgress.detected)  score -= 20;
-  if (signals.goodMomentum.detected) score += 20;
+/**
+ * The signals that fired, in detector order, with their summaries and score deltas
+ * (for the dashboard's Signals panel).
+ * @param {object} w — config.scoring, for the built-ins' deltas
+ * @returns {{ name: string, text: string, delta: number }[]}
+ */
+export function describeSignals(signals, w = DEFAULTS.scoring) {
+  const fired = [];
+  for (const d of allDetectors()) {
+    const r = signals[d.name];
+    if (!r?.detected) continue;
+    let text;
+    try { text = d.summary(r); } catch { text = d.name; }
+    fired.push({ name: d.name, text, delta: d.custom ? d.scoreDelta : (w[d.name] ?? 0) });
+  }
+  return fired;
+}
+
+/** Names of the signals that fired, e.g. ['loop', 'errorStreak'] */
+export function firedSignals(signals) {
+  return Object.entries(signals)
+    .filter(([, v]) => v?.detected)
+    .map(([k]) => k);
+}
+
+/**
+ * Quick heuristic score (0-100) based purely on signals — no API needed
+ * @param {object} signals — output of detectSignals()
+ * @param {object} w       — base score + built-in signal deltas (config.scoring)
+ */
+export function heuristicScore(signals, w = DEFAULTS.scoring) {
+  let score = w.base;
+  for (const d of allDetectors()) {
+    if (!signals[d.name]?.detected) continue;
+    score += d.custom ? d.scoreDelta : (w[d.name] ?? 0);
+  }
   return Math.max(0, Math.min(100, score));
 }
@@ -3,6 +3,7 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
+import { toGoal, validateGoal, revisionKey } from './goal.mjs';
 
 const CLAUDE_PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
 export const MONITOR_DIR  = path.join(os.homedir(), '.session-monitor');
@@ -11,6 +12,19 @@ export function cwdToSlug(cwd) {
   return cwd.replace(/\//g, '-');
 }
 
+/**
+ * The directory a session runs in. The slug can't be turned back into a path ("-" is
+ * ambiguous), but Claude Code records `cwd` on transcript entries; without it, `cwd`
+ * is used when it is the session's project.
+ * @param {object[]} rawEntries — raw transcript entries
+ * @returns {string|null}
+ */
+export function projectDir(rawEntries, projectSlug, cwd = process.cwd()) {
+  const recorded = rawEntries.find(e => typeof e?.cwd === 'string' && e.cwd)?.cwd;
+  if (recorded) return recorded;
+  return cwdToSlug(cwd) === projectSlug ? cwd : null;
+}
+
 /**
  * Returns the most recently modified session for the given cwd.
  * @returns {{ sessionId, transcriptPath, projectSlug } | null}
@@ -70,6 +84,97 @@ export function findSession(idPrefix, cwd) {
   return null;
 }
 
+/**
+ * Every session transcript, across all projects, modified within maxAgeMs.
+ * Subagent transcripts are skipped. Newest first.
+ * @returns {{ sessionId, transcriptPath, projectSlug, mtime }[]}
+ */
+export function recentSessions(maxAgeMs) {
+  if (!fs.existsSync(CLAUDE_PROJECTS_DIR)) return [];
+  const cutoff = Date.now() - maxAgeMs;
+  const found  = [];
+
+  for (const slug of fs.readdirSync(CLAUDE_PROJECTS_DIR)) {
+    const dir = path.join(CLAUDE_PROJECTS_DIR, slug);
+    let files;
+    try { files = fs.readdirSync(dir); } catch { continue; } // not a directory
+    for (const f of files) {
+      if (!f.endsWith('.jsonl') || f.startsWith('agent-')) continue;
+      const transcriptPath = path.join(dir, f);
+      let mtime;
+      try { mtime = fs.statSync(transcriptPath).mtime.getTime(); } catch { continue; }
+      if (mtime < cutoff) continue;
+      found.push({ sessionId: f.replace('.jsonl', ''), transcriptPath, projectSlug: slug, mtime });
+    }
+  }
+  return found.sort((a, b) => b.mtime - a.mtime);
+}
+
+/**
+ * Find subagent (Task tool) transcripts belonging to a session. Claude Code
+ * writes them either to {sessionId}/subagents/*.jsonl next to the main
+ * transcript, or (older versions) as agent-*.jsonl siblings tagged with the
+ * parent sessionId.
+ * @returns {{ agentId, transcriptPath }[]}
+ */
+export function findSubagentTranscripts(sessionId, transcriptPath) {
+  const projectDir = path.dirname(transcriptPath);
+  const found = [];
+
+  const nested = path.join(projectDir, sessionId, 'subagents');
+  if (fs.existsSync(nested)) {
+    for (const f of fs.readdirSync(nested)) {
+      if (!f.endsWith('.jsonl')) continue;
+      found.push({ agentId: agentIdFromFile(f), transcriptPath: path.join(nested, f) });
+    }
+  }
+
+  for (const f of fs.readdirSync(projectDir)) {
+    if (!f.startsWith('agent-') || !f.endsWith('.jsonl')) continue;
+    const p = path.join(projectDir, f);
+    if (agentSession(p) === sessionId) {
+      found.push({ agentId: agentIdFromFile(f), transcriptPath: p });
+    }
+  }
+  return found;
+}
+
+// agent-*.jsonl path → { mtimeMs, sessionId } from its first entry; the live monitor
+// looks for new subagents every few seconds and shouldn't re-read every file each time
+const agentSessions = new Map();
+
+/** The session an agent-*.jsonl belongs to (null until its first line is written) */
+function agentSession(p) {
+  const cached = agentSessions.get(p);
+  if (cached?.sessionId) return cached.sessionId; // the first line never changes once written
+  let mtimeMs;
+  try { mtimeMs = fs.statSync(p).mtimeMs; } catch { return null; }
+  if (cached?.mtimeMs === mtimeMs) return null;
+  const sessionId = firstEntry(p)?.sessionId ?? null;
+  agentSessions.set(p, { mtimeMs, sessionId });
+  return sessionId;
+}
+
+function agentIdFromFile(f) {
+  return f.replace(/\.jsonl$/, '').replace(/^agent-/, '');
+}
+
+/** Parse just the first line of a JSONL file (reads at most 64 KB). */
+function firstEntry(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const buf = Buffer.alloc(64 * 1024);
+    const n = fs.readSync(fd, buf, 0, buf.length, 0);
+    const line = buf.toString('utf8', 0, n).split('\n')[0];
+    return JSON.parse(line);
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
 // ── Goal storage ──────────────────────────────────────────────────────────
 
 export function goalPath(sessionId) {
@@ -81,10 +186,183 @@ export function readGoal(sessionId) {
   return fs.existsSync(p) ? fs.readFileSync(p, 'utf8').trim() : null;
 }
 
+/** Set the goal text. A structured goal.json keeps its checklist and takes the new title. */
 export function writeGoal(sessionId, goal) {
   const dir = path.join(MONITOR_DIR, sessionId);
   fs.mkdirSync(dir, { recursive: true });
   fs.writeFileSync(goalPath(sessionId), goal, 'utf8');
+  const structured = readGoalFile(sessionId);
+  if (structured) writeGoalFile(sessionId, { ...structured, title: goal });
+}
+
+export function goalFilePath(sessionId) {
+  return path.join(MONITOR_DIR, sessionId, 'goal.json');
+}
+
+/**
+ * The session's goal as a structured goal (see goal.mjs): goal.json when present,
+ * else goal.txt as a title-only goal.
+ * @returns {object|null}
+ * @throws {Error} if goal.json is not valid JSON or not a valid goal
+ */
+export function readStructuredGoal(sessionId) {
+  return readGoalFile(sessionId) ?? toGoal(readGoal(sessionId));
+}
+
+/** Write goal.json, and goal.txt with its title for the hook and plain-text readers */
+export function writeGoalFile(sessionId, goal) {
+  const dir = path.join(MONITOR_DIR, sessionId);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(goalFilePath(sessionId), JSON.stringify(goal, null, 2) + '\n', 'utf8');
+  if (readGoal(sessionId) !== goal.title) fs.writeFileSync(goalPath(sessionId), goal.title, 'utf8');
+}
+
+/** When the goal text was last set (goal.txt's mtime, untouched by checklist edits), or null */
+export function goalSetAt(sessionId) {
+  try { return fs.statSync(goalPath(sessionId)).mtimeMs; } catch { return null; }
+}
+
+function readGoalFile(sessionId) {
+  const p = goalFilePath(sessionId);
+  if (!fs.existsSync(p)) return null;
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(p, 'utf8'));
+  } catch (err) {
+    throw new Error(`${p}: invalid JSON (${err.message})`);
+  }
+  return validateGoal(raw, p);
+}
+
+// ── Assessment history (append-only JSONL, one entry per assessment) ───────
+
+export function historyPath(sessionId) {
+  return path.join(MONITOR_DIR, sessionId, 'assessments.jsonl');
+}
+
+/**
+ * Append one assessment to the session's history log.
+ * @param {{ assessedAt, step, score, status, reason, suggestion, source, signals }} entry
+ */
+export function appendAssessment(sessionId, entry) {
+  const dir = path.join(MONITOR_DIR, sessionId);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(historyPath(sessionId), JSON.stringify(entry) + '\n', 'utf8');
+}
+
+/** All recorded assessments for a session, oldest first. Malformed lines are skipped. */
+export function readAssessments(sessionId) {
+  const p = historyPath(sessionId);
+  if (!fs.existsSync(p)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(p, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try { entries.push(JSON.parse(line)); } catch { /* skip malformed */ }
+  }
+  return entries;
+}
+
+// ── Goal timeline (append-only JSONL, one entry per classified follow-up) ──
+
+export function goalTimelinePath(sessionId) {
+  return path.join(MONITOR_DIR, sessionId, 'goal-timeline.jsonl');
+}
+
+/** @param {{ at, text, kind, source, confident }} entry — see goalTimeline() in goal.mjs */
+export function appendRevision(sessionId, entry) {
+  const dir = path.join(MONITOR_DIR, sessionId);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(goalTimelinePath(sessionId), JSON.stringify(entry) + '\n', 'utf8');
+}
+
+/** Recorded revisions keyed by revisionKey(), for reuse by goalTimeline(). Malformed lines are skipped. */
+export function readRevisions(sessionId) {
+  const p = goalTimelinePath(sessionId);
+  const known = new Map();
+  if (!fs.existsSync(p)) return known;
+  for (const line of fs.readFileSync(p, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      known.set(revisionKey(entry.at, entry.text), entry);
+    } catch { /* skip malformed */ }
+  }
+  return known;
+}
+
+// ── Monitor spend (append-only JSONL, one entry per model call the monitor made) ──
+
+export function monitorUsagePath(sessionId) {
+  return path.join(MONITOR_DIR, sessionId, 'monitor-usage.jsonl');
+}
+
+/** @param {{ model, input, output, cacheWrite?, cacheRead? }} usage — a provider's usage for one call */
+export function appendMonitorUsage(sessionId, usage) {
+  const dir = path.join(MONITOR_DIR, sessionId);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(monitorUsagePath(sessionId), JSON.stringify(usage) + '\n', 'utf8');
+}
+
+/** Every recorded call's usage, oldest first. Malformed lines are skipped. */
+export function readMonitorUsage(sessionId) {
+  const p = monitorUsagePath(sessionId);
+  if (!fs.existsSync(p)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(p, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try { entries.push(JSON.parse(line)); } catch { /* skip malformed */ }
+  }
+  return entries;
+}
+
+// ── Goal input history (shared by all sessions, oldest first) ──────────────
+
+export const GOAL_HISTORY_PATH = path.join(MONITOR_DIR, 'goal-history.txt');
+const MAX_GOAL_HISTORY = 100;
+
+/** Goals typed into the live dashboard, one per line, oldest first */
+export function readGoalHistory() {
+  try {
+    return fs.readFileSync(GOAL_HISTORY_PATH, 'utf8').split('\n').filter(line => line.trim());
+  } catch {
+    return [];
+  }
+}
+
+/** Add a goal to the history (moved to the end if already there), keeping the last 100 */
+export function appendGoalHistory(goal) {
+  const line = goal.replace(/\s+/g, ' ').trim();
+  if (!line) return;
+  const entries = [...readGoalHistory().filter(g => g !== line), line].slice(-MAX_GOAL_HISTORY);
+  fs.mkdirSync(MONITOR_DIR, { recursive: true });
+  fs.writeFileSync(GOAL_HISTORY_PATH, entries.join('\n') + '\n', 'utf8');
+}
+
+// ── Webhook delivery queue (per-session, survives restarts) ─────────────
+// Only the session's monitor writes it (the PID file keeps it to one), so
+// concurrent monitors never read-modify-write each other's entries.
+
+export function webhookQueuePath(sessionId) {
+  return path.join(MONITOR_DIR, sessionId, 'webhook-queue.json');
+}
+
+export function readWebhookQueue(sessionId) {
+  const file = webhookQueuePath(sessionId);
+  if (!fs.existsSync(file)) return [];
+  try {
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(entries) ? entries : [];
+  } catch {
+    return [];
+  }
+}
+
+export function writeWebhookQueue(sessionId, entries) {
+  const file = webhookQueuePath(sessionId);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(entries), 'utf8');
+  fs.renameSync(tmp, file);
 }
 
 // ── PID file (per-session) ────────────────────────────────────────────────
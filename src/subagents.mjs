@@ -0,0 +1,133 @@
+// src/subagents.mjs — follow subagent (Task tool) transcripts alongside the main one
+// Each subagent gets a "lane": its own events + signals, attributed to the parent Task call.
+
+import { readAll, tailJsonl } from './tail.mjs';
+import { createNormalizer } from './transcript.mjs';
+import { detectSignals, signalSummary } from './signals.mjs';
+import { findSubagentTranscripts } from './store.mjs';
+import { DEFAULTS } from './config.mjs';
+
+export const SUBAGENT_TOOLS = new Set(['Task', 'Agent']);
+
+const DISCOVER_INTERVAL_MS = 3000;
+
+const normalizers = new WeakMap(); // lane → its own transcript normalizer (kept off the plain lane data)
+
+/**
+ * Watch for subagent transcripts of a session and tail each one as it appears.
+ * @param {string}   sessionId
+ * @param {string}   transcriptPath — main session transcript
+ * @param {object[]} parentEvents   — live main-session events (Task calls are linked in place)
+ * @param {Function} onActivity     — (lane, raw) called after each entry a lane reads, e.g. to count its usage
+ * @param {object}   thresholds     — config.signals, applied to each lane
+ * @returns {{ lanes: () => object[], stop: () => void }}
+ */
+export function watchSubagents(sessionId, transcriptPath, parentEvents, onActivity = () => {}, thresholds = DEFAULTS.signals) {
+  const lanes = new Map(); // agentId → lane
+  const stops = [];
+
+  function discover() {
+    let found = [];
+    try { found = findSubagentTranscripts(sessionId, transcriptPath); } catch { /* dir vanished */ }
+
+    for (const { agentId, transcriptPath: p } of found) {
+      if (lanes.has(agentId)) continue;
+      const lane = createLane(agentId, p);
+      lanes.set(agentId, lane);
+      stops.push(tailJsonl(p, (raw) => {
+        ingest(lane, raw, parentEvents, thresholds);
+        onActivity(lane, raw);
+      }, 500, 0));
+    }
+    for (const lane of lanes.values()) {
+      if (!lane.parentId) link(lane, parentEvents);
+    }
+  }
+
+  discover();
+  const timer = setInterval(discover, DISCOVER_INTERVAL_MS);
+
+  return {
+    lanes: () => [...lanes.values()],
+    stop:  () => {
+      clearInterval(timer);
+      for (const s of stops) s();
+    },
+  };
+}
+
+/**
+ * One-shot: read every subagent transcript of a session (for status/report).
+ * @param {Function} onEntry — (lane, raw) called for each entry read
+ * @returns {Promise<object[]>} lanes
+ */
+export async function readSubagents(sessionId, transcriptPath, parentEvents, thresholds = DEFAULTS.signals, onEntry = () => {}) {
+  let found = [];
+  try { found = findSubagentTranscripts(sessionId, transcriptPath); } catch { /* none */ }
+
+  const lanes = [];
+  for (const { agentId, transcriptPath: p } of found) {
+    const lane = createLane(agentId, p);
+    for (const raw of await readAll(p)) {
+      ingest(lane, raw, parentEvents, thresholds);
+      onEntry(lane, raw);
+    }
+    lanes.push(lane);
+  }
+  return lanes;
+}
+
+// ── Lane bookkeeping ─────────────────────────────────────────────────────────
+
+function createLane(agentId, transcriptPath) {
+  const lane = {
+    agentId,
+    transcriptPath,
+    parentId:    null,  // id of the Task tool_call that launched it
+    description: null,  // Task input.description once linked
+    prompt:      null,  // first user message of the sidechain = Task prompt
+    events:      [],
+    signals:     null,
+    summary:     '',
+  };
+  normalizers.set(lane, createNormalizer());
+  return lane;
+}
+
+function ingest(lane, raw, parentEvents, thresholds) {
+  let sawToolCall = false;
+  for (const ev of normalizers.get(lane).push(raw)) {
+    if (ev.type === 'user_message' && lane.prompt === null) {
+      lane.prompt = ev.text.trim();
+      link(lane, parentEvents);
+    }
+    if (ev.type === 'tool_call') {
+      ev.agentId  = lane.agentId;
+      ev.parentId = lane.parentId;
+      sawToolCall = true;
+    }
+    lane.events.push(ev);
+  }
+
+  if (sawToolCall) {
+    lane.signals = detectSignals(lane.events, lane.description ?? lane.prompt, thresholds);
+    lane.summary = signalSummary(lane.signals);
+  }
+}
+
+/** Attribute a lane to its Task call: by reported agentId, else by identical prompt text. */
+function link(lane, parentEvents) {
+  const task = parentEvents.find(e =>
+    e.type === 'tool_call' &&
+    SUBAGENT_TOOLS.has(e.tool?.name) &&
+    (e.agentId === lane.agentId ||
+      (e.agentId == null && lane.prompt && (e.tool.input?.prompt ?? '').trim() === lane.prompt)));
+  if (!task) return;
+
+  task.agentId     = lane.agentId;
+  lane.parentId    = task.id;
+  lane.description = task.tool.input?.description ?? null;
+  for (const ev of lane.events) {
+    if (ev.type === 'tool_call') ev.parentId = task.id;
+  }
+}
@@ -8,19 +8,24 @@ import readline from 'node:readline';
  * Start tailing a JSONL file. Calls onEntry for each new JSON object.
  * Returns a stop function.
  *
- * @param {string}   filePath  — absolute path to .jsonl transcript
- * @param {Function} onEntry   — called with each new parsed JSON entry
- * @param {number}   interval  — poll interval in ms (default 500)
+ * @param {string}   filePath       — absolute path to .jsonl transcript
+ * @param {Function} onEntry        — called with each new parsed JSON entry
+ * @param {number}   interval       — poll interval in ms (default 500)
+ * @param {number|null} initialOffset — byte offset to start from (default: EOF)
  */
-export function tailJsonl(filePath, onEntry, interval = 500) {
+export function tailJsonl(filePath, onEntry, interval = 500, initialOffset = null) {
   let lastByteOffset = 0;
   let polling = true;
 
   // Seek to end on first start so we only get NEW entries (don't replay history)
   // Caller can pass initialOffset=0 to replay from beginning
-  try {
-    lastByteOffset = fs.statSync(filePath).size;
-  } catch { /* file may not exist yet */ }
+  if (initialOffset !== null) {
+    lastByteOffset = initialOffset;
+  } else {
+    try {
+      lastByteOffset = fs.statSync(filePath).size;
+    } catch { /* file may not exist yet */ }
+  }
 
   async function poll() {
     if (!polling) return;
@@ -0,0 +1,165 @@
+// src/testruns.mjs — recognize test runs among Bash calls and read their outcome
+// The normalizer attaches parseTestRun() to every Bash tool_call as `tests` while it still
+// has the full output (summaries come last, long after the stored result excerpt ends).
+
+import { commandShape } from './loops.mjs';
+
+const MAX_FAILING = 20; // failing test names kept per run
+
+// What runs tests, matched against the command's shape (loops.mjs) so only the program being
+// run counts — not "npm install jest" or "cat jest.config.js". `tool` is the head without a
+// package-manager prefix: "npx jest", "yarn jest" and "pnpm exec jest" are all jest. The
+// interpreter branch of commandShape folds node's script path into the head ("node test"),
+// so node's own runner is `node` plus a --test flag, whatever positionals follow.
+const RUNNERS = [
+  ['jest',     ({ tool, args }) => tool === 'jest' || (tool === 'react-scripts' && args.includes('test'))],
+  ['vitest',   ({ tool }) => tool === 'vitest'],
+  ['mocha',    ({ tool }) => tool === 'mocha'],
+  ['pytest',   ({ tool }) => tool === 'pytest' || tool === 'py.test' || tool === 'python -m pytest'],
+  ['unittest', ({ tool }) => tool === 'python -m unittest'],
+  ['go',       ({ tool }) => tool === 'go test'],
+  ['cargo',    ({ tool }) => tool === 'cargo test' || tool === 'cargo nextest'],
+  ['node',     ({ tool, args }) => /^node(?: |$)/.test(tool) && args.includes('--test')],
+  ['npm',      ({ head, tool }) => head !== tool && /^(?:test(?::\S*)?|t)$/.test(tool)],
+];
+
+/**
+ * Classify a Bash command as a test run and parse its output.
+ * Counts come from whichever runner's summary appears in the output (`npm test`
+ * may run jest, vitest, mocha or node --test); they are null when no summary was found.
+ * @param {string}  command
+ * @param {string}  output  — full tool result text
+ * @param {boolean} isError — tool_result.is_error (the exit status)
+ * @returns {{ runner: string, passed: number|null, failed: number|null, skipped: number|null,
+ *            total: number|null, failing: string[], ok: boolean } | null} null when not a test run
+ */
+export function parseTestRun(command, output, isError) {
+  const shape  = commandShape(command);
+  const tool   = shape.head.replace(/^(?:npm|pnpm|yarn|bun)(?: (?:exec|run|x))? (?=\S)/, '');
+  const runner = RUNNERS.find(([, matches]) => matches({ ...shape, tool }))?.[0];
+  if (!runner) return null;
+
+  const text   = String(output ?? '');
+  const counts = jestCounts(text) ?? mochaCounts(text) ?? nodeCounts(text) ?? pytestCounts(text) ??
+                 cargoCounts(text) ?? goCounts(text);
+  const failing = failingNames(text);
+  const failed  = counts?.failed ?? null;
+  return {
+    runner,
+    passed:  counts?.passed ?? null,
+    failed,
+    skipped: counts?.skipped ?? null,
+    total:   !counts ? null : counts.total !== undefined ? counts.total : counts.passed + counts.failed + counts.skipped,
+    failing,
+    ok:      !isError && (failed === null || failed === 0), // a red exit status with 0 failures is still red
+  };
+}
+
+/**
+ * Every test run in the session, oldest first.
+ * @param {object[]} events — normalized timeline events
+ * @returns {{ step: number, at: string, command: string, runner, passed, failed, skipped, total, failing, ok }[]}
+ */
+export function testRuns(events) {
+  const runs = [];
+  let step = 0;
+  for (const e of events) {
+    if (e.type !== 'tool_call') continue;
+    step++;
+    if (!e.tests || e.result === null) continue;
+    runs.push({ step, at: e.timestamp, command: commandKey(e.tool.input?.command), ...e.tests });
+  }
+  return runs;
+}
+
+/** Identity of a command when comparing its runs: trimmed, first 80 characters */
+export function commandKey(command) {
+  return String(command ?? '').trim().substring(0, 80);
+}
+
+// ── output parsers ───────────────────────────────────────────────────────────
+// Each returns { passed, failed, skipped, total? } from the runner's summary, or null.
+
+/** jest "Tests: 1 failed, 2 skipped, 10 passed, 13 total" / vitest "Tests  1 failed | 12 passed (13)" */
+function jestCounts(text) {
+  const line = text.match(/^\s*Tests:?\s+(.*\d+ (?:passed|failed).*)$/m)?.[1];
+  if (!line) return null;
+  const n = (word) => Number(line.match(new RegExp(`(\\d+) ${word}`))?.[1] ?? 0);
+  const total = line.match(/(\d+) total/)?.[1] ?? line.match(/\((\d+)\)/)?.[1];
+  return { passed: n('passed'), failed: n('failed'), skipped: n('skipped') + n('todo'), total: total ? Number(total) : undefined };
+}
+
+/** mocha "12 passing (3s)", "2 failing", "1 pending" */
+function mochaCounts(text) {
+  const passing = text.match(/^\s*(\d+) passing\b/m);
+  const failing = text.match(/^\s*(\d+) failing\b/m);
+  if (!passing && !failing) return null;
+  return {
+    passed:  Number(passing?.[1] ?? 0),
+    failed:  Number(failing?.[1] ?? 0),
+    skipped: Number(text.match(/^\s*(\d+) pending\b/m)?.[1] ?? 0),
+  };
+}
+
+/** node --test TAP "# pass 12" / spec reporter "ℹ pass 12", with "fail", "skipped", "todo" and "cancelled" alike */
+function nodeCounts(text) {
+  const n = (word) => text.match(new RegExp(`^[#ℹ] ${word} (\\d+)\\s*$`, 'm'))?.[1];
+  if (n('pass') === undefined && n('fail') === undefined) return null;
+  const count = (word) => Number(n(word) ?? 0);
+  return {
+    passed:  count('pass'),
+    failed:  count('fail') + count('cancelled'),
+    skipped: count('skipped') + count('todo'),
+    total:   n('tests') === undefined ? undefined : Number(n('tests')),
+  };
+}
+
+/** pytest "===== 2 failed, 10 passed, 1 skipped in 0.12s =====" (also unittest "Ran 12 tests" + "FAILED (failures=2)") */
+function pytestCounts(text) {
+  const line = [...text.matchAll(/^=+ (.*\d+ (?:passed|failed|errors?).*) in [\d.]+s.*=+$/gm)].at(-1)?.[1];
+  if (line) {
+    const n = (re) => Number(line.match(re)?.[1] ?? 0);
+    return { passed: n(/(\d+) passed/), failed: n(/(\d+) failed/) + n(/(\d+) errors?/), skipped: n(/(\d+) skipped/) };
+  }
+  const ran = text.match(/^Ran (\d+) tests? in/m);
+  if (!ran) return null;
+  const bad = text.match(/^FAILED \((.*)\)$/m)?.[1] ?? '';
+  const failed = [...bad.matchAll(/(?:failures|errors)=(\d+)/g)].reduce((n, m) => n + Number(m[1]), 0);
+  const skipped = Number(bad.match(/skipped=(\d+)/)?.[1] ?? text.match(/^OK \(skipped=(\d+)\)$/m)?.[1] ?? 0);
+  return { passed: Number(ran[1]) - failed - skipped, failed, skipped, total: Number(ran[1]) };
+}
+
+/** cargo "test result: FAILED. 3 passed; 1 failed; 0 ignored; …" — one line per test binary, summed */
+function cargoCounts(text) {
+  const lines = [...text.matchAll(/^test result: \w+\. (\d+) passed; (\d+) failed; (\d+) ignored/gm)];
+  if (!lines.length) return null;
+  const sum = (i) => lines.reduce((n, m) => n + Number(m[i]), 0);
+  return { passed: sum(1), failed: sum(2), skipped: sum(3) };
+}
+
+/** go test -v "--- PASS: TestX" / "--- FAIL: TestY" / "--- SKIP: TestZ" (subtests included) */
+function goCounts(text) {
+  const n = (word) => (text.match(new RegExp(`^\\s*--- ${word}: `, 'gm')) ?? []).length;
+  const [passed, failed, skipped] = [n('PASS'), n('FAIL'), n('SKIP')];
+  if (passed + failed + skipped > 0) return { passed, failed, skipped };
+  // Without -v only package lines: "ok  pkg 0.01s" / "FAIL pkg 0.01s"
+  const okPkgs   = (text.match(/^ok\s+\S+\s/gm) ?? []).length;
+  const failPkgs = (text.match(/^FAIL\s+\S+\s/gm) ?? []).length;
+  return okPkgs + failPkgs > 0 ? { passed: null, failed: failPkgs, skipped: 0, total: null } : null;
+}
+
+/** Names of failing tests, as each runner prints them */
+function failingNames(text) {
+  const names = new Set();
+  const add = (re) => { for (const m of text.matchAll(re)) names.add(m[1].trim()); };
+  add(/^\s*● (?!Console\b)(.+?)\s*$/gm);              // jest: "● Suite › does the thing"
+  add(/^\s*(?:×|✗|✕) (.+?)(?: \d+ms)?\s*$/gm);        // vitest / jest verbose
+  add(/^\s*✖ (?!failing tests:)(.+?)(?: \([\d.]+ms\))?\s*$/gm); // node --test spec: "✖ does the thing (1.2ms)"
+  add(/^\s*not ok \d+ - (.+?)(?: # .*)?$/gm);        // node --test TAP: "not ok 3 - does the thing"
+  add(/^FAILED (\S+::\S+)/gm);                       // pytest -ra / short summary
+  add(/^\s*--- FAIL: (\S+)/gm);                      // go
+  add(/^test (\S+) \.\.\. FAILED$/gm);               // cargo
+  if (/^\s*\d+ failing\b/m.test(text)) add(/^\s*\d+\) (.+?):?$/gm); // mocha: "  1) Suite does the thing:"
+  names.delete('');
+  return [...names].slice(0, MAX_FAILING);
+}
@@ -0,0 +1,175 @@
+// src/top.mjs — overview of every recently active session (`session-monitor top`)
+// Heuristic scores only (no API calls); Enter opens the full dashboard for a row.
+
+import fs from 'node:fs';
+import { readFrom } from './tail.mjs';
+import { createNormalizer, detectGoal } from './transcript.mjs';
+import { detectSignals, signalSummary, heuristicScore } from './signals.mjs';
+import { recentSessions, readGoal, readStructuredGoal, goalSetAt, readRevisions } from './store.mjs';
+import { toGoal, goalTimeline, effectiveGoal, goalSince } from './goal.mjs';
+import { render, renderTop, clearScreen } from './display.mjs';
+import { scoreToStatus, msToHuman } from './utils.mjs';
+import { DEFAULTS } from './config.mjs';
+
+/**
+ * Scan recently active sessions once and return one summary row per session.
+ * Keeps per-transcript read offsets in `cache` so repeated scans only parse new lines.
+ * @param {number} maxAgeMs — only sessions whose transcript changed this recently
+ * @param {object} config   — effective config (loadConfig())
+ * @param {Map}    cache    — sessionId → tracked transcript state, reused across scans
+ */
+export async function scanSessions(maxAgeMs, config = DEFAULTS, cache = new Map()) {
+  const rows = [];
+  for (const info of recentSessions(maxAgeMs)) {
+    let tracked = cache.get(info.sessionId);
+    if (!tracked) {
+      tracked = { ...info, offset: 0, normalizer: createNormalizer(), events: [] };
+      cache.set(info.sessionId, tracked);
+    }
+    tracked.mtime = info.mtime;
+
+    try {
+      const size = fs.statSync(info.transcriptPath).size;
+      if (size > tracked.offset) {
+        for (const raw of await readFrom(info.transcriptPath, tracked.offset)) {
+          tracked.events.push(...tracked.normalizer.push(raw));
+        }
+        tracked.offset = size;
+      }
+    } catch {
+      continue; // transcript removed or unreadable since it was listed; skip it this scan
+    }
+
+    const { goal, since } = currentGoal(info.sessionId, tracked.events, config);
+    const signals   = detectSignals(tracked.events, goal, config.signals, { since });
+    const score     = heuristicScore(signals, config.scoring);
+    const toolCalls = tracked.events.filter(e => e.type === 'tool_call');
+
+    rows.push({
+      sessionId:   info.sessionId,
+      projectSlug: info.projectSlug,
+      goal:        goal?.title ?? null,
+      score,
+      status:      scoreToStatus(score),
+      reason:      signalSummary(signals),
+      steps:       toolCalls.length,
+      last:        toolCalls[toolCalls.length - 1] ?? null,
+      idleMs:      Date.now() - info.mtime,
+    });
+  }
+  return rows;
+}
+
+/**
+ * Interactive overview. ↑/↓ select, Enter opens the full dashboard, Esc goes back.
+ * @param {number} maxAgeMs
+ * @param {object} config
+ * @returns {Function} stop()
+ */
+export function startTop(maxAgeMs, config = DEFAULTS) {
+  const cache   = new Map();
+  const since   = msToHuman(maxAgeMs);
+  let rows      = [];
+  let selected  = 0;
+  let openId    = null;   // sessionId shown in full view, or null for the list
+  let prevLines = 0;
+  let busy      = false;
+
+  async function refresh() {
+    if (busy) return;
+    busy = true;
+    try {
+      rows = await scanSessions(maxAgeMs, config, cache);
+      selected = Math.min(selected, Math.max(0, rows.length - 1));
+      draw();
+    } catch {
+      // keep the last rows on screen; the next refresh tries again
+    } finally {
+      busy = false;
+    }
+  }
+
+  function draw() {
+    if (openId === null) {
+      prevLines = renderTop({ rows, selected, since }, prevLines);
+      return;
+    }
+    const row     = rows.find(r => r.sessionId === openId);
+    const tracked = cache.get(openId);
+    if (!row || !tracked) { back(); return; }
+    prevLines = render({
+      goal:        row.goal ?? '(no goal set)',
+      assessment:  { score: row.score, status: row.status, reason: row.reason, suggestion: null, assessedAt: null },
+      events:      tracked.events,
+      startTime:   new Date(tracked.events[0]?.timestamp ?? Date.now()).getTime(),
+      sessionId:   row.sessionId,
+      projectSlug: row.projectSlug,
+    }, prevLines);
+  }
+
+  function open() {
+    if (!rows[selected]) return;
+    openId = rows[selected].sessionId;
+    clearScreen();
+    prevLines = 0;
+    draw();
+  }
+
+  function back() {
+    openId = null;
+    clearScreen();
+    prevLines = 0;
+    draw();
+  }
+
+  clearScreen();
+  refresh();
+  const timer = setInterval(refresh, config.monitor.displayIntervalMs);
+
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (key) => {
+      if (key === '\u0003' || (key === 'q' && openId === null)) { // Ctrl+C / q
+        stop();
+        process.exit(0);
+      }
+      if (openId !== null) {
+        if (key === '\u001b' || key === 'q' || key === '\u007f') back();
+        return;
+      }
+      if (key === '\u001b[A' || key === 'k') { selected = Math.max(0, selected - 1); draw(); }
+      if (key === '\u001b[B' || key === 'j') { selected = Math.max(0, Math.min(rows.length - 1, selected + 1)); draw(); }
+      if (key === '\r' || key === '\n') open();
+    });
+  }
+
+  function stop() {
+    clearInterval(timer);
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+    }
+    process.stdout.write('\n\x1b[0m');
+  }
+
+  return stop;
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Stored (or detected) goal, revised by the session's follow-ups as the live monitor would,
+ * and when it took effect (goalSince())
+ */
+function currentGoal(sessionId, events, config) {
+  let base;
+  try { base = readStructuredGoal(sessionId); } catch { base = toGoal(readGoal(sessionId)); }
+  base ??= toGoal(detectGoal(events));
+  const setAt = goalSetAt(sessionId);
+  if (!base || config.goals.followUps === 'off') return { goal: base, since: goalSince(base, events, [], setAt) };
+  const guesses  = config.goals.followUps === 'assessor';
+  const timeline = goalTimeline(base, events, { setAt, known: readRevisions(sessionId), guesses });
+  return { goal: effectiveGoal(base, timeline), since: goalSince(base, events, timeline, setAt) };
+}
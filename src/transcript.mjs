@@ -0,0 +1,203 @@
+// src/transcript.mjs — normalize raw JSONL transcript entries into timeline events
+// Shared by the live monitor and the one-shot commands so both see the same data.
+
+import { parseTestRun } from './testruns.mjs';
+
+const RESULT_EXCERPT_CHARS  = 300;
+const MESSAGE_EXCERPT_CHARS = 2000;
+
+/**
+ * Create a stateful normalizer. Feed it raw transcript entries in order;
+ * it returns zero or more new timeline events for each one (one tool_call per
+ * tool_use block, so parallel calls all count) and pairs every tool_call
+ * with its tool_result as the result arrives (possibly many lines later).
+ * Assistant text and thinking become assistant_message events { text, thinking }.
+ *
+ * Paired tool_call events are updated in place with:
+ *   failed      — tool_result.is_error
+ *   durationMs  — result timestamp minus call timestamp
+ *   result      — short excerpt of the result content (cut at a word boundary)
+ *   agentId     — subagent id, for Task calls whose result reports one
+ *   tests       — Bash test runs: runner, pass/fail counts, failing names (testruns.mjs)
+ *
+ * @param {Function} onResult — optional, called with each tool_call once its result is paired
+ * @returns {{ push: (raw: object|string) => object[] }}
+ */
+export function createNormalizer(onResult = null) {
+  const pending = new Map(); // tool_use id → tool_call event awaiting its result
+
+  function push(raw) {
+    const obj = toObject(raw);
+    if (!obj) return [];
+
+    const ts = obj.timestamp ?? new Date().toISOString();
+    const content = obj.message?.content;
+
+    // User message (captures goal + branch points) or tool results. Entries Claude Code
+    // writes itself (isMeta caveats, compaction summaries) aren't from the user.
+    if (obj.type === 'user') {
+      if (obj.isMeta || obj.isCompactSummary) return [];
+      // Plain string → human typed message
+      if (typeof content === 'string') {
+        return content.trim() ? [{ type: 'user_message', text: content, timestamp: ts }] : [];
+      }
+      if (!Array.isArray(content)) return [];
+
+      for (const block of content) {
+        if (block.type === 'tool_result') pairResult(block, ts, obj.toolUseResult);
+      }
+      const textBlock = content.find(b => b.type === 'text');
+      return textBlock ? [{ type: 'user_message', text: textBlock.text, timestamp: ts }] : [];
+    }
+
+    // Assistant tool_use — one event per block. Parallel calls share a batchId
+    // (the assistant message id), whether they arrive in one line or, as Claude
+    // Code writes them, one line per content block.
+    if (obj.type === 'assistant' && Array.isArray(content)) {
+      const said = assistantMessage(content, ts);
+      const uses = content.filter(b => b.type === 'tool_use');
+      if (uses.length === 0) return said ? [said] : [];
+      const batchId = obj.message?.id ?? obj.uuid ?? uses[0].id ?? ts;
+      const calls = uses.map(block => {
+        const call = {
+          type:       'tool_call',
+          id:         block.id,
+          batchId,
+          tool:       { name: block.name, input: block.input ?? {} },
+          failed:     false, // updated when the matching tool_result arrives
+          durationMs: null,
+          result:     null,
+          timestamp:  ts,
+        };
+        if (block.id) pending.set(block.id, call);
+        return call;
+      });
+      return said ? [said, ...calls] : calls;
+    }
+
+    return [];
+  }
+
+  function pairResult(block, ts, toolUseResult) {
+    const call = pending.get(block.tool_use_id);
+    if (!call) return;
+    pending.delete(block.tool_use_id);
+
+    // Task results name the subagent whose transcript holds the nested work
+    if (toolUseResult?.agentId) call.agentId = String(toolUseResult.agentId);
+
+    call.failed = block.is_error ?? false;
+    const elapsed = new Date(ts).getTime() - new Date(call.timestamp).getTime();
+    call.durationMs = Number.isFinite(elapsed) ? Math.max(0, elapsed) : null;
+    const text  = resultText(block.content);
+    call.result = excerpt(text);
+    if (call.tool.name === 'Bash') {
+      const tests = parseTestRun(call.tool.input?.command, text, call.failed);
+      if (tests) call.tests = tests;
+    }
+    onResult?.(call);
+  }
+
+  return { push };
+}
+
+/** Normalize a whole transcript at once (e.g. output of readAll()). */
+export function normalizeAll(rawEntries) {
+  const normalizer = createNormalizer();
+  const events = [];
+  for (const raw of rawEntries) events.push(...normalizer.push(raw));
+  return events;
+}
+
+/**
+ * The full result text of one tool call (events only keep an excerpt), or null when the
+ * transcript has no result for it yet.
+ * @param {object[]} rawEntries — raw transcript entries (readAll())
+ * @param {string}   toolUseId  — the tool_call event's id
+ * @returns {{ text: string, isError: boolean } | null}
+ */
+export function findToolResult(rawEntries, toolUseId) {
+  for (const raw of rawEntries) {
+    const obj = toObject(raw);
+    const content = obj?.type === 'user' ? obj.message?.content : null;
+    if (!Array.isArray(content)) continue;
+    const block = content.find(b => b.type === 'tool_result' && b.tool_use_id === toolUseId);
+    if (block) return { text: resultText(block.content), isError: block.is_error ?? false };
+  }
+  return null;
+}
+
+// ── Goal detection ───────────────────────────────────────────────────────────
+
+/** A user_message event's text if it looks like a goal statement, else null. */
+export function extractUserText(entry) {
+  if (entry.type !== 'user_message') return null;
+  const text = entry.text?.trim();
+  if (!text) return null;
+
+  // Skip messages that look like stack traces or error dumps
+  if (/^(TypeError|Error|ReferenceError|SyntaxError|RangeError)[\s:]/.test(text)) return null;
+  if (/^\s+at\s+\S+\s+\(/.test(text)) return null;           // starts with stack frame
+  if (/file:\/\/.*:\d+\n/.test(text)) return null;            // file URL with line number
+  if (/\n\s+at\s+\S/.test(text)) return null;                 // has stack frames inside
+  if (/^\s*[\`~]{3,}/.test(text)) return null;                // fenced code block paste
+
+  // Skip very short commands ("push it", "commit this", "ok", etc.) — ≤2 words under 20 chars
+  if (text.length < 20 && text.trim().split(/\s+/).length <= 2) return null;
+
+  return text.slice(0, 500);
+}
+
+/** First goal-like user message in a list of normalized events. */
+export function detectGoal(events) {
+  for (const e of events) {
+    const text = extractUserText(e);
+    if (text) return text;
+  }
+  return null;
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+/** What the agent said (start of its text) and was thinking (end of its reasoning), or null */
+function assistantMessage(content, ts) {
+  const text     = content.filter(b => b.type === 'text').map(b => b.text ?? '').join('\n').trim();
+  const thinking = content.filter(b => b.type === 'thinking').map(b => b.thinking ?? '').join('\n').trim();
+  if (!text && !thinking) return null;
+  return {
+    type:      'assistant_message',
+    text:      excerpt(text, MESSAGE_EXCERPT_CHARS),
+    thinking:  tail(thinking, MESSAGE_EXCERPT_CHARS),
+    timestamp: ts,
+  };
+}
+
+function toObject(raw) {
+  if (!raw) return null;
+  if (typeof raw !== 'string') return raw;
+  if (!raw.trim()) return null;
+  try { return JSON.parse(raw); } catch { return null; }
+}
+
+/** tool_result content is either a string or an array of {type:'text', text} blocks */
+function resultText(content) {
+  let text = '';
+  if (typeof content === 'string') text = content;
+  else if (Array.isArray(content)) {
+    text = content.filter(b => b.type === 'text').map(b => b.text ?? '').join('\n');
+  }
+  return text.trim();
+}
+
+/**
+ * The start of a text, at most `max` characters. The cut drops the word it falls in:
+ * redaction runs later, on the excerpt, and half a key no longer matches its pattern.
+ */
+function excerpt(text, max = RESULT_EXCERPT_CHARS) {
+  return text.length > max ? text.slice(0, max - 1).replace(/\S+$/, '') + '…' : text;
+}
+
+/** The end of a text, at most `max` characters, dropping the word the cut falls in (see excerpt()) */
+function tail(text, max) {
+  return text.length > max ? text.slice(-max).replace(/^\S+/, '') : text;
+}
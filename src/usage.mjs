@@ -0,0 +1,127 @@
+// src/usage.mjs — token usage and estimated cost from transcript `message.usage` fields
+// Claude Code writes one transcript entry per content block, each repeating the message's
+// usage, so usage is keyed by message id and the latest copy wins.
+
+import { DEFAULTS } from './config.mjs';
+
+const BURN_WINDOW_MS = 10 * 60_000; // burn rate is measured over the last 10 minutes
+
+/**
+ * Track usage for one session.
+ * @param {object} prices — config.usage.prices (USD per million tokens, keyed by model prefix)
+ * @returns {{ push: (raw) => void, addMonitor: (usage) => void, summary: (now?: number) => object }}
+ */
+export function createUsageTracker(prices = DEFAULTS.usage.prices) {
+  const messages = new Map(); // message id → { model, tokens, cost, at, turn }
+  const monitor  = { calls: 0, ...emptyTokens(), cost: 0 };
+  let turn = 0;
+
+  /** Feed every raw transcript entry, in order; subagent (sidechain) entries count toward spend, not turns */
+  function push(raw) {
+    if (raw?.type === 'user' && !raw.isMeta && !raw.isSidechain && isPrompt(raw.message?.content)) {
+      turn++;
+      return;
+    }
+    const usage = raw?.type === 'assistant' ? raw.message?.usage : null;
+    if (!usage) return;
+    const model  = raw.message.model ?? 'unknown';
+    const tokens = {
+      input:      usage.input_tokens ?? 0,
+      output:     usage.output_tokens ?? 0,
+      cacheWrite: usage.cache_creation_input_tokens ?? 0,
+      cacheRead:  usage.cache_read_input_tokens ?? 0,
+    };
+    messages.set(raw.message.id ?? raw.uuid ?? `#${messages.size}`, {
+      model,
+      tokens,
+      cost: costOf(tokens, priceFor(prices, model)),
+      at:   raw.timestamp ? new Date(raw.timestamp).getTime() : Date.now(),
+      turn,
+    });
+  }
+
+  /** Count one of the monitor's own assessor calls: { model, input, output, cacheWrite?, cacheRead? } */
+  function addMonitor(usage) {
+    if (!usage) return;
+    const tokens = { ...emptyTokens(), ...usage };
+    monitor.calls++;
+    for (const k of Object.keys(emptyTokens())) monitor[k] += tokens[k] ?? 0;
+    monitor.cost += costOf(tokens, priceFor(prices, usage.model)) ?? 0;
+  }
+
+  /**
+   * @param {number} now — clock for the burn rate (replays pass transcript time)
+   * @returns {{ input, output, cacheWrite, cacheRead, cost, unpriced: string[], turns: number,
+   *            turn: object, burnPerHour: number, monitor: object, totalCost: number }}
+   */
+  function summary(now = Date.now()) {
+    const total    = { ...emptyTokens(), cost: 0 };
+    const current  = { ...emptyTokens(), cost: 0 };
+    const unpriced = new Set();
+    let recent = 0;
+
+    for (const m of messages.values()) {
+      add(total, m);
+      if (m.turn === turn) add(current, m);
+      if (m.cost === null) unpriced.add(m.model);
+      if (now - m.at <= BURN_WINDOW_MS) recent += m.cost ?? 0;
+    }
+
+    return {
+      ...total,
+      unpriced:    [...unpriced],
+      turns:       turn,
+      turn:        current,
+      burnPerHour: recent * (3_600_000 / BURN_WINDOW_MS),
+      monitor:     { ...monitor },
+      totalCost:   total.cost + monitor.cost,
+    };
+  }
+
+  return { push, addMonitor, summary };
+}
+
+/** "$0.0042", "$1.23", "$120" — enough precision for small numbers without noise on big ones */
+export function fmtUsd(n) {
+  if (n >= 100) return `$${Math.round(n)}`;
+  if (n >= 1)   return `$${n.toFixed(2)}`;
+  return `$${n.toPrecision(2).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '')}`;
+}
+
+/** 1234 → "1.2k", 1234567 → "1.2M" */
+export function fmtTokens(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+function emptyTokens() {
+  return { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 };
+}
+
+function add(into, m) {
+  for (const k of Object.keys(emptyTokens())) into[k] += m.tokens[k];
+  into.cost += m.cost ?? 0;
+}
+
+/** Longest matching model prefix, or null when the model isn't in the table */
+function priceFor(prices, model = '') {
+  const key = Object.keys(prices)
+    .filter(p => model.startsWith(p))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+function costOf(tokens, price) {
+  if (!price) return null;
+  return (tokens.input * price.input + tokens.output * price.output +
+    tokens.cacheWrite * price.cacheWrite + tokens.cacheRead * price.cacheRead) / 1e6;
+}
+
+/** A real user prompt (starts a turn), as opposed to tool results */
+function isPrompt(content) {
+  if (typeof content === 'string') return content.trim().length > 0;
+  return Array.isArray(content) && content.some(b => b.type === 'text') && !content.some(b => b.type === 'tool_result');
+}
@@ -1,5 +1,7 @@
 // src/utils.mjs — shared helpers
 
+import os from 'node:os';
+
 /** Convert milliseconds to a human-readable string like "4m 32s" */
 export function msToHuman(ms) {
   const s = Math.floor(ms / 1000);
@@ -11,9 +13,9 @@ export function msToHuman(ms) {
 }
 
 /** How long ago a timestamp was, e.g. "3s ago" */
-export function timeAgo(ts) {
+export function timeAgo(ts, now = Date.now()) {
   if (!ts) return 'unknown';
-  const diff = Date.now() - new Date(ts).getTime();
+  const diff = now - new Date(ts).getTime();
   const s = Math.floor(diff / 1000);
   if (s < 5)  return 'just now';
   if (s < 60) return `${s}s ago`;
@@ -22,6 +24,14 @@ export function timeAgo(ts) {
   return `${Math.floor(m / 60)}h ago`;
 }
 
+/** Score → status label (same bands the assessor uses) */
+export function scoreToStatus(score) {
+  if (score >= 80) return 'ON TRACK';
+  if (score >= 60) return 'HEADS UP';
+  if (score >= 40) return 'DRIFTING';
+  return 'STUCK';
+}
+
 /** Score → emoji label */
 export function scoreToEmoji(score) {
   if (score >= 80) return '🟢';
@@ -29,3 +39,52 @@ export function scoreToEmoji(score) {
   if (score >= 40) return '🟠';
   return '🔴';
 }
+
+/** Scores (0-100) → unicode sparkline, keeping only the last `width` values */
+export function sparkline(scores, width = scores.length) {
+  const ticks = '▁▂▃▄▅▆▇█';
+  return scores.slice(-width).map(s => {
+    const n = Math.max(0, Math.min(100, Number(s) || 0));
+    return ticks[Math.min(ticks.length - 1, Math.floor((n / 100) * ticks.length))];
+  }).join('');
+}
+
+/** Count edits+writes per file, sorted desc */
+export function countFiles(toolCalls) {
+  const map = new Map();
+  for (const ev of toolCalls) {
+    const name = ev.tool?.name;
+    if (name !== 'Edit' && name !== 'Write') continue;
+    const fp = ev.tool?.input?.file_path ?? ev.tool?.input?.notebook_path ?? '';
+    if (!fp) continue;
+    map.set(fp, (map.get(fp) ?? 0) + 1);
+  }
+  return [...map.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+/** Count occurrences per tool type, sorted desc */
+export function countTools(toolCalls) {
+  const map = new Map();
+  for (const ev of toolCalls) {
+    const n = ev.tool?.name ?? '?';
+    map.set(n, (map.get(n) ?? 0) + 1);
+  }
+  return [...map.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * "~/secrets/**", "/srv/*.env", "src/auth/**" → RegExp over file paths.
+ * A plain directory also matches everything below it. Relative globs match
+ * from any directory boundary, so "src/auth/**" matches /home/me/app/src/auth/x.ts.
+ */
+export function globToRegExp(glob) {
+  const abs = glob.startsWith('~') ? os.homedir() + glob.slice(1) : glob;
+  const src = abs
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*/g, '\0')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\0/g, '.*');
+  const lead = abs.startsWith('/') ? '^' : '^(?:.*/)?';
+  return new RegExp(/[*?]/.test(abs) ? `${lead}${src}$` : `${lead}${src.replace(/\/$/, '')}(?:/.*)?$`);
+}
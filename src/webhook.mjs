@@ -0,0 +1,141 @@
+// src/webhook.mjs — POST alerts to Slack-compatible or generic HTTP endpoints
+// Deliveries go through an on-disk queue first, so alerts survive network blips
+// and monitor restarts; failed posts are retried with exponential backoff.
+
+import { readWebhookQueue, writeWebhookQueue } from './store.mjs';
+import { DEFAULTS } from './config.mjs';
+
+const STATUS_EMOJI = { 'ON TRACK': '🟢', 'HEADS UP': '🟡', 'DRIFTING': '🟠', 'STUCK': '🔴' };
+
+/**
+ * Create a webhook sink. `send()` queues one delivery per configured URL and
+ * kicks off a flush; anything still queued from an earlier run of the session's
+ * monitor is retried too.
+ * @param {string} sessionId — whose queue file to use
+ * @param {object} opts      — config.webhook
+ * @returns {{ send: (payload: object) => void, flush: () => Promise<void>, stop: () => void }}
+ */
+export function createWebhookSink(sessionId, opts = DEFAULTS.webhook) {
+  let timer    = null;
+  let flushing = null;
+  let stopped  = false;
+  // Outcomes are kept in memory as well as on disk, so a queue file that can't be
+  // written never re-sends a delivered entry or retries one before its backoff
+  const finished = new Set(); // ids delivered, rejected or out of retries
+  const retries  = new Map(); // id → { attempts, nextAt }
+
+  /** The queue file as this sink knows it: finished entries dropped, backoff applied */
+  function queue() {
+    return readWebhookQueue(sessionId)
+      .filter(e => !finished.has(e.id))
+      .map(e => ({ ...e, ...retries.get(e.id) }));
+  }
+
+  function send(payload) {
+    const entries = queue();
+    const now     = Date.now();
+    for (const url of opts.urls) {
+      entries.push({
+        id:       `${now}-${Math.random().toString(36).slice(2, 8)}`,
+        url,
+        body:     formatPayload(payload, formatFor(url, opts.format)),
+        attempts: 0,
+        nextAt:   now,
+      });
+    }
+    writeWebhookQueue(sessionId, entries);
+    flush();
+  }
+
+  /** Deliver every due entry once; reschedules itself for the next retry. Never rejects. */
+  function flush() {
+    if (flushing) return flushing;
+    flushing = (async () => {
+      const due = queue().filter(e => e.nextAt <= Date.now());
+      for (const entry of due) {
+        const outcome = await post(entry, opts.timeoutMs);
+        updateEntry(entry, outcome);
+      }
+    })().catch(() => {}).finally(() => {
+      flushing = null;
+      schedule();
+    });
+    return flushing;
+  }
+
+  // Re-read the queue per entry so sends that happened mid-flush aren't lost
+  function updateEntry(entry, outcome) {
+    const attempts = entry.attempts + 1;
+    if (outcome === 'delivered' || outcome === 'rejected' || attempts > opts.maxRetries) {
+      finished.add(entry.id);
+      retries.delete(entry.id);
+    } else {
+      retries.set(entry.id, { attempts, nextAt: Date.now() + opts.backoffMs * 2 ** (attempts - 1) });
+    }
+    try { writeWebhookQueue(sessionId, queue()); } catch { /* memory has it; the next write catches up */ }
+  }
+
+  function schedule() {
+    if (stopped) return;
+    clearTimeout(timer);
+    const entries = queue();
+    if (entries.length === 0) return;
+    const next = Math.min(...entries.map(e => e.nextAt));
+    timer = setTimeout(flush, Math.max(0, next - Date.now()));
+    timer.unref?.();
+  }
+
+  flush(); // retry leftovers from earlier runs
+
+  return {
+    send,
+    flush,
+    stop: () => { stopped = true; clearTimeout(timer); },
+  };
+}
+
+/**
+ * Shape an alert payload for the wire.
+ * @param {object} payload — alert from createAlerter()
+ * @param {'slack'|'json'} format
+ */
+export function formatPayload(payload, format) {
+  if (format !== 'slack') return { event: 'session-monitor.alert', ...payload };
+
+  const emoji   = STATUS_EMOJI[payload.status] ?? '⚪';
+  const project = payload.projectSlug?.split('-').slice(-2).join('-') || 'session';
+  const lines = [
+    `${emoji} *${payload.status}*${payload.score !== null ? ` ${payload.score}/100` : ''} · \`${project}\` · session \`${String(payload.sessionId ?? '').slice(0, 8)}\``,
+  ];
+  if (payload.type === 'signal') lines.push(`Signal fired: *${payload.signal}*`);
+  if (payload.type === 'budget') lines.push(`Budget exceeded: *$${payload.spentUsd.toFixed(2)}* of $${payload.budgetUsd.toFixed(2)}`);
+  if (payload.goal)              lines.push(`*Goal:* ${payload.goal.slice(0, 300)}`);
+  if (payload.reason)            lines.push(payload.reason);
+  if (payload.suggestion)        lines.push(`→ ${payload.suggestion}`);
+  if (payload.signals?.length)   lines.push(`_Signals: ${payload.signals.join(', ')}_`);
+  return { text: lines.join('\n') };
+}
+
+// ── helpers ──────────────────────────────────────────────────────────────────
+
+function formatFor(url, format) {
+  if (format !== 'auto') return format;
+  return /^https:\/\/hooks\.slack\.com\//.test(url) ? 'slack' : 'json';
+}
+
+/** @returns {Promise<'delivered'|'rejected'|'retry'>} — 4xx (other than 408/429) is permanent */
+async function post(entry, timeoutMs) {
+  try {
+    const res = await fetch(entry.url, {
+      method:  'POST',
+      headers: { 'content-type': 'application/json', 'user-agent': 'session-monitor' },
+      body:    JSON.stringify(entry.body),
+      signal:  AbortSignal.timeout(timeoutMs),
+    });
+    if (res.ok) return 'delivered';
+    if (res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429) return 'rejected';
+    return 'retry';
+  } catch {
+    return 'retry';
+  }
+}
@@ -0,0 +1,31 @@
+// test/alerts.test.mjs — which status changes raise an alert
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAlerter } from '../src/alerts.mjs';
+import { DEFAULTS } from '../src/config.mjs';
+
+const opts = { ...DEFAULTS.alerts, sinks: [], signals: [], debounceMs: 0, cooldownMs: 0 };
+const at   = (status, score) => ({ status, score, reason: null, suggestion: null });
+
+function alerter() {
+  const sent = [];
+  return { sent, alerter: createAlerter(opts, { sessionId: 's1', projectSlug: 'p' }, [p => sent.push(p)]) };
+}
+
+test('the first assessment alerts when the session is already drifting or stuck', () => {
+  for (const status of ['DRIFTING', 'STUCK']) {
+    const { sent, alerter: a } = alerter();
+    a.update(at(status, 30), {}, 'goal');
+    assert.deepEqual(sent.map(p => [p.type, p.from, p.to]), [['status', 'ON TRACK', status]]);
+  }
+});
+
+test('a first assessment above minStatus stays quiet, a later drop alerts', () => {
+  const { sent, alerter: a } = alerter();
+  a.update(at('HEADS UP', 70), {}, 'goal');
+  assert.equal(sent.length, 0);
+  a.update(at('STUCK', 20), {}, 'goal');
+  a.update(at('STUCK', 20), {}, 'goal');
+  assert.deepEqual(sent.map(p => [p.from, p.to]), [['HEADS UP', 'STUCK']]);
+});
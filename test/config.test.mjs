@@ -0,0 +1,81 @@
+// test/config.test.mjs — layering defaults → user → project → --set, and rejecting bad layers
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// The user layer lives under ~/.session-monitor, so point HOME at a scratch directory first
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'session-monitor-test-'));
+process.env.HOME = home;
+const { loadConfig, DEFAULTS, USER_CONFIG_PATH, PROJECT_CONFIG } = await import('../src/config.mjs');
+
+const dirs = [home];
+after(() => dirs.forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+/** A project directory holding `project` as its config file (none when null) */
+function project(data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-monitor-config-'));
+  dirs.push(dir);
+  if (data !== null) fs.writeFileSync(path.join(dir, PROJECT_CONFIG), typeof data === 'string' ? data : JSON.stringify(data));
+  return dir;
+}
+
+function userConfig(data) {
+  fs.mkdirSync(path.dirname(USER_CONFIG_PATH), { recursive: true });
+  fs.writeFileSync(USER_CONFIG_PATH, JSON.stringify(data));
+}
+
+test('later layers win key by key and sources name where each value came from', () => {
+  userConfig({ signals: { loopMin: 4, stuckMin: 6 } });
+  const dir = project({ signals: { loopMin: 5 }, usage: { prices: { 'my-model': { input: 1, output: 2, cacheWrite: 0, cacheRead: 0 } } } });
+  const { config, sources } = loadConfig(dir, ['signals.loopMin=7', 'alerts.sinks=bell,osc9']);
+
+  assert.equal(config.signals.loopMin, 7);
+  assert.equal(config.signals.stuckMin, 6);
+  assert.equal(config.signals.window, DEFAULTS.signals.window);
+  assert.deepEqual(config.alerts.sinks, ['bell', 'osc9']);
+  assert.equal(sources['signals.loopMin'], '--set');
+  assert.equal(sources['signals.stuckMin'], USER_CONFIG_PATH);
+  assert.equal(sources['usage.prices'], path.join(dir, PROJECT_CONFIG));
+  assert.equal(sources['signals.window'], 'default');
+  // Price tables merge per model rather than replacing the built-in ones
+  assert.ok(config.usage.prices['my-model'] && Object.keys(config.usage.prices).length > 1);
+  fs.rmSync(USER_CONFIG_PATH);
+});
+
+test('paths resolve against the directory of the layer that set them', () => {
+  const dir = project({ detectors: { dirs: ['detectors', '~/shared'] } });
+  assert.deepEqual(loadConfig(dir).config.detectors.dirs, [path.join(dir, 'detectors'), '~/shared']);
+});
+
+test('invalid --set values are rejected with a readable error', () => {
+  const dir = project(null);
+  const rejects = {
+    'signals.loopMin=abc':        /--set signals\.loopMin: expected a number, got "abc"/,
+    'signals.loopMin=0':          /--set: "signals\.loopMin" must be a positive integer, got 0/,
+    'signals.loopMin=2.5':        /must be a positive integer, got 2\.5/,
+    'signals.loopSimilarity=150': /"signals\.loopSimilarity" must be a whole percentage from 1 to 100, got 150/,
+    'signals.loopSimilarity=0':   /"signals\.loopSimilarity" must be a whole percentage from 1 to 100, got 0/,
+    'signals.nope=1':             /unknown key "signals\.nope"/,
+    'bogus.key=1':                /unknown section "bogus"/,
+    'alerts.sinks=bell,siren':    /"alerts\.sinks" has unknown value "siren"/,
+    'webhook.urls=ftp://x':       /must contain http\(s\) URLs/,
+    'usage.prices=1':             /tables can only be set in a config file/,
+    'loopMin=3':                  /--set expects section\.key=value/,
+  };
+  for (const [override, message] of Object.entries(rejects)) {
+    assert.throws(() => loadConfig(dir, [override]), message, override);
+  }
+  assert.equal(loadConfig(dir, ['signals.loopSimilarity=100']).config.signals.loopSimilarity, 100);
+});
+
+test('a malformed or invalid config file is rejected naming the file', () => {
+  const broken = project('{ "signals": ');
+  assert.throws(() => loadConfig(broken), new RegExp(`invalid JSON in ${path.join(broken, PROJECT_CONFIG)}`));
+  const wrong = project({ signals: { loopMin: '3' } });
+  assert.throws(() => loadConfig(wrong), /\.session-monitor\.json: "signals\.loopMin" must be a number, got "3"/);
+  const exec = project({ assessor: { provider: 'exec' } });
+  assert.throws(() => loadConfig(exec), /assessor\.command is required/);
+});
@@ -0,0 +1,96 @@
+// test/eval.test.mjs — the eval harness: step scoring, confusion matrix, signal counts
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { evaluate, createStubProvider, STATUSES } from '../src/eval.mjs';
+import { DEFAULTS } from '../src/config.mjs';
+
+const EVAL_DIR = fileURLToPath(new URL('../eval/', import.meta.url));
+
+// Fixed weights, so the expectations below don't move with the defaults
+const config = {
+  ...DEFAULTS,
+  scoring: { ...DEFAULTS.scoring, base: 70, loop: -25, errorStreak: -30 },
+  monitor: { ...DEFAULTS.monitor, assessEveryNCalls: 1 },
+};
+
+// A goal, then `npm test` failing three times: steps 1-2 score 70 (HEADS UP), step 3
+// fires loop and errorStreak (70 - 25 - 30 = 15, STUCK)
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-monitor-eval-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const at = (s) => `2026-10-01T09:00:${String(s).padStart(2, '0')}.000Z`;
+const entries = [{ type: 'user', timestamp: at(0), message: { role: 'user', content: 'Make the db connection test pass' } }];
+for (let i = 1; i <= 3; i++) {
+  entries.push(
+    { type: 'assistant', timestamp: at(i * 2 - 1), message: { id: `m${i}`, role: 'assistant',
+      content: [{ type: 'tool_use', id: `t${i}`, name: 'Bash', input: { command: 'npm test' } }] } },
+    { type: 'user', timestamp: at(i * 2), message: { role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: `t${i}`, content: 'Error: connect ECONNREFUSED', is_error: true }] } },
+  );
+}
+fs.writeFileSync(path.join(dir, 'tiny.jsonl'), entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+fs.writeFileSync(path.join(dir, 'tiny.labels.json'), JSON.stringify({ ranges: [
+  { from: 1, to: 1, status: 'ON TRACK' },
+  { from: 2, to: 2, status: 'HEADS UP' },
+  { from: 3, to: 3, status: 'STUCK', signals: ['loop', 'errorStreak'] },
+] }));
+fs.writeFileSync(path.join(dir, 'unlabeled.jsonl'), '');
+
+const cells = (confusion) => STATUSES.flatMap(e => STATUSES.filter(p => confusion[e][p]).map(p => `${e} → ${p}: ${confusion[e][p]}`));
+
+test('heuristic mode scores every labeled step', async () => {
+  const result = await evaluate(dir, { config });
+
+  assert.equal(result.mode, 'heuristic');
+  assert.deepEqual(result.skipped, ['unlabeled.jsonl']);
+  assert.deepEqual(result.files.map(f => [f.file, f.steps, f.scored, f.correct]), [['tiny.jsonl', 3, 3, 2]]);
+  assert.equal(result.total, 3);
+  assert.equal(result.correct, 2);
+  assert.equal(result.accuracy, 2 / 3);
+  assert.deepEqual(cells(result.confusion), ['ON TRACK → HEADS UP: 1', 'HEADS UP → HEADS UP: 1', 'STUCK → STUCK: 1']);
+  assert.deepEqual(result.signals, {
+    errorStreak: { tp: 1, fp: 0, fn: 0, precision: 1, recall: 1 },
+    loop:        { tp: 1, fp: 0, fn: 0, precision: 1, recall: 1 },
+  });
+});
+
+test('assess mode runs offline through a stub provider', async () => {
+  const prompts = [];
+  const provider = createStubProvider(({ prompt }) => {
+    prompts.push(prompt);
+    return /Loop:/.test(prompt)
+      ? { score: 20, status: 'STUCK', reason: 'same test failing', suggestion: 'Read the error first' }
+      : { score: 90, status: 'ON TRACK', reason: 'working on the goal', suggestion: null };
+  });
+  const result = await evaluate(dir, { config, useAssess: true, provider });
+
+  assert.equal(result.mode, 'assess');
+  assert.equal(result.fallbacks, 0);
+  assert.equal(prompts.length, 3);
+  assert.ok(prompts.every(p => p.includes('Make the db connection test pass')));
+  assert.deepEqual(cells(result.confusion), ['ON TRACK → ON TRACK: 1', 'HEADS UP → ON TRACK: 1', 'STUCK → STUCK: 1']);
+});
+
+test('the example transcripts in eval/ are all labeled and scored', async () => {
+  const result = await evaluate(EVAL_DIR, { config: DEFAULTS });
+  assert.deepEqual(result.skipped, []);
+  assert.ok(result.files.length > 0);
+  for (const f of result.files) assert.ok(f.scored > 0 && f.scored <= f.steps, f.file);
+  assert.equal(result.total, Object.values(result.confusion).flatMap(Object.values).reduce((a, b) => a + b, 0));
+});
+
+test('malformed labels are reported with the file name', async () => {
+  const bad = fs.mkdtempSync(path.join(os.tmpdir(), 'session-monitor-eval-'));
+  try {
+    fs.writeFileSync(path.join(bad, 'x.jsonl'), '');
+    fs.writeFileSync(path.join(bad, 'x.labels.json'), JSON.stringify({ ranges: [{ from: 2, to: 1, status: 'ON TRACK' }] }));
+    await assert.rejects(evaluate(bad, { config }), /x\.labels\.json: ranges\[0\]: "from"\/"to"/);
+  } finally {
+    fs.rmSync(bad, { recursive: true, force: true });
+  }
+});
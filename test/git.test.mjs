@@ -0,0 +1,113 @@
+// test/git.test.mjs — working-tree snapshots and revert tracking against temporary repos
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { readGitSnapshot, createGitTracker } from '../src/git.mjs';
+
+const dirs = [];
+after(() => dirs.forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+function tempDir() {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'session-monitor-git-')));
+  dirs.push(dir);
+  return dir;
+}
+
+/** A repo on `main` with one commit holding `files` ({ name: content }) */
+function tempRepo(files) {
+  const dir = tempDir();
+  const run = (...args) => execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@example.com', ...args],
+    { cwd: dir, stdio: 'pipe' });
+  run('init', '-q', '-b', 'main');
+  write(dir, files);
+  run('add', '-A');
+  run('commit', '-q', '-m', 'init');
+  return dir;
+}
+
+function write(dir, files) {
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+}
+
+const lines = (n, tag) => Array.from({ length: n }, (_, i) => `${tag} ${i}`).join('\n') + '\n';
+
+test('readGitSnapshot returns null outside a repo', async () => {
+  assert.equal(await readGitSnapshot(tempDir()), null);
+});
+
+test('readGitSnapshot counts changed, quoted-name and untracked files', async () => {
+  const dir = tempRepo({ 'plain.txt': lines(3, 'a'), 'f one.txt': lines(3, 'b'), 'ü.txt': lines(2, 'c'), 'q"uote.txt': 'x\n' });
+  write(dir, {
+    'plain.txt': lines(3, 'a') + 'more\n',
+    'f one.txt': lines(1, 'b'),
+    'ü.txt':     lines(2, 'c') + 'd\ne\n',
+    'q"uote.txt': 'y\n',
+    'new.txt':   lines(4, 'n'),
+  });
+
+  const snap = await readGitSnapshot(dir, 'main');
+  assert.equal(snap.root, dir);
+  assert.equal(snap.base, 'main');
+  const byName = Object.fromEntries(snap.files.map(f => [path.relative(dir, f.file), [f.added, f.removed]]));
+  assert.deepEqual(byName, {
+    'plain.txt':  [1, 0],
+    'f one.txt':  [0, 2],
+    'ü.txt':      [2, 0],
+    'q"uote.txt': [1, 1],
+    'new.txt':    [4, 0],
+  });
+  assert.equal(snap.added, 8);
+  assert.equal(snap.removed, 3);
+  assert.deepEqual(snap.uncommitted, { added: 8, removed: 3, files: 5, untracked: 1 });
+
+  const hunkFiles = new Set([...snap.hunks.values()].map(h => path.relative(dir, h.file)));
+  assert.deepEqual([...hunkFiles].sort(), ['f one.txt', 'new.txt', 'plain.txt', 'q"uote.txt', 'ü.txt'].sort());
+});
+
+test('createGitTracker sees a hunk reverted in a file whose name needs quoting', async () => {
+  for (const name of ['f one.txt', 'ü.txt', 'tab\there.txt']) {
+    const dir = tempRepo({ [name]: lines(3, 'a') });
+    const tracker = createGitTracker();
+
+    tracker.push(await readGitSnapshot(dir, 'main'));
+    write(dir, { [name]: lines(3, 'a') + lines(5, 'added') });
+    tracker.push(await readGitSnapshot(dir, 'main'));
+    write(dir, { [name]: lines(3, 'a') });
+    tracker.push(await readGitSnapshot(dir, 'main'));
+
+    const state = tracker.state();
+    assert.equal(state.recentReverts, 1, name);
+    assert.deepEqual(state.reverts.map(r => [r.file, r.lines]), [[path.join(dir, name), 5]]);
+    assert.equal(state.added, 0);
+    assert.equal(state.recentChurn, 10);
+    assert.equal(state.samples.length, 3);
+  }
+});
+
+test('createGitTracker does not count a reworked hunk as a revert', async () => {
+  const dir = tempRepo({ 'app.js': lines(3, 'a') });
+  const tracker = createGitTracker();
+  write(dir, { 'app.js': lines(3, 'a') + lines(4, 'first') });
+  tracker.push(await readGitSnapshot(dir, 'main'));
+  write(dir, { 'app.js': lines(3, 'a') + lines(4, 'second') });
+  tracker.push(await readGitSnapshot(dir, 'main'));
+  assert.equal(tracker.state().recentReverts, 0);
+});
+
+test('createGitTracker reads hunk lines that look like ---/+++ file headers as content', async () => {
+  const base = '-- schema\n' + lines(3, 'a');
+  const dir = tempRepo({ 'schema.sql': base });
+  const tracker = createGitTracker();
+  tracker.push(await readGitSnapshot(dir, 'main'));
+  write(dir, { 'schema.sql': lines(3, 'a') + '++ counter\n++ total\n' }); // a removed "-- …" line, added "++ …" lines
+  tracker.push(await readGitSnapshot(dir, 'main'));
+  write(dir, { 'schema.sql': base });
+  tracker.push(await readGitSnapshot(dir, 'main'));
+
+  const reverts = tracker.state().reverts.map(r => [r.file, r.lines]);
+  assert.deepEqual(reverts.sort(), [[path.join(dir, 'schema.sql'), 1], [path.join(dir, 'schema.sql'), 2]]);
+});
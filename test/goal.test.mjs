@@ -0,0 +1,98 @@
+// test/goal.test.mjs — structured goals and how follow-up messages revise them
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toGoal, scopeOf, goalProgress, classifyFollowUp, goalTimeline, effectiveGoal, goalSince, lastShift,
+         revisionKey } from '../src/goal.mjs';
+
+test('a goal.json is normalized, and a malformed one names its first problem', () => {
+  assert.deepEqual(toGoal({
+    title: ' Fix login ',
+    tasks: ['Find the cause', { text: 'Add a test', done: true }],
+    inScope: ['src/auth/**'],
+    doneWhen: ['No new warnings', { command: 'npx jest auth' }],
+  }), {
+    title: 'Fix login',
+    tasks: [{ text: 'Find the cause', done: false }, { text: 'Add a test', done: true }],
+    inScope: ['src/auth/**'],
+    outOfScope: [],
+    doneWhen: [{ text: 'No new warnings', command: null }, { text: 'npx jest auth', command: 'npx jest auth' }],
+  });
+  assert.throws(() => toGoal({ tasks: [] }), /^Error: goal: "title" must be a non-empty string$/);
+  assert.throws(() => toGoal({ title: 'x', tasks: [{ text: 'a', done: 'yes' }] }), /tasks\[0\] must be a string/);
+  assert.throws(() => toGoal({ title: 'x', doneWhen: [{ command: ' ' }] }), /doneWhen\[0\]/);
+});
+
+test('scope globs: outOfScope wins, and no inScope globs means no opinion', () => {
+  const goal = toGoal({ title: 'x', inScope: ['src/auth/**'], outOfScope: ['src/auth/legacy/**'] });
+  assert.equal(scopeOf(goal, '/p/src/auth/login.js'), 'in');
+  assert.equal(scopeOf(goal, '/p/src/auth/legacy/old.js'), 'excluded');
+  assert.equal(scopeOf(goal, '/p/src/billing/pay.js'), 'out');
+  assert.equal(scopeOf(toGoal('plain'), '/p/anything.js'), null);
+});
+
+test('a done-when command is met by its latest run', () => {
+  const goal = toGoal({ title: 'x', tasks: ['a', 'b'], doneWhen: [{ text: 'auth passes', command: 'npx jest auth' }] });
+  const run = (failed) => ({ type: 'tool_call', tool: { name: 'Bash', input: { command: 'npx jest auth --ci' } }, failed, result: '' });
+  assert.equal(goalProgress(goal, []).criteria[0].met, null);
+  assert.equal(goalProgress(goal, [run(false), run(true)]).criteria[0].met, false);
+  const progress = goalProgress(goal, [run(true), run(false)], [2]);
+  assert.equal(progress.criteria[0].met, true);
+  assert.deepEqual([progress.done, progress.total, progress.tasks[1].inferred], [1, 2, true]);
+});
+
+test('follow-ups are told apart: redirect, refinement, chit-chat', () => {
+  const kinds = {
+    'forget that, fix the build first':        ['redirect', true],
+    'also handle logout':                      ['refinement', true],
+    'use fetch instead of axios':              ['refinement', true],
+    'thanks, looks good':                      ['chit-chat', true],
+    '<command-name>/clear</command-name>':     ['chit-chat', true],
+    'actually the signup page is the problem': ['redirect', false],
+    'why is that?':                            ['chit-chat', false],
+    'the tokens should expire after an hour':  ['refinement', false],
+  };
+  for (const [text, [kind, confident]] of Object.entries(kinds)) {
+    assert.deepEqual(classifyFollowUp(text), { kind, confident }, text);
+  }
+});
+
+/** A user_message event at minute `min` */
+const say = (min, text) => ({ type: 'user_message', text, timestamp: `2026-01-01T00:${String(min).padStart(2, '0')}:00.000Z` });
+
+test('the timeline revises the goal: refinements add tasks, a redirect replaces it', () => {
+  const goal   = toGoal('Fix the flaky login test');
+  const events = [
+    say(0, 'Fix the flaky login test'),
+    say(1, 'also handle logout'),
+    say(2, 'ok'),
+    say(3, 'forget that, the build is broken — fix the build first'),
+    say(4, 'make sure CI is green too'),
+  ];
+  const timeline = goalTimeline(goal, events);
+  assert.deepEqual(timeline.map(r => r.kind), ['refinement', 'chit-chat', 'redirect', 'refinement']);
+
+  const current = effectiveGoal(goal, timeline);
+  assert.equal(current.title, 'forget that, the build is broken — fix the build first');
+  assert.deepEqual(current.tasks, [{ text: 'make sure CI is green too', done: false }]);
+  assert.equal(goalSince(goal, events, timeline), Date.parse(events[3].timestamp));
+  assert.equal(lastShift(timeline).text, 'make sure CI is green too');
+});
+
+test('unconfident guesses count as chit-chat unless kept for the assessor, whose verdicts are reused', () => {
+  const goal   = toGoal('Fix the flaky login test');
+  const events = [say(0, 'Fix the flaky login test'), say(1, 'actually the signup page is the problem')];
+  assert.equal(goalTimeline(goal, events)[0].kind, 'chit-chat');
+  assert.equal(goalSince(goal, events, goalTimeline(goal, events)), Date.parse(events[0].timestamp));
+  assert.deepEqual(goalTimeline(goal, events, { guesses: true }).map(r => [r.kind, r.confident]), [['redirect', false]]);
+
+  const verdict = { at: events[1].timestamp, text: events[1].text, kind: 'refinement', source: 'api', confident: true };
+  const known   = new Map([[revisionKey(verdict.at, verdict.text), verdict]]);
+  assert.deepEqual(goalTimeline(goal, events, { known }), [verdict]);
+});
+
+test('a goal typed into the CLI is revised only by messages sent after it was set', () => {
+  const events = [say(0, 'look around the repo'), say(5, 'also add a README section')];
+  const timeline = goalTimeline(toGoal('Document the CLI'), events, { setAt: Date.parse('2026-01-01T00:02:00.000Z') });
+  assert.deepEqual(timeline.map(r => r.text), ['also add a README section']);
+});
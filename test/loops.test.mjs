@@ -0,0 +1,95 @@
+// test/loops.test.mjs — command shapes, the loop, cycle and oscillation detectors, and what counts as an edit
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { commandShape, commandSimilarity, findCycle, editReversals } from '../src/loops.mjs';
+import { detectSignals } from '../src/signals.mjs';
+import { DEFAULTS } from '../src/config.mjs';
+
+let ids = 0;
+
+/** A paired tool_call event; failed calls default to a failing result */
+function call(name, input, { failed = false, batchId } = {}) {
+  const id = `t${++ids}`;
+  return { type: 'tool_call', id, batchId: batchId ?? id, tool: { name, input }, failed, result: failed ? 'error' : 'ok',
+           timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, ids)).toISOString() };
+}
+
+const bash = (command, opts) => call('Bash', { command }, opts);
+const edit = (file, from, to) => call('Edit', { file_path: file, old_string: from, new_string: to });
+
+/** Built-in detectors over `events` with default thresholds, plus `t` */
+function signals(events, t = {}) {
+  return detectSignals(events, 'Fix the login test', { ...DEFAULTS.signals, ...t });
+}
+
+test('a command shape keeps only what runs and normalizes its arguments', () => {
+  assert.deepEqual(commandShape('cd app && FOO=1 npx jest src/auth/login.test.js --ci 2>&1 | tail -20'),
+    { head: 'jest', args: ['--ci', 'auth/login.test.js'], exact: false });
+  assert.deepEqual(commandShape('python3.12 -m pytest tests -k 12'), { head: 'python -m pytest', args: ['#', '-k', 'tests'], exact: false });
+  assert.equal(commandShape('git status').exact, true);
+  assert.equal(commandSimilarity('npm run build -- --watch', 'npm run build'), 0);
+  assert.equal(commandSimilarity('npx jest auth --ci', 'npx jest auth'), 0.5);
+  assert.equal(commandSimilarity('npx jest auth', 'npx vitest auth'), 0);
+  assert.equal(commandSimilarity('ls src', 'ls test'), 0);
+});
+
+test('failed retries with other flags are one loop; passing runs and parallel repeats are not retries', () => {
+  const looping = signals([bash('npx jest auth --ci', { failed: true }), bash('npx jest auth', { failed: true }),
+                           bash('npx jest auth -i', { failed: true })]);
+  assert.deepEqual(looping.loop, { detected: true, command: 'npx jest auth -i', count: 3, variants: 3 });
+
+  const passing = signals([bash('npx jest auth', { failed: true }), bash('npx jest auth'), bash('npx jest auth', { failed: true })]);
+  assert.equal(passing.loop.detected, false);
+
+  const batch = signals([bash('npx jest auth', { failed: true, batchId: 'm1' }), bash('npx jest auth', { failed: true, batchId: 'm1' }),
+                         bash('npx jest auth', { failed: true })]);
+  assert.equal(batch.loop.detected, false);
+
+  const different = signals([bash('npx jest auth', { failed: true }), bash('npx jest auth', { failed: true }),
+                             bash('npx jest billing --ci --bail', { failed: true })], { loopSimilarity: 100 });
+  assert.equal(different.loop.detected, false);
+});
+
+test('findCycle finds a repeated block, allowing a partly done latest round', () => {
+  assert.deepEqual(findCycle(['x', 'A', 'B', 'A', 'B', 'A', 'B']), { period: 2, reps: 3, start: 1 });
+  assert.deepEqual(findCycle(['A', 'B', 'C', 'A', 'B', 'C', 'A']), { period: 3, reps: 2, start: 0 });
+  assert.equal(findCycle(['A', 'A', 'A', 'A']), null); // one repeated step is a plain loop
+  assert.equal(findCycle(['A', 'B', 'C', 'D']), null);
+});
+
+test('an A→B→A→B edit cycle fires once it repeats cycleMin times', () => {
+  const round = () => [edit('/p/a.js', 'x', 'y'), edit('/p/b.js', 'u', 'v')];
+  assert.equal(signals([...round(), ...round()]).cycle.detected, false);
+  assert.deepEqual(signals([...round(), ...round(), ...round()]).cycle, { detected: true, reps: 3, steps: ['Edit a.js', 'Edit b.js'] });
+});
+
+test('a cycle whose latest round ran a command successfully is iteration', () => {
+  const round = (ok) => [edit('/p/a.js', 'x', 'y'), bash('npm test', { failed: !ok })];
+  assert.equal(signals([...round(false), ...round(false), ...round(false)]).cycle.detected, true);
+  assert.equal(signals([...round(false), ...round(false), ...round(true)]).cycle.detected, false);
+});
+
+test('edits flipping a file between versions are oscillation', () => {
+  const flips = [edit('/p/a.js', 'let x = 1', 'let x = 2'), edit('/p/a.js', 'let x = 2', 'let x = 1'),
+                 edit('/p/a.js', 'let x = 1', 'let x =  2')];
+  assert.deepEqual(editReversals(flips).map(r => r.snippet), ['let x = 1', 'let x =  2']);
+  assert.deepEqual(signals(flips).oscillation, { detected: true, file: '/p/a.js', count: 2 });
+
+  const forward = [edit('/p/a.js', 'v1', 'v2'), edit('/p/a.js', 'v2', 'v3'), edit('/p/a.js', 'v3', 'v4')];
+  assert.deepEqual(signals(forward).oscillation, { detected: false, count: 0 });
+
+  const writes = ['one', 'two', 'one'].map(content => call('Write', { file_path: '/p/b.js', content }));
+  assert.equal(editReversals(writes).length, 1);
+});
+
+test('MultiEdit is an edit to every detector that looks for edits', () => {
+  const multi = () => call('MultiEdit', { file_path: '/p/a.js', edits: [{ old_string: 'a', new_string: 'b' }] });
+  const reads = (n) => Array.from({ length: n }, () => call('Read', { file_path: '/p/a.js' }));
+
+  assert.deepEqual(signals(Array.from({ length: 5 }, multi)).stuckOnFile, { detected: true, file: '/p/a.js', count: 5 });
+  assert.equal(signals([...reads(10), multi()]).noProgress.detected, false);
+  assert.equal(signals([...reads(8), multi()]).paralysis.detected, false);
+  const green = () => ({ ...bash('npm test'), tests: { runner: 'npm', ok: true } });
+  assert.equal(signals([multi(), green(), multi(), green()]).goodMomentum.detected, true);
+});
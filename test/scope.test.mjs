@@ -0,0 +1,91 @@
+// test/scope.test.mjs — seeds and distances from where the work started, against a temporary project
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { scopeSeeds, createScope, indexImports } from '../src/scope.mjs';
+import { detectSignals } from '../src/signals.mjs';
+import { DEFAULTS } from '../src/config.mjs';
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'session-monitor-scope-')));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const files = {
+  'src/auth/login.js':     "import { open } from './session.js';\n",
+  'src/auth/session.js':   "const pool = require('../db/pool');\n",
+  'src/auth/util/hash.js': '',
+  'src/db/pool.js':        '',
+  'src/api/routes.js':     "export { login } from '../auth/login.js';\n",
+  'src/billing/pay.js':    '',
+  'test/login.test.js':    '',
+  'lib/vendor/deep/x.js':  '',
+};
+for (const [name, content] of Object.entries(files)) {
+  fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+  fs.writeFileSync(path.join(root, name), content);
+}
+const p = (name) => path.join(root, name);
+
+let ids = 0;
+const use = (name, file, at = ++ids) =>
+  ({ type: 'tool_call', tool: { name, input: { file_path: file } }, timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, at)).toISOString() });
+
+test('seeds are the source files read up to the first edit and the edited file', () => {
+  const events = [use('Read', p('README.md')), use('Read', p('src/db/pool.js')), use('Read', p('src/auth/login.js')),
+                  use('Read', p('src/db/pool.js')), use('Edit', p('src/auth/session.js')), use('Read', p('src/billing/pay.js'))];
+  assert.deepEqual(scopeSeeds(events, 5), [p('src/auth/login.js'), p('src/db/pool.js'), p('src/auth/session.js')]);
+  assert.deepEqual(scopeSeeds(events, 2), [p('src/db/pool.js'), p('src/auth/session.js')]);
+  // Work before the current goal took effect isn't where it started
+  assert.deepEqual(scopeSeeds(events, 5, Date.parse(events[3].timestamp)), [p('src/auth/session.js')]);
+  assert.deepEqual(scopeSeeds([], 5), []);
+});
+
+test('distance is the shortest of import hops, directory steps and a test named after a seed', async () => {
+  await indexImports(root); // "imported by" edges come from an index built in the background
+  const scope = createScope([p('src/auth/login.js')], { root });
+  const at = (name) => { const d = scope(p(name)); return [d.distance, d.via]; };
+  assert.deepEqual(at('src/auth/login.js'),     [0, 'seed']);
+  assert.deepEqual(at('src/auth/session.js'),   [0, 'directory']); // same directory beats the import hop
+  assert.deepEqual(at('src/auth/util/hash.js'), [1, 'directory']); // a subdirectory
+  assert.deepEqual(at('src/api/routes.js'),     [1, 'import']);    // imports the seed
+  assert.deepEqual(at('src/db/pool.js'),        [2, 'import']);    // through session.js
+  assert.deepEqual(at('test/login.test.js'),    [1, 'test']);
+  assert.deepEqual(at('src/billing/pay.js'),    [3, 'directory']); // a sibling directory
+  assert.deepEqual(at('lib/vendor/deep/x.js'),  [7, 'directory']); // up to the root, then three down
+});
+
+test('without a project root only directories and test names count', () => {
+  const scope = createScope([p('src/auth/login.js')]);
+  assert.deepEqual(scope(p('src/db/pool.js')), { distance: 3, via: 'directory' });
+  assert.equal(createScope([])(p('src/db/pool.js')), null);
+});
+
+test('edits at exactly scopeDistanceMin steps count as scope creep, one step closer do not', async () => {
+  await indexImports(root);
+  const start  = [use('Read', p('src/auth/login.js')), use('Edit', p('src/auth/login.js'))];
+  const edits  = (name) => Array.from({ length: 3 }, () => use('Edit', p(name)));
+  const creep  = (events, t = {}) => detectSignals(events, 'Fix login', { ...DEFAULTS.signals, ...t }, { projectDir: root }).scopeCreep;
+
+  assert.equal(creep([...start, ...edits('src/billing/pay.js')]).detected, false); // a sibling directory: 3 < 4
+  assert.deepEqual(creep([...start, ...edits('src/billing/pay.js')], { scopeDistanceMin: 3 }),
+    { detected: true, files: [p('src/billing/pay.js')], distances: [3], distance: 3 });
+  assert.equal(creep([...start, ...edits('src/db/pool.js')], { scopeDistanceMin: 3 }).detected, false); // 2 import hops
+  assert.equal(creep([...start, ...edits('lib/vendor/deep/x.js')]).detected, true);
+});
+
+test('measuring never waits for the import index: importers count once it has been built', async () => {
+  const project = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'session-monitor-scope-')));
+  after(() => fs.rmSync(project, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(project, 'a'));
+  fs.mkdirSync(path.join(project, 'z/y/x'), { recursive: true });
+  fs.writeFileSync(path.join(project, 'a/core.js'), '');
+  fs.writeFileSync(path.join(project, 'z/y/x/app.js'), "import '../../../a/core.js';\n");
+  const seed = [path.join(project, 'a/core.js')];
+  const app  = path.join(project, 'z/y/x/app.js');
+
+  assert.deepEqual(createScope(seed, { root: project })(app), { distance: 5, via: 'directory' });
+  await indexImports(project);
+  assert.deepEqual(createScope(seed, { root: project })(app), { distance: 1, via: 'import' });
+});
@@ -0,0 +1,42 @@
+// test/server.test.mjs — the local API only answers requests addressed to localhost
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { EventEmitter } from 'node:events';
+import { startServer } from '../src/server.mjs';
+
+let server;
+
+before(async () => {
+  const handle = { sessionId: 'abc12345-0000', projectSlug: '-work-proj', state: () => ({ events: [], history: [] }), bus: new EventEmitter() };
+  server = await startServer(0, new Map([[handle.sessionId, handle]]));
+});
+
+after(() => server.close());
+
+/** GET with an explicit Host header (fetch() doesn't allow setting it) */
+function get(path, host) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.port, path, headers: { host } }, res => {
+      let body = '';
+      res.on('data', c => { body += c; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+test('answers requests for 127.0.0.1 and localhost on its port', async () => {
+  for (const host of [`127.0.0.1:${server.port}`, `localhost:${server.port}`]) {
+    const res = await get('/sessions', host);
+    assert.equal(res.status, 200, host);
+    assert.equal(JSON.parse(res.body)[0].sessionId, 'abc12345-0000');
+  }
+});
+
+test('rejects any other Host', async () => {
+  for (const host of ['evil.example.com', `evil.example.com:${server.port}`, '127.0.0.1', `localhost:${server.port + 1}`]) {
+    const res = await get('/sessions', host);
+    assert.equal(res.status, 403, host);
+  }
+});
@@ -0,0 +1,112 @@
+// test/testruns.test.mjs — which Bash commands are test runs, and each runner's summary parser
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTestRun } from '../src/testruns.mjs';
+
+test('the program being run decides the runner', () => {
+  const runners = {
+    'npx jest src/auth':                         'jest',
+    'yarn jest --watch=false':                   'jest',
+    'npx react-scripts test':                    'jest',
+    'pnpm exec vitest run':                      'vitest',
+    'npx mocha test/':                           'mocha',
+    'pytest -x tests/':                          'pytest',
+    'cd api && python -m pytest -q':             'pytest',
+    'python -m unittest discover':               'unittest',
+    'go test ./...':                             'go',
+    'cargo test --release':                      'cargo',
+    'cargo nextest run':                         'cargo',
+    'npm test':                                  'npm',
+    'npm run test:unit':                         'npm',
+    'bun test':                                  'npm',
+    'node --test':                               'node',
+    'node --test test/':                         'node',
+    'node --test --test-reporter=spec test/a.test.mjs': 'node',
+  };
+  for (const [command, runner] of Object.entries(runners)) {
+    assert.equal(parseTestRun(command, '', false)?.runner, runner, command);
+  }
+});
+
+test('mentioning a runner is not running it', () => {
+  for (const command of ['npm install jest', 'cat jest.config.js', 'grep -r pytest .', 'node test/run.js', 'ls test/']) {
+    assert.equal(parseTestRun(command, '', false), null, command);
+  }
+});
+
+/** The counts and failing names parseTestRun reads from `output` */
+function summary(command, output, isError = false) {
+  const { passed, failed, skipped, total, failing, ok } = parseTestRun(command, output, isError);
+  return { passed, failed, skipped, total, failing, ok };
+}
+
+test('jest summary', () => {
+  const out = '  ● Auth › rejects a bad token\n\nTests:       1 failed, 2 skipped, 10 passed, 13 total\n';
+  assert.deepEqual(summary('npx jest', out, true),
+    { passed: 10, failed: 1, skipped: 2, total: 13, failing: ['Auth › rejects a bad token'], ok: false });
+});
+
+test('vitest summary', () => {
+  const out = ' × parses dates 12ms\n\n      Tests  1 failed | 12 passed (13)\n';
+  assert.deepEqual(summary('npx vitest run', out, true),
+    { passed: 12, failed: 1, skipped: 0, total: 13, failing: ['parses dates'], ok: false });
+});
+
+test('mocha summary', () => {
+  const out = '  12 passing (3s)\n  1 pending\n  2 failing\n\n  1) Cart adds an item:\n  2) Cart removes an item:\n';
+  assert.deepEqual(summary('npx mocha', out, true),
+    { passed: 12, failed: 2, skipped: 1, total: 15, failing: ['Cart adds an item', 'Cart removes an item'], ok: false });
+});
+
+test('pytest summary', () => {
+  const out = 'FAILED tests/test_api.py::test_login - assert 401 == 200\n' +
+              '===== 1 failed, 10 passed, 1 skipped in 0.12s =====\n';
+  assert.deepEqual(summary('pytest', out, true),
+    { passed: 10, failed: 1, skipped: 1, total: 12, failing: ['tests/test_api.py::test_login'], ok: false });
+});
+
+test('unittest summary', () => {
+  const out = '----------------------------------------------------------------------\nRan 12 tests in 0.004s\n\nFAILED (failures=2, skipped=1)\n';
+  assert.deepEqual(summary('python -m unittest', out, true),
+    { passed: 9, failed: 2, skipped: 1, total: 12, failing: [], ok: false });
+});
+
+test('cargo summary, summed over test binaries', () => {
+  const out = 'test parser::rejects_empty ... FAILED\n' +
+              'test result: FAILED. 3 passed; 1 failed; 0 ignored; 0 measured; 0 filtered out\n' +
+              'test result: ok. 2 passed; 0 failed; 1 ignored; 0 measured; 0 filtered out\n';
+  assert.deepEqual(summary('cargo test', out, true),
+    { passed: 5, failed: 1, skipped: 1, total: 7, failing: ['parser::rejects_empty'], ok: false });
+});
+
+test('go test summary, verbose and per package', () => {
+  const verbose = '=== RUN   TestA\n--- PASS: TestA (0.00s)\n=== RUN   TestB\n--- FAIL: TestB (0.00s)\n--- SKIP: TestC (0.00s)\nFAIL\n';
+  assert.deepEqual(summary('go test -v ./...', verbose, true),
+    { passed: 1, failed: 1, skipped: 1, total: 3, failing: ['TestB'], ok: false });
+  const packages = 'ok  \texample.com/a\t0.01s\nFAIL\texample.com/b\t0.02s\n';
+  assert.deepEqual(summary('go test ./...', packages, true),
+    { passed: null, failed: 1, skipped: 0, total: null, failing: [], ok: false });
+});
+
+test('node --test TAP summary', () => {
+  const out = 'TAP version 13\n# Subtest: adds\nok 1 - adds\n# Subtest: subtracts\nnot ok 2 - subtracts\n' +
+              '  duration_ms: 1.29\n# Subtest: later\nok 3 - later # SKIP\n1..3\n' +
+              '# tests 3\n# suites 0\n# pass 1\n# fail 1\n# cancelled 0\n# skipped 1\n# todo 0\n# duration_ms 118.15\n';
+  assert.deepEqual(summary('node --test test/', out, true),
+    { passed: 1, failed: 1, skipped: 1, total: 3, failing: ['subtracts'], ok: false });
+});
+
+test('node --test spec summary', () => {
+  const out = '✔ adds (1.25ms)\n✖ subtracts (1.23ms)\n  AssertionError [ERR_ASSERTION]: Expected values to be strictly equal:\n' +
+              '﹣ later (0.11ms) # SKIP\nℹ tests 3\nℹ suites 0\nℹ pass 1\nℹ fail 1\nℹ cancelled 0\nℹ skipped 1\nℹ todo 0\n' +
+              'ℹ duration_ms 119.43\n\n✖ failing tests:\n\ntest at test/a.test.mjs:4:1\n✖ subtracts (1.23ms)\n';
+  assert.deepEqual(summary('node --test', out, true),
+    { passed: 1, failed: 1, skipped: 1, total: 3, failing: ['subtracts'], ok: false });
+});
+
+test('without a summary the exit status decides', () => {
+  assert.deepEqual(summary('npm test', 'custom reporter output\n', false),
+    { passed: null, failed: null, skipped: null, total: null, failing: [], ok: true });
+  assert.equal(summary('npm test', 'custom reporter output\n', true).ok, false);
+});
@@ -0,0 +1,78 @@
+// test/transcript.test.mjs — the normalizer: one call per tool_use block, batches, pairing with results
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNormalizer, normalizeAll } from '../src/transcript.mjs';
+
+/** A transcript line holding one assistant tool_use block */
+function use(id, name, input, timestamp, messageId = `msg-${id}`) {
+  return { type: 'assistant', timestamp, message: { id: messageId, content: [{ type: 'tool_use', id, name, input }] } };
+}
+
+/** A transcript line holding one tool_result block */
+function result(id, content, timestamp, isError = false) {
+  return { type: 'user', timestamp, message: { content: [{ type: 'tool_result', tool_use_id: id, content, is_error: isError }] } };
+}
+
+test('results pair with their calls by id, whatever order they arrive in', () => {
+  const events = normalizeAll([
+    use('a', 'Read', { file_path: '/p/a.js' }, '2026-01-01T00:00:00.000Z'),
+    use('b', 'Bash', { command: 'npm test' }, '2026-01-01T00:00:01.000Z'),
+    result('b', 'Tests: 1 failed, 3 passed, 4 total', '2026-01-01T00:00:03.500Z', true),
+    result('a', [{ type: 'text', text: 'const a = 1;' }], '2026-01-01T00:00:04.000Z'),
+  ]);
+  const [a, b] = events;
+  assert.deepEqual([a.id, a.failed, a.durationMs, a.result], ['a', false, 4000, 'const a = 1;']);
+  assert.deepEqual([b.id, b.failed, b.durationMs], ['b', true, 2500]);
+  assert.deepEqual([b.tests.runner, b.tests.failed, b.tests.passed, b.tests.ok], ['npm', 1, 3, false]);
+});
+
+test('an orphan tool_result changes nothing and a call without a result stays unpaired', () => {
+  const paired = [];
+  const normalizer = createNormalizer(call => paired.push(call.id));
+  const [call] = normalizer.push(use('a', 'Edit', { file_path: '/p/a.js' }, '2026-01-01T00:00:00.000Z'));
+
+  assert.deepEqual(normalizer.push(result('ghost', 'boom', '2026-01-01T00:00:01.000Z', true)), []);
+  assert.deepEqual(paired, []);
+  assert.deepEqual([call.failed, call.durationMs, call.result], [false, null, null]);
+
+  normalizer.push(result('a', 'ok', '2026-01-01T00:00:02.000Z'));
+  normalizer.push(result('a', 'late duplicate', '2026-01-01T00:00:03.000Z', true)); // already paired: ignored
+  assert.deepEqual(paired, ['a']);
+  assert.deepEqual([call.failed, call.result], [false, 'ok']);
+});
+
+test('a user line with results and text yields only the text as a message', () => {
+  const normalizer = createNormalizer();
+  normalizer.push(use('a', 'Bash', { command: 'ls' }, '2026-01-01T00:00:00.000Z'));
+  const line = result('a', 'src', '2026-01-01T00:00:01.000Z');
+  line.message.content.push({ type: 'text', text: 'now add tests' });
+  assert.deepEqual(normalizer.push(line).map(e => [e.type, e.text]), [['user_message', 'now add tests']]);
+});
+
+test('long results are cut at a word boundary', () => {
+  const [call] = normalizeAll([
+    use('a', 'Bash', { command: 'cat log' }, '2026-01-01T00:00:00.000Z'),
+    result('a', 'word '.repeat(100), '2026-01-01T00:00:01.000Z'),
+  ]);
+  assert.ok(call.result.length <= 300);
+  assert.match(call.result, /word …$/);
+});
+
+test('every tool_use block is a call, and parallel calls share a batch', () => {
+  const events = normalizeAll([
+    { type: 'assistant', timestamp: '2026-01-01T00:00:00.000Z', message: { id: 'm1', content: [
+      { type: 'text', text: 'Reading both files.' },
+      { type: 'tool_use', id: 'a', name: 'Read', input: { file_path: '/p/a.js' } },
+      { type: 'tool_use', id: 'b', name: 'Read', input: { file_path: '/p/b.js' } },
+    ] } },
+    // Claude Code writes one line per content block of the same message
+    use('c', 'Grep', { pattern: 'x' }, '2026-01-01T00:00:01.000Z', 'm2'),
+    use('d', 'Glob', { pattern: '*.js' }, '2026-01-01T00:00:01.000Z', 'm2'),
+    use('e', 'Bash', { command: 'ls' }, '2026-01-01T00:00:02.000Z', 'm3'),
+  ]);
+  assert.deepEqual(events.map(e => e.type === 'tool_call' ? [e.id, e.batchId] : [e.type, e.text]), [
+    ['assistant_message', 'Reading both files.'],
+    ['a', 'm1'], ['b', 'm1'], ['c', 'm2'], ['d', 'm2'], ['e', 'm3'],
+  ]);
+});
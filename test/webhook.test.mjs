@@ -0,0 +1,107 @@
+// test/webhook.test.mjs — webhook delivery against a stub HTTP server
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import http from 'node:http';
+
+// The queue lives under ~/.session-monitor, so point HOME at a scratch directory first
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'session-monitor-test-'));
+process.env.HOME = home;
+const { createWebhookSink } = await import('../src/webhook.mjs');
+const { readWebhookQueue }  = await import('../src/store.mjs');
+
+let server;
+let baseUrl;
+const received = [];   // { path, body }
+const replies  = {};   // path → status codes to answer with, in order (then 200)
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', c => { data += c; });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(data) });
+      res.writeHead(replies[req.url]?.shift() ?? 200).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+const opts = (urls) => ({ urls, format: 'json', timeoutMs: 2000, maxRetries: 3, backoffMs: 20 });
+const alert = (sessionId) => ({ type: 'status', sessionId, status: 'STUCK', score: 20 });
+const posts = (p) => received.filter(r => r.path === p);
+
+async function until(check, ms = 3000) {
+  const end = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > end) throw new Error('timed out');
+    await new Promise(r => setTimeout(r, 10));
+  }
+}
+
+test('retries a 5xx with backoff and drops the entry once delivered', async () => {
+  replies['/retry'] = [503, 500];
+  const sink = createWebhookSink('session-retry', opts([`${baseUrl}/retry`]));
+  sink.send(alert('session-retry'));
+  await until(() => posts('/retry').length === 3 && readWebhookQueue('session-retry').length === 0);
+  sink.stop();
+  assert.equal(posts('/retry')[2].body.event, 'session-monitor.alert');
+  assert.equal(posts('/retry')[2].body.status, 'STUCK');
+});
+
+test('does not retry a 4xx', async () => {
+  replies['/gone'] = [404];
+  const sink = createWebhookSink('session-gone', opts([`${baseUrl}/gone`]));
+  sink.send(alert('session-gone'));
+  await until(() => readWebhookQueue('session-gone').length === 0);
+  await new Promise(r => setTimeout(r, 100));
+  sink.stop();
+  assert.equal(posts('/gone').length, 1);
+});
+
+test('monitors of different sessions deliver their own alerts exactly once', async () => {
+  const sinks = ['a', 'b', 'c'].map(id => createWebhookSink(`session-${id}`, opts([`${baseUrl}/shared`])));
+  sinks.forEach((sink, i) => sink.send(alert(`session-${'abc'[i]}`)));
+  await Promise.all(sinks.map(s => s.flush()));
+  await new Promise(r => setTimeout(r, 100));
+  sinks.forEach(s => s.stop());
+  assert.deepEqual(posts('/shared').map(r => r.body.sessionId).sort(), ['session-a', 'session-b', 'session-c']);
+  assert.equal(fs.readdirSync(path.join(home, '.session-monitor', 'session-a')).some(f => f.endsWith('.tmp')), false);
+});
+
+/** A session whose queue file holds one entry for `url` and can't be rewritten */
+function unwritableQueue(id, url) {
+  const dir = path.join(home, '.session-monitor', id);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'webhook-queue.json'),
+    JSON.stringify([{ id: 'x', url, body: {}, attempts: 0, nextAt: 0 }]));
+  // a directory where the tmp file should go makes every write fail
+  fs.mkdirSync(path.join(dir, `webhook-queue.json.${process.pid}.tmp`));
+}
+
+test('a queue that cannot be written does not re-send a delivered entry', async () => {
+  unwritableQueue('session-readonly', `${baseUrl}/ro`);
+  const sink = createWebhookSink('session-readonly', opts([`${baseUrl}/ro`]));
+  await assert.doesNotReject(sink.flush());
+  await new Promise(r => setTimeout(r, 300));
+  sink.stop();
+  assert.equal(posts('/ro').length, 1);
+});
+
+test('a queue that cannot be written still backs off and gives up after maxRetries', async () => {
+  replies['/ro-retry'] = Array(10).fill(503);
+  unwritableQueue('session-readonly-retry', `${baseUrl}/ro-retry`);
+  const sink = createWebhookSink('session-readonly-retry', opts([`${baseUrl}/ro-retry`]));
+  await new Promise(r => setTimeout(r, 500));
+  sink.stop();
+  assert.equal(posts('/ro-retry').length, 4); // the first attempt + maxRetries
+});